@@ -46,6 +46,97 @@ const Headers = z.record(
   z.string()  // header value (can contain env var references)
 ).optional();
 
+// Retry policy executed inside the isolated data variable process
+const RetryPolicy = z.object({
+  // Total attempts including the first request
+  max_attempts: z.number().int().min(1).max(10).optional(),
+
+  // Exponential backoff: initial_delay_ms * backoff_multiplier^(attempt - 1), capped at max_delay_ms
+  initial_delay_ms: z.number().int().min(0).max(60000).optional(),
+  max_delay_ms: z.number().int().min(0).max(60000).optional(),
+  backoff_multiplier: z.number().min(1).max(10).optional(),
+
+  // Randomize each delay between 0 and the computed backoff (default true)
+  jitter: z.boolean().optional(),
+
+  // Status codes that trigger a retry (default 408, 429, 500, 502, 503, 504)
+  retry_on_status: z.array(z.number().int().min(100).max(599)).optional(),
+
+  // Wait at least as long as the Retry-After response header asks (default true)
+  respect_retry_after: z.boolean().optional(),
+
+  // Also retry POST and PATCH; only GET, HEAD, PUT, DELETE and OPTIONS are retried by default (default false)
+  retry_non_idempotent: z.boolean().optional()
+}).strict();
+
+// Dot path into a response body, e.g. "data.items" or "results[0].next_cursor"
+const BodyPath = z.string().regex(
+  /^[a-zA-Z_][\w.\[\]-]*$/,
+  'Must be a dot path like data.items'
+);
+
+// Pagination descriptor followed inside the isolated data variable process
+const PaginationConfig = z.object({
+  strategy: z.enum(['link_header', 'cursor', 'page', 'offset']),
+
+  // Where the array of items lives in each page (omit when the body itself is the array)
+  items_path: BodyPath.optional(),
+
+  // Caps on how much is fetched (defaults: 10 pages, unlimited items)
+  max_pages: z.number().int().min(1).max(100).optional(),
+  max_items: z.number().int().min(1).max(10000).optional(),
+
+  // cursor strategy
+  cursor_path: BodyPath.optional(),
+  cursor_param: z.string().optional(),
+  cursor_in: z.enum(['query', 'body']).optional(),
+  has_more_path: BodyPath.optional(),
+
+  // page / offset strategies
+  page_param: z.string().optional(),
+  start_page: z.number().int().min(0).optional(),
+  offset_param: z.string().optional(),
+  page_size_param: z.string().optional(),
+  page_size: z.number().int().min(1).max(1000).optional()
+}).strict().refine(
+  (paginate) => paginate.strategy !== 'cursor' || (paginate.cursor_path && paginate.cursor_param),
+  'Cursor pagination requires cursor_path and cursor_param'
+);
+
+// Field path for select / redact, e.g. "user.login", "items[*].id" or "$.data[0].name"
+const FieldPath = z.string().max(200).regex(
+  /^(\$\.?)?(\*|[a-zA-Z_][\w-]*|\[(\d+|\*)\])(\.(\*|[a-zA-Z_][\w-]*)|\[(\d+|\*)\])*$/,
+  'Must be a field path like user.login or items[*].id'
+);
+
+// Identifier of another data variable in the same request
+const VariableName = z.string().regex(
+  /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+  'Must be a valid data variable name'
+);
+
+// Run the data variable once per element of an upstream array (${item} in passed_variables)
+const ForEachConfig = z.object({
+  passed_from: VariableName,
+  items_path: BodyPath.optional(),
+  max_items: z.number().int().min(1).max(100).optional(),
+  concurrency: z.number().int().min(1).max(100).optional()
+}).strict();
+
+// Skip the data variable unless a value in an upstream result matches
+const ConditionValue = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+const WhenCondition = z.object({
+  passed_from: VariableName,
+  path: BodyPath.optional(),
+  equals: ConditionValue.optional(),
+  not_equals: ConditionValue.optional(),
+  in: z.array(ConditionValue).min(1).optional(),
+  exists: z.boolean().optional()
+}).strict().refine(
+  (when) => ['equals', 'not_equals', 'in', 'exists'].filter((operator) => when[operator] !== undefined).length === 1,
+  'when requires exactly one of equals, not_equals, in, exists'
+);
+
 // Single data variable configuration (new format)
 const DataVariableConfig = z.object({
   // Optional credential reference (for documentation/clarity)
@@ -58,7 +149,21 @@ const DataVariableConfig = z.object({
   headers: Headers,
 
   // Optional additional configuration
-  timeout: z.number().min(1000).max(30000).optional()
+  timeout: z.number().min(1000).max(30000).optional(),
+
+  // Optional retry policy for transient failures (429, 503, network errors)
+  retry: RetryPolicy.optional(),
+
+  // Optional pagination, all pages are concatenated into one array
+  paginate: PaginationConfig.optional(),
+
+  // Optional field allowlist and redaction, applied before data reaches global code
+  select: z.array(FieldPath).min(1).max(100).optional(),
+  redact: z.array(FieldPath).min(1).max(100).optional(),
+
+  // Optional fan-out over an upstream array and condition on an upstream result
+  for_each: ForEachConfig.optional(),
+  when: WhenCondition.optional()
 }).strict();
 
 // Single data method configuration (legacy format)
@@ -118,6 +223,9 @@ const GlobalCode = z.string()
     'Global code contains potentially unsafe patterns'
   );
 
+// Access hardened global code may request
+const GlobalCodeCapability = z.enum(['network', 'child_process', 'worker_threads', 'fs_write']);
+
 // Main request payload schema (new format)
 const SecureTwoPhaseExecutionRequest = z.object({
   // Required: Secure data variables configuration
@@ -133,7 +241,10 @@ const SecureTwoPhaseExecutionRequest = z.object({
   ai_eval: z.boolean().optional().default(false),
 
   // Optional: Encrypt response messages
-  encrypt_messages: z.boolean().optional().default(false)
+  encrypt_messages: z.boolean().optional().default(false),
+
+  // Optional: Re-enable blocked access for hardened global code
+  global_code_capabilities: z.array(GlobalCodeCapability).optional()
 }).strict();
 
 // Legacy request payload schema (for backward compatibility)
@@ -151,7 +262,10 @@ const SecureTwoPhaseExecutionRequestLegacy = z.object({
   ai_eval: z.boolean().optional().default(false),
 
   // Optional: Encrypt response messages
-  encrypt_messages: z.boolean().optional().default(false)
+  encrypt_messages: z.boolean().optional().default(false),
+
+  // Optional: Re-enable blocked access for hardened global code
+  global_code_capabilities: z.array(GlobalCodeCapability).optional()
 }).strict();
 
 // Union schema that accepts both formats
@@ -416,8 +530,14 @@ module.exports = {
 
   // Shared schemas
   FetchOptions,
+  RetryPolicy,
+  PaginationConfig,
+  FieldPath,
+  ForEachConfig,
+  WhenCondition,
   Headers,
   GlobalCode,
+  GlobalCodeCapability,
   HttpMethod,
   HttpUrl,
   EnvVarPattern,
@@ -1,6 +1,6 @@
 import { spawn, ChildProcess } from 'child_process';
 import path from 'path';
-import { generateKeyPair } from './utils/asymmetric-crypto.js';
+import { initializeKeyRing } from './utils/asymmetric-crypto.js';
 
 interface ServiceConfig {
   name: string;
@@ -32,9 +32,13 @@ export class ServiceBootstrap {
   async bootUpServices(): Promise<void> {
     
 
-    // Generate RSA key pair on boot
+    // Load (or create) the RSA key-ring on boot
     try {
-      generateKeyPair();
+      initializeKeyRing({
+        filePath: process.env.DISABLE_KEY_RING_PERSISTENCE === 'true' ? null : process.env.KEY_RING_FILE || undefined,
+        rotationIntervalMs: parseFloat(process.env.KEY_ROTATION_DAYS || '30') * 24 * 60 * 60 * 1000,
+        gracePeriodMs: parseFloat(process.env.KEY_GRACE_PERIOD_HOURS || '168') * 60 * 60 * 1000
+      });
     } catch (error: any) {
       console.error('❌ Failed to generate encryption key pair:', error.message);
       console.error('⚠️  Server will continue without asymmetric encryption support');
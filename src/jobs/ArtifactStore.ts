@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import { getContentType } from '../utils/content-types';
+import { JobArtifact, JobArtifactSkip } from '../types';
+
+export interface ArtifactStoreOptions {
+    /** Collected artifacts, one directory per job (default data/artifacts) */
+    artifactsDir?: string;
+    /** Parent of the per-execution scratch directories (default temp/jobs/outputs) */
+    scratchDir?: string;
+    maxFiles?: number;
+    maxFileBytes?: number;
+    maxTotalBytes?: number;
+}
+
+export interface CollectedArtifacts {
+    artifacts: JobArtifact[];
+    skipped: JobArtifactSkip[];
+}
+
+interface ScratchFile {
+    name: string;
+    size: number;
+    // Identify the listed file, so one swapped in after the listing is never copied
+    dev: number;
+    ino: number;
+}
+
+/**
+ * Gives every execution a scratch output directory and keeps what was written there as job artifacts
+ * Only regular files are collected; symlinks and anything beyond the count and size limits are skipped
+ */
+export default class ArtifactStore {
+    private static readonly MAX_DEPTH = 10;
+    // Keeps a script that writes thousands of files from bloating the job record
+    private static readonly MAX_RECORDED_SKIPS = 50;
+
+    private artifactsDir: string;
+    private scratchDir: string;
+    private maxFiles: number;
+    private maxFileBytes: number;
+    private maxTotalBytes: number;
+
+    constructor(options: ArtifactStoreOptions = {}) {
+        this.artifactsDir = path.resolve(options.artifactsDir || path.join(__dirname, '../../data/artifacts'));
+        this.scratchDir = path.resolve(options.scratchDir || path.join(__dirname, '../../temp/jobs/outputs'));
+        this.maxFiles = options.maxFiles || 20;
+        this.maxFileBytes = options.maxFileBytes || 10 * 1024 * 1024;
+        this.maxTotalBytes = options.maxTotalBytes || 50 * 1024 * 1024;
+    }
+
+    /**
+     * Create an empty, absolute scratch directory for one execution of a job
+     */
+    createScratchDir(jobId: string): string {
+        fs.mkdirSync(this.scratchDir, { recursive: true });
+        return fs.mkdtempSync(path.join(this.scratchDir, `${jobId}_`));
+    }
+
+    removeScratchDir(scratchDir: string): void {
+        try {
+            fs.rmSync(scratchDir, { recursive: true, force: true });
+        } catch (error: any) {
+            console.error('❌ Failed to remove scratch output directory:', error.message);
+        }
+    }
+
+    /**
+     * Copy the files of a scratch directory into the job's artifacts, replacing those of an earlier attempt
+     */
+    collect(jobId: string, scratchDir: string): CollectedArtifacts {
+        const jobDir = this.getJobDir(jobId);
+        fs.rmSync(jobDir, { recursive: true, force: true });
+
+        const artifacts: JobArtifact[] = [];
+        const skipped: JobArtifactSkip[] = [];
+        const skip = (name: string, reason: string) => {
+            if (skipped.length < ArtifactStore.MAX_RECORDED_SKIPS) {
+                skipped.push({ name, reason });
+            }
+        };
+        let totalBytes = 0;
+
+        for (const file of this.listFiles(scratchDir, '', 0, skip)) {
+            if (artifacts.length >= this.maxFiles) {
+                skip(file.name, `Limit of ${this.maxFiles} files reached`);
+                continue;
+            }
+            if (file.size > this.maxFileBytes) {
+                skip(file.name, `Larger than ${this.maxFileBytes} bytes`);
+                continue;
+            }
+            if (totalBytes + file.size > this.maxTotalBytes) {
+                skip(file.name, `Total size limit of ${this.maxTotalBytes} bytes reached`);
+                continue;
+            }
+
+            const target = path.join(jobDir, file.name);
+            let size: number;
+            try {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                // A process left running by the code may still be writing, trust the copy over the listing
+                size = this.copyFile(scratchDir, file, target, Math.min(this.maxFileBytes, this.maxTotalBytes - totalBytes));
+            } catch (error: any) {
+                fs.rmSync(target, { force: true });
+                skip(file.name, `Could not be copied: ${error.message}`);
+                continue;
+            }
+            if (size > this.maxFileBytes || totalBytes + size > this.maxTotalBytes) {
+                fs.rmSync(target, { force: true });
+                skip(file.name, 'Grew past the size limits while being collected');
+                continue;
+            }
+
+            totalBytes += size;
+            artifacts.push({
+                name: file.name,
+                size,
+                contentType: getContentType(file.name),
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        return { artifacts, skipped };
+    }
+
+    /**
+     * Path of a stored artifact, or null when the name points outside the job's directory
+     */
+    resolve(jobId: string, name: string): string | null {
+        const jobDir = this.getJobDir(jobId);
+        const filePath = path.resolve(jobDir, name);
+        return filePath.startsWith(jobDir + path.sep) ? filePath : null;
+    }
+
+    remove(jobId: string): void {
+        try {
+            fs.rmSync(this.getJobDir(jobId), { recursive: true, force: true });
+        } catch (error: any) {
+            console.error('❌ Failed to remove job artifacts:', error.message);
+        }
+    }
+
+    /**
+     * Drop artifacts of jobs that no longer exist and scratch directories left behind by a crash
+     */
+    prune(jobIds: Set<string>): void {
+        try {
+            if (fs.existsSync(this.artifactsDir)) {
+                for (const entry of fs.readdirSync(this.artifactsDir)) {
+                    if (!jobIds.has(entry)) {
+                        fs.rmSync(path.join(this.artifactsDir, entry), { recursive: true, force: true });
+                    }
+                }
+            }
+            fs.rmSync(this.scratchDir, { recursive: true, force: true });
+        } catch (error: any) {
+            console.error('❌ Failed to prune job artifacts:', error.message);
+        }
+    }
+
+    private getJobDir(jobId: string): string {
+        return path.join(this.artifactsDir, path.basename(jobId));
+    }
+
+    /**
+     * Copy a listed file without following symlinks, stopping once it is larger than maxBytes
+     * The code may still be running, so the file is opened with O_NOFOLLOW and must be the one that was listed
+     * @returns the number of bytes read, more than maxBytes when the file outgrew it
+     */
+    private copyFile(root: string, file: ScratchFile, target: string, maxBytes: number): number {
+        const source = fs.openSync(path.join(root, file.name), fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW);
+        try {
+            const stats = fs.fstatSync(source);
+            if (!stats.isFile() || stats.dev !== file.dev || stats.ino !== file.ino) {
+                throw new Error('Replaced after it was listed');
+            }
+
+            const output = fs.openSync(target, 'w');
+            try {
+                const buffer = Buffer.alloc(64 * 1024);
+                let size = 0;
+                let bytesRead: number;
+                while ((bytesRead = fs.readSync(source, buffer, 0, buffer.length, null)) > 0) {
+                    size += bytesRead;
+                    if (size > maxBytes) {
+                        break;
+                    }
+                    fs.writeSync(output, buffer, 0, bytesRead);
+                }
+                return size;
+            } finally {
+                fs.closeSync(output);
+            }
+        } finally {
+            fs.closeSync(source);
+        }
+    }
+
+    /**
+     * Regular files below dir, sorted by name; lstat so symlinks are never followed
+     */
+    private listFiles(
+        root: string,
+        relativeDir: string,
+        depth: number,
+        skip: (name: string, reason: string) => void
+    ): ScratchFile[] {
+        const files: ScratchFile[] = [];
+        const entries = fs.readdirSync(path.join(root, relativeDir)).sort();
+
+        for (const entry of entries) {
+            const name = relativeDir ? `${relativeDir}/${entry}` : entry;
+            const stats = fs.lstatSync(path.join(root, name));
+
+            if (stats.isDirectory()) {
+                if (depth + 1 >= ArtifactStore.MAX_DEPTH) {
+                    skip(name, `Nested deeper than ${ArtifactStore.MAX_DEPTH} directories`);
+                    continue;
+                }
+                files.push(...this.listFiles(root, name, depth + 1, skip));
+            } else if (stats.isFile()) {
+                files.push({ name, size: stats.size, dev: stats.dev, ino: stats.ino });
+            } else {
+                skip(name, 'Not a regular file');
+            }
+        }
+
+        return files;
+    }
+}
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { randomBytes } = require('crypto');
 const SecureExecutor = require('../secure/SecureExecutor');
+const { sealSecrets, openSealedSecrets } = require('../utils/crypto');
 
 class JobManager {
     constructor(options = {}) {
@@ -37,11 +38,17 @@ class JobManager {
 
     createJob(payload, options = {}) {
         const jobId = this.generateJobId();
+        // Provider tokens are only stored sealed to the job, and stop opening when it expires
+        const { headerEnvVars, sealedHeaderEnvVars: _sealedHeaderEnvVars, ...storedPayload } = payload;
+        if (headerEnvVars && Object.keys(headerEnvVars).length > 0) {
+            storedPayload.sealedHeaderEnvVars = sealSecrets(headerEnvVars, `job:${jobId}`, new Date(Date.now() + this.jobTTL));
+        }
         const job = {
             id: jobId,
             status: 'PENDING',
-            payload: payload,
+            payload: storedPayload,
             options: options,
+            principal: options.principal || 'anonymous',
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
             startedAt: null,
@@ -65,13 +72,17 @@ class JobManager {
     }
 
     getAllJobs(options = {}) {
-        const { status, limit = 100, offset = 0 } = options;
+        const { status, principal, limit = 100, offset = 0 } = options;
         let jobs = Array.from(this.jobs.values());
         
         if (status) {
             jobs = jobs.filter(job => job.status === status);
         }
         
+        if (principal) {
+            jobs = jobs.filter(job => (job.principal || 'anonymous') === principal);
+        }
+        
         // Sort by creation date (newest first)
         jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         
@@ -177,8 +188,12 @@ class JobManager {
         try {
             this.updateJobStatus(job.id, 'RUNNING');
 
+            // Provider tokens only exist in clear for the duration of the execution
+            const { sealedHeaderEnvVars, ...payload } = job.payload;
+            const headerEnvVars = sealedHeaderEnvVars ? openSealedSecrets(sealedHeaderEnvVars, `job:${job.id}`) : {};
+
             // Use SecureExecutor for background job execution
-            const result = await this.secureExecutor.executeCode(job.payload, job.payload.headerEnvVars || {});
+            const result = await this.secureExecutor.executeCode(payload, headerEnvVars);
 
             // Handle successful execution
             if (result.success) {
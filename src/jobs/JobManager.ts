@@ -1,26 +1,133 @@
-import fs from 'fs';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { randomBytes } from 'crypto';
 import SecureExecutor from '../secure/SecureExecutor';
-import { Job, JobStatus, JobOptions, JobResult, JobError, ExecutionPayload } from '../types';
+import { JobStore, JobStoreQuery, JobStoreType, createJobStore } from './stores';
+import Scheduler from './Scheduler';
+import WebhookDispatcher, { canSignWebhooks, validateCallbackUrl } from './WebhookDispatcher';
+import ArtifactStore from './ArtifactStore';
+import { buildJobResponse } from './job-response';
+import { IdempotencyConflictError, hashPayload } from '../utils/idempotency';
+import { sealSecrets, openSealedSecrets } from '../utils/crypto';
+import {
+    Job,
+    JobStatus,
+    JobOptions,
+    JobResult,
+    JobError,
+    JobAttempt,
+    JobInput,
+    JobWorkflowRef,
+    JobRerunOverrides,
+    JobRerunChain,
+    JobRerunLink,
+    ExecutionPayload,
+    ExecutionResult,
+    OutputChunk,
+    WorkflowSpec,
+    WorkflowState,
+    WorkflowFailurePolicy
+} from '../types';
+
+interface JobWorker {
+    executionId: string;
+    startedAt: number;
+    principal: string;
+}
+
+type AttemptOutcome =
+    | { status: 'COMPLETED'; result: JobResult; transient: boolean; error?: JobError }
+    | { status: 'FAILED'; error: JobError; transient: boolean };
+
+const PRIORITY_WEIGHTS: Record<NonNullable<JobOptions['priority']>, number> = {
+    high: 2,
+    normal: 1,
+    low: 0
+};
+
+// Spawn failures caused by the host being busy rather than by the job itself
+const TRANSIENT_SPAWN_ERRORS = ['EAGAIN', 'EMFILE', 'ENFILE', 'ENOMEM', 'EBUSY'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Principal of jobs submitted without credentials */
+export const ANONYMOUS_PRINCIPAL = 'anonymous';
+
+/**
+ * Limits applied to each principal separately; unset or 0 means unlimited
+ */
+export interface PrincipalQuotas {
+    maxConcurrentJobs?: number;
+    /** PENDING jobs; submissions beyond it are rejected */
+    maxQueuedJobs?: number;
+    /** Job executions (retries included) started in any rolling hour; further jobs wait */
+    maxExecutionsPerHour?: number;
+}
+
+export interface PrincipalUsage {
+    running: number;
+    queued: number;
+    executionsLastHour: number;
+    total: number;
+}
+
+/**
+ * Raised when a principal would go over one of its quotas
+ */
+export class QuotaExceededError extends Error {
+    principal: string;
+
+    constructor(principal: string, message: string) {
+        super(message);
+        this.name = 'QuotaExceededError';
+        this.principal = principal;
+    }
+}
 
 export interface JobManagerOptions {
     maxConcurrentJobs?: number;
     jobTTL?: number;
     persistenceFile?: string;
     enablePersistence?: boolean;
+    /** A store instance, or the type of the built-in store to create (default 'json') */
+    store?: JobStore | JobStoreType;
+    /** Append-only log file of the 'log' store */
+    logFile?: string;
+    /** Waiting this long raises a PENDING job by one priority level, so low priority never starves */
+    priorityAgingMs?: number;
+    /** First retry delay, doubled for every further attempt */
+    retryBaseDelayMs?: number;
+    retryMaxDelayMs?: number;
+    /** Where schedules are persisted (default data/schedules.json, in memory when persistence is disabled) */
+    schedulesFile?: string;
+    /** How long an idempotency key keeps returning the job it created (default 24 hours) */
+    idempotencyWindowMs?: number;
+    /** Callback URL for jobs submitted without one */
+    defaultCallbackUrl?: string;
+    webhookMaxAttempts?: number;
+    webhookRetryBaseDelayMs?: number;
+    principalQuotas?: PrincipalQuotas;
+    /** Where job artifacts are kept (default data/artifacts, temp/artifacts when persistence is disabled) */
+    artifactsDir?: string;
+    maxArtifactFiles?: number;
+    maxArtifactFileBytes?: number;
+    maxArtifactTotalBytes?: number;
+    /**
+     * Executor shared with /execute, so background jobs get the same egress policy, hardening and limits,
+     * and MAX_CONCURRENT_PROCESSES counts every process of the server; an executor with the defaults is created when unset
+     */
+    secureExecutor?: SecureExecutor;
+    /** CPU time limit of a job's code (default: the job's timeout in seconds) */
+    jobMaxCpuSeconds?: number;
 }
 
-export interface GetAllJobsOptions {
-    status?: JobStatus | null;
-    limit?: number;
-    offset?: number;
-}
+export type GetAllJobsOptions = JobStoreQuery;
 
 export interface GetAllJobsResult {
     jobs: Job[];
     total: number;
     hasMore: boolean;
+    nextCursor: string | null;
 }
 
 export interface JobStats {
@@ -32,36 +139,104 @@ export interface JobStats {
     cancelled: number;
     activeWorkers: number;
     maxConcurrentJobs: number;
+    principalQuotas: PrincipalQuotas;
+    principals: Record<string, PrincipalUsage>;
 }
 
-export default class JobManager {
+export interface JobOutput {
+    chunks: OutputChunk[];
+    droppedChunks: number;
+}
+
+export const FINISHED_JOB_STATUSES: JobStatus[] = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+/**
+ * Emits 'output' (jobId, chunk) while a job runs and 'finished' (job) when it reaches a final status
+ */
+export default class JobManager extends EventEmitter {
+    private static readonly MAX_BUFFERED_OUTPUT_BYTES = 512 * 1024;
+    private static readonly MAX_RETRIES = 10;
+    private static readonly MAX_WORKFLOW_NODES = 50;
+    private static readonly MAX_DEPENDENCIES = 20;
+    private static readonly DEFAULT_JOB_TIMEOUT_MS = 30 * 60 * 1000;
+    private static readonly MAX_TAGS = 20;
+    private static readonly MAX_METADATA_KEYS = 20;
+
     private jobs: Map<string, Job> = new Map();
-    private workers: Map<string, any> = new Map();
+    private outputBuffers: Map<string, JobOutput & { bytes: number }> = new Map();
+    // Idempotency key -> id of the job it created
+    private idempotencyKeys: Map<string, string> = new Map();
+    private workers: Map<string, JobWorker> = new Map();
     private maxConcurrentJobs: number;
     private jobTTL: number;
-    private persistenceFile: string;
-    private enablePersistence: boolean;
+    private store: JobStore;
     private secureExecutor: SecureExecutor;
+    private jobMaxCpuSeconds: number;
     private cleanupInterval: NodeJS.Timeout;
+    private retryTimer: NodeJS.Timeout | null = null;
+    private shuttingDown = false;
+    private priorityAgingMs: number;
+    private retryBaseDelayMs: number;
+    private retryMaxDelayMs: number;
+    private idempotencyWindowMs: number;
+    private defaultCallbackUrl: string | null;
+    private webhooks: WebhookDispatcher;
+    private artifacts: ArtifactStore;
+    private principalQuotas: PrincipalQuotas;
+    /** Start times of the executions of the last hour, per principal */
+    private executionTimes: Map<string, number[]> = new Map();
+    /** Increasing serve number of the principal whose job was started last, for round-robin */
+    private lastServed: Map<string, number> = new Map();
+    private serveCounter = 0;
+
+    readonly scheduler: Scheduler;
 
     constructor(options: JobManagerOptions = {}) {
+        super();
+        // Every open stream of a job subscribes, don't warn about many listeners
+        this.setMaxListeners(0);
         this.maxConcurrentJobs = options.maxConcurrentJobs || 5;
         this.jobTTL = options.jobTTL || 24 * 60 * 60 * 1000; // 24 hours default
-        this.persistenceFile = options.persistenceFile || path.join(__dirname, '../../data/jobs.json');
-        this.enablePersistence = options.enablePersistence !== false;
-        this.secureExecutor = new SecureExecutor({
+        this.store = typeof options.store === 'object'
+            ? options.store
+            : createJobStore(options.enablePersistence === false ? 'memory' : options.store || 'json', {
+                jsonFile: options.persistenceFile,
+                logFile: options.logFile
+            });
+        this.priorityAgingMs = options.priorityAgingMs || 5 * 60 * 1000;
+        this.retryBaseDelayMs = options.retryBaseDelayMs ?? 5000;
+        this.retryMaxDelayMs = options.retryMaxDelayMs ?? 5 * 60 * 1000;
+        this.idempotencyWindowMs = options.idempotencyWindowMs || 24 * 60 * 60 * 1000;
+        this.defaultCallbackUrl = options.defaultCallbackUrl ? validateCallbackUrl(options.defaultCallbackUrl) : null;
+        if (this.defaultCallbackUrl && !canSignWebhooks()) {
+            console.warn('⚠️ JOB_CALLBACK_URL is ignored, KB_ENCRYPTION_SECRET is required to sign webhook deliveries');
+            this.defaultCallbackUrl = null;
+        }
+        this.principalQuotas = options.principalQuotas || {};
+        this.webhooks = new WebhookDispatcher({
+            maxAttempts: options.webhookMaxAttempts,
+            retryBaseDelayMs: options.webhookRetryBaseDelayMs
+        });
+        this.jobMaxCpuSeconds = options.jobMaxCpuSeconds || 0;
+        this.secureExecutor = options.secureExecutor || new SecureExecutor({
             timeout: 1800000, // 30 minutes for background jobs
             tempDir: path.join(__dirname, '../../temp/jobs')
         });
+        this.artifacts = new ArtifactStore({
+            artifactsDir: options.artifactsDir || (options.enablePersistence === false
+                ? path.join(__dirname, '../../temp/artifacts')
+                : undefined),
+            maxFiles: options.maxArtifactFiles,
+            maxFileBytes: options.maxArtifactFileBytes,
+            maxTotalBytes: options.maxArtifactTotalBytes
+        });
         
-        // Ensure data directory exists
-        if (this.enablePersistence) {
-            const dataDir = path.dirname(this.persistenceFile);
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir, { recursive: true });
-            }
-            this.loadPersistedJobs();
-        }
+        this.loadPersistedJobs();
+        this.artifacts.prune(new Set(this.jobs.keys()));
+
+        this.scheduler = new Scheduler(this, {
+            schedulesFile: options.enablePersistence === false ? null : options.schedulesFile
+        });
         
         // Start cleanup interval
         this.cleanupInterval = setInterval(() => {
@@ -73,29 +248,483 @@ export default class JobManager {
         return randomBytes(16).toString('hex');
     }
 
-    createJob(payload: ExecutionPayload, options: JobOptions = {}): string {
+    /**
+     * Job created with this idempotency key by the same principal within the idempotency window
+     * @throws IdempotencyConflictError if that job was submitted with a different payload
+     */
+    findIdempotentJob(idempotencyKey: string, payload: ExecutionPayload, principal: string = ANONYMOUS_PRINCIPAL): Job | undefined {
+        const jobId = this.idempotencyKeys.get(this.getIdempotencySlot(principal, idempotencyKey));
+        const job = jobId ? this.jobs.get(jobId) : undefined;
+        if (!job || Date.now() - new Date(job.createdAt).getTime() > this.idempotencyWindowMs) {
+            return undefined;
+        }
+
+        if (job.payloadHash !== hashPayload(payload)) {
+            throw new IdempotencyConflictError(idempotencyKey);
+        }
+        return job;
+    }
+
+    /**
+     * @param links - what created the job, e.g. the schedule that fired it
+     * @returns the id of the new job, or of the job created earlier with the same options.idempotencyKey
+     * @throws IdempotencyConflictError if options.idempotencyKey was used with a different payload
+     */
+    createJob(payload: ExecutionPayload, options: JobOptions = {}, links: Pick<Job, 'scheduleId'> = {}): string {
+        this.validateJobOptions(options);
+        if (options.idempotencyKey) {
+            const existingJob = this.findIdempotentJob(options.idempotencyKey, payload, options.principal);
+            if (existingJob) {
+                return existingJob.id;
+            }
+        }
+        this.checkQueuedQuota(options.principal || ANONYMOUS_PRINCIPAL, 1);
+
+        const dependsOn = options.dependsOn || [];
+        this.validateDependencies(dependsOn);
+
+        const job = this.addJob(payload, options, dependsOn, undefined, links);
+
+        // An upstream job that already failed never lets this one run
+        const failedDependency = dependsOn.find(dependencyId => this.getDependencyState(dependencyId) === 'failed');
+        if (failedDependency) {
+            this.cancelForDependency(job, failedDependency);
+        }
+        
+        // Try to start job immediately if worker slots available
+        this.processNextJob();
+        
+        return job.id;
+    }
+
+    /**
+     * Submit a copy of a job, with some fields overridden, as a new job linked by parentJobId
+     * Provider tokens in the stored payload are never reused, the caller supplies them again in headerEnvVars;
+     * dependencies, idempotency key and callback URL are not carried over
+     * @param principal - who asked for the rerun, it owns the new job
+     */
+    rerunJob(
+        jobId: string,
+        overrides: JobRerunOverrides = {},
+        headerEnvVars: Record<string, string> = {},
+        principal: string = ANONYMOUS_PRINCIPAL
+    ): string {
+        const original = this.jobs.get(jobId);
+        if (!original) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+
+        const {
+            headerEnvVars: _storedHeaderEnvVars,
+            sealedHeaderEnvVars: _sealedHeaderEnvVars,
+            job_inputs: _jobInputs,
+            idempotency_key: _idempotencyKey,
+            callback_url: _callbackUrl,
+            dependsOn: _dependsOn,
+            ...payload
+        } = original.payload;
+        const rerunPayload: ExecutionPayload = { ...payload, headerEnvVars };
+
+        if (overrides.timeout !== undefined) {
+            if (typeof overrides.timeout !== 'number' || !(overrides.timeout > 0)) {
+                throw new Error('timeout must be a positive number of milliseconds');
+            }
+            rerunPayload.timeout = overrides.timeout;
+        }
+        if (overrides.code !== undefined) {
+            if (typeof overrides.code !== 'string' || !overrides.code) {
+                throw new Error('code must be a non-empty string');
+            }
+            rerunPayload.code = overrides.code;
+        }
+        if (overrides.global_code !== undefined) {
+            if (typeof overrides.global_code !== 'string' || !overrides.global_code) {
+                throw new Error('global_code must be a non-empty string');
+            }
+            rerunPayload[payload.Global_code ? 'Global_code' : 'global_code'] = overrides.global_code;
+        }
+        if (overrides.api_call !== undefined) {
+            const { name, ...config } = overrides.api_call || { name: '' };
+            if (!name || !payload.api_calls?.[name]) {
+                throw new Error(`Job ${jobId} has no api_call named ${name}`);
+            }
+            rerunPayload.api_calls = { ...payload.api_calls, [name]: { ...payload.api_calls[name], ...config } };
+        }
+
+        this.checkQueuedQuota(principal, 1);
+        const job = this.addJob(rerunPayload, {
+            ...original.options,
+            timeout: overrides.timeout ?? original.options.timeout,
+            tags: original.tags,
+            metadata: original.metadata,
+            principal
+        }, [], undefined, { parentJobId: original.id });
+
+        this.processNextJob();
+        return job.id;
+    }
+
+    /**
+     * The jobs a job was rerun from and its own reruns
+     */
+    getRerunChain(jobId: string): JobRerunChain {
+        const toLink = (job: Job): JobRerunLink => ({ id: job.id, status: job.status, createdAt: job.createdAt });
+
+        const ancestors: JobRerunLink[] = [];
+        const seen = new Set([jobId]);
+        let parent = this.jobs.get(this.jobs.get(jobId)?.parentJobId || '');
+        while (parent && !seen.has(parent.id)) {
+            seen.add(parent.id);
+            ancestors.unshift(toLink(parent));
+            parent = this.jobs.get(parent.parentJobId || '');
+        }
+
+        const reruns = Array.from(this.jobs.values())
+            .filter(job => job.parentJobId === jobId)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(toLink);
+
+        return { ancestors, reruns };
+    }
+
+    /**
+     * Submit a DAG of jobs at once; node dependsOn entries name other nodes
+     * With failurePolicy 'fail_fast' (default) one failed node cancels the whole workflow,
+     * with 'continue' only the nodes depending on it are cancelled
+     */
+    createWorkflow(
+        spec: WorkflowSpec,
+        headerEnvVars: Record<string, string> = {},
+        principal: string = ANONYMOUS_PRINCIPAL
+    ): WorkflowState {
+        const failurePolicy: WorkflowFailurePolicy = spec.failurePolicy || 'fail_fast';
+        if (!['fail_fast', 'continue'].includes(failurePolicy)) {
+            throw new Error(`Invalid failurePolicy "${failurePolicy}", expected fail_fast or continue`);
+        }
+
+        const order = this.sortWorkflowNodes(spec);
+        this.checkQueuedQuota(principal, order.length);
+        const workflowId = this.generateJobId();
+        const jobIds: Record<string, string> = {};
+
+        for (const nodeName of order) {
+            const { dependsOn = [], priority, maxRetries, ...payload } = spec.nodes[nodeName];
+            const workflow: JobWorkflowRef = { id: workflowId, node: nodeName, failurePolicy };
+            const job = this.addJob(
+                { ...payload, headerEnvVars },
+                { priority, maxRetries, timeout: payload.timeout, principal },
+                dependsOn.map(dependency => jobIds[dependency]),
+                workflow
+            );
+            jobIds[nodeName] = job.id;
+        }
+
+        this.fillWorkerSlots();
+        return this.getWorkflow(workflowId) as WorkflowState;
+    }
+
+    getWorkflow(workflowId: string): WorkflowState | undefined {
+        const jobs = Array.from(this.jobs.values()).filter(job => job.workflow?.id === workflowId);
+        if (jobs.length === 0) {
+            return undefined;
+        }
+
+        const nodeNames = new Map(jobs.map(job => [job.id, job.workflow!.node]));
+        const nodes: WorkflowState['nodes'] = {};
+        for (const job of jobs) {
+            nodes[job.workflow!.node] = {
+                jobId: job.id,
+                status: job.status,
+                dependsOn: (job.dependsOn || []).map(dependencyId => nodeNames.get(dependencyId) || dependencyId),
+                startedAt: job.startedAt,
+                completedAt: job.completedAt,
+                ...(job.error && job.status !== 'COMPLETED' ? {
+                    error: { message: job.error.message, type: job.error.type, code: job.error.code }
+                } : {})
+            };
+        }
+
+        const statuses = jobs.map(job => job.status);
+        let status: WorkflowState['status'] = 'PENDING';
+        if (statuses.every(jobStatus => FINISHED_JOB_STATUSES.includes(jobStatus))) {
+            status = statuses.every(jobStatus => jobStatus === 'COMPLETED') ? 'COMPLETED' : 'FAILED';
+        } else if (jobs.some(job => job.status !== 'PENDING' || job.startedAt)) {
+            status = 'RUNNING';
+        }
+
+        return {
+            id: workflowId,
+            status,
+            failurePolicy: jobs[0].workflow!.failurePolicy,
+            createdAt: jobs.reduce((earliest, job) => job.createdAt < earliest ? job.createdAt : earliest, jobs[0].createdAt),
+            nodes
+        };
+    }
+
+    /**
+     * Validate node names and dependencies and return the nodes in dependency order
+     */
+    private sortWorkflowNodes(spec: WorkflowSpec): string[] {
+        if (!spec || !spec.nodes || typeof spec.nodes !== 'object' || Array.isArray(spec.nodes)) {
+            throw new Error('Workflow nodes must be an object of { nodeName: jobPayload }');
+        }
+
+        const nodeNames = Object.keys(spec.nodes);
+        if (nodeNames.length === 0 || nodeNames.length > JobManager.MAX_WORKFLOW_NODES) {
+            throw new Error(`A workflow must have between 1 and ${JobManager.MAX_WORKFLOW_NODES} nodes`);
+        }
+
+        for (const nodeName of nodeNames) {
+            if (!/^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/.test(nodeName)) {
+                throw new Error(`Invalid workflow node name: ${nodeName}`);
+            }
+            const node = spec.nodes[nodeName];
+            if (!node || (!node.code && !node.Global_code && !node.global_code)) {
+                throw new Error(`Workflow node ${nodeName} has no code to run`);
+            }
+            const dependsOn = node.dependsOn || [];
+            if (!Array.isArray(dependsOn) || dependsOn.length > JobManager.MAX_DEPENDENCIES) {
+                throw new Error(`dependsOn of workflow node ${nodeName} must be an array of at most ${JobManager.MAX_DEPENDENCIES} node names`);
+            }
+            for (const dependency of dependsOn) {
+                if (!spec.nodes[dependency] || dependency === nodeName) {
+                    throw new Error(`Workflow node ${nodeName} depends on unknown node ${dependency}`);
+                }
+            }
+        }
+
+        // Depth-first topological sort, rejecting cycles
+        const order: string[] = [];
+        const state = new Map<string, 'visiting' | 'done'>();
+        const visit = (nodeName: string, path: string[]): void => {
+            if (state.get(nodeName) === 'done') return;
+            if (state.get(nodeName) === 'visiting') {
+                throw new Error(`Workflow has a dependency cycle: ${[...path, nodeName].join(' -> ')}`);
+            }
+            state.set(nodeName, 'visiting');
+            for (const dependency of spec.nodes[nodeName].dependsOn || []) {
+                visit(dependency, [...path, nodeName]);
+            }
+            state.set(nodeName, 'done');
+            order.push(nodeName);
+        };
+        nodeNames.forEach(nodeName => visit(nodeName, []));
+
+        return order;
+    }
+
+    // Keys are per principal, so one caller can never replay another's job
+    private getIdempotencySlot(principal: string | undefined, idempotencyKey: string): string {
+        return `${principal || ANONYMOUS_PRINCIPAL}\n${idempotencyKey}`;
+    }
+
+    private validateDependencies(dependsOn: string[]): void {
+        if (!Array.isArray(dependsOn) || dependsOn.length > JobManager.MAX_DEPENDENCIES) {
+            throw new Error(`dependsOn must be an array of at most ${JobManager.MAX_DEPENDENCIES} job ids`);
+        }
+        for (const dependencyId of dependsOn) {
+            if (typeof dependencyId !== 'string' || !this.jobs.has(dependencyId)) {
+                throw new Error(`Dependency job ${dependencyId} not found`);
+            }
+        }
+    }
+
+    /**
+     * Check the callback URL and labels of job options, also for schedules before they fire
+     * @throws Error if a job could not be created with them
+     */
+    validateJobOptions(options: JobOptions): void {
+        if (options.callbackUrl) {
+            if (!canSignWebhooks()) {
+                throw new Error('KB_ENCRYPTION_SECRET environment variable is required to sign webhook deliveries');
+            }
+            validateCallbackUrl(options.callbackUrl);
+        }
+        this.validateLabels(options);
+    }
+
+    /**
+     * Tags and metadata are free-form labels, but bounded so they stay cheap to store and filter
+     */
+    private validateLabels(options: JobOptions): void {
+        const { tags, metadata } = options;
+        if (tags !== undefined) {
+            if (!Array.isArray(tags) || tags.length > JobManager.MAX_TAGS) {
+                throw new Error(`tags must be an array of at most ${JobManager.MAX_TAGS} strings`);
+            }
+            for (const tag of tags) {
+                if (typeof tag !== 'string' || tag.length === 0 || tag.length > 64) {
+                    throw new Error('Each tag must be a string of 1-64 characters');
+                }
+            }
+        }
+        if (metadata !== undefined) {
+            if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata) || Object.keys(metadata).length > JobManager.MAX_METADATA_KEYS) {
+                throw new Error(`metadata must be an object with at most ${JobManager.MAX_METADATA_KEYS} keys`);
+            }
+            for (const [key, value] of Object.entries(metadata)) {
+                if (key.length > 64 || typeof value !== 'string' || value.length > 256) {
+                    throw new Error('metadata keys must be at most 64 characters and values strings of at most 256 characters');
+                }
+            }
+        }
+    }
+
+    private addJob(
+        payload: ExecutionPayload,
+        options: JobOptions,
+        dependsOn: string[] = [],
+        workflow?: JobWorkflowRef,
+        links: Pick<Job, 'scheduleId' | 'parentJobId'> = {}
+    ): Job {
         const jobId = this.generateJobId();
+        const { dependsOn: _dependsOn, idempotencyKey, callbackUrl, tags, metadata, principal, ...jobOptions } = options;
+        const webhookUrl = callbackUrl ? validateCallbackUrl(callbackUrl) : this.defaultCallbackUrl;
+        const createdAt = new Date();
         const job: Job = {
             id: jobId,
             status: 'PENDING',
-            payload: payload,
-            options: options,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
+            payload: this.sealPayload(jobId, payload, createdAt),
+            options: {
+                ...jobOptions,
+                priority: options.priority && PRIORITY_WEIGHTS[options.priority] !== undefined ? options.priority : 'normal',
+                maxRetries: Math.min(Math.max(0, Math.floor(Number(options.maxRetries) || 0)), JobManager.MAX_RETRIES)
+            },
+            createdAt: createdAt.toISOString(),
+            updatedAt: createdAt.toISOString(),
             startedAt: null,
             completedAt: null,
             result: null,
             error: null,
-            progress: 0
+            progress: 0,
+            attempts: [],
+            nextRunAt: null,
+            ...(dependsOn.length > 0 ? { dependsOn } : {}),
+            ...(workflow ? { workflow } : {}),
+            ...(links.scheduleId ? { scheduleId: links.scheduleId } : {}),
+            ...(links.parentJobId ? { parentJobId: links.parentJobId } : {}),
+            principal: principal || ANONYMOUS_PRINCIPAL,
+            ...(idempotencyKey ? { idempotencyKey, payloadHash: hashPayload(payload) } : {}),
+            ...(webhookUrl ? { webhook: { url: webhookUrl, status: 'pending' as const, deliveries: [] } } : {}),
+            ...(tags && tags.length > 0 ? { tags: Array.from(new Set(tags)) } : {}),
+            ...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {})
         };
 
         this.jobs.set(jobId, job);
+        if (idempotencyKey) {
+            this.idempotencyKeys.set(this.getIdempotencySlot(job.principal, idempotencyKey), jobId);
+        }
         this.persistJob(job);
-        
-        // Try to start job immediately if worker slots available
-        this.processNextJob();
-        
-        return jobId;
+        return job;
+    }
+
+    /**
+     * Payload as kept on the job: provider tokens only as a blob sealed to the job, which stops opening
+     * when the job expires. Tokens are unsealed in memory when the job starts and never stored in clear
+     */
+    private sealPayload(jobId: string, payload: ExecutionPayload, createdAt: Date): ExecutionPayload {
+        const { headerEnvVars, sealedHeaderEnvVars: _sealedHeaderEnvVars, ...storedPayload } = payload;
+        if (!headerEnvVars || Object.keys(headerEnvVars).length === 0) {
+            return storedPayload;
+        }
+        return {
+            ...storedPayload,
+            sealedHeaderEnvVars: sealSecrets(headerEnvVars, `job:${jobId}`, new Date(createdAt.getTime() + this.jobTTL))
+        };
+    }
+
+    /**
+     * 'ready' once every dependency completed, 'failed' if one failed, was cancelled or no longer exists
+     */
+    private getDependencyState(dependencyId: string): 'ready' | 'waiting' | 'failed' {
+        const dependency = this.jobs.get(dependencyId);
+        if (!dependency || dependency.status === 'FAILED' || dependency.status === 'CANCELLED') {
+            return 'failed';
+        }
+        return dependency.status === 'COMPLETED' ? 'ready' : 'waiting';
+    }
+
+    private cancelDependants(jobId: string): void {
+        for (const dependant of this.jobs.values()) {
+            if (dependant.status === 'PENDING' && dependant.dependsOn?.includes(jobId)) {
+                this.cancelForDependency(dependant, jobId);
+            }
+        }
+    }
+
+    private cancelForDependency(job: Job, dependencyId: string): void {
+        const dependency = this.jobs.get(dependencyId);
+        const name = dependency?.workflow?.node || dependencyId;
+        this.updateJobStatus(job.id, 'CANCELLED', {
+            error: {
+                message: `Dependency ${name} ${dependency ? dependency.status.toLowerCase() : 'no longer exists'}`,
+                type: 'DependencyError',
+                code: 'DEPENDENCY_FAILED'
+            }
+        });
+    }
+
+    /**
+     * React to a job reaching a final status: cancel the jobs that can now never run,
+     * and with fail_fast every unfinished job of the same workflow
+     */
+    private handleFinishedDependency(job: Job): void {
+        if (job.status === 'COMPLETED') {
+            return;
+        }
+
+        this.cancelDependants(job.id);
+
+        if (job.workflow?.failurePolicy !== 'fail_fast') {
+            return;
+        }
+
+        for (const sibling of this.jobs.values()) {
+            if (sibling.workflow?.id !== job.workflow.id || FINISHED_JOB_STATUSES.includes(sibling.status)) {
+                continue;
+            }
+            if (sibling.status === 'RUNNING') {
+                this.cancelJob(sibling.id).catch((error: any) => {
+                    console.error('❌ Failed to cancel workflow job:', error.message);
+                });
+            } else {
+                this.updateJobStatus(sibling.id, 'CANCELLED', {
+                    error: {
+                        message: `Workflow stopped because node ${job.workflow.node} ${job.status.toLowerCase()}`,
+                        type: 'DependencyError',
+                        code: 'WORKFLOW_FAILED'
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Results of the completed upstream jobs, keyed by workflow node name (or job id outside a workflow)
+     */
+    private buildJobInputs(job: Job): Record<string, JobInput> | undefined {
+        if (!job.dependsOn || job.dependsOn.length === 0) {
+            return undefined;
+        }
+
+        const inputs: Record<string, JobInput> = {};
+        for (const dependencyId of job.dependsOn) {
+            const dependency = this.jobs.get(dependencyId);
+            if (!dependency) continue;
+            const key = dependency.workflow && dependency.workflow.id === job.workflow?.id ? dependency.workflow.node : dependencyId;
+            inputs[key] = {
+                jobId: dependencyId,
+                result: dependency.result?.output ?? null,
+                stdout: dependency.result?.stdout || ''
+            };
+        }
+        return inputs;
+    }
+
+    private fillWorkerSlots(): void {
+        while (this.processNextJob()) {
+            // Start jobs until the worker slots are full or nothing is runnable
+        }
     }
 
     getJob(jobId: string): Job | undefined {
@@ -103,20 +732,14 @@ export default class JobManager {
     }
 
     getAllJobs(options: GetAllJobsOptions = {}): GetAllJobsResult {
-        const { status, limit = 100, offset = 0 } = options;
-        let jobs = Array.from(this.jobs.values());
-        
-        if (status) {
-            jobs = jobs.filter(job => job.status === status);
-        }
-        
-        // Sort by creation date (newest first)
-        jobs.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+        const { limit = 100, offset = 0 } = options;
+        const { jobs, total, nextCursor } = this.store.query({ ...options, limit, offset });
         
         return {
-            jobs: jobs.slice(offset, offset + limit),
-            total: jobs.length,
-            hasMore: jobs.length > offset + limit
+            jobs,
+            total,
+            hasMore: options.cursor ? nextCursor !== null : total > offset + limit,
+            nextCursor
         };
     }
 
@@ -126,6 +749,7 @@ export default class JobManager {
             throw new Error(`Job ${jobId} not found`);
         }
 
+        const wasFinished = FINISHED_JOB_STATUSES.includes(job.status);
         job.status = status;
         job.updatedAt = new Date().toISOString();
         
@@ -140,10 +764,78 @@ export default class JobManager {
         
         this.jobs.set(jobId, job);
         this.persistJob(job);
+
+        // Dependants, the webhook and stream listeners hear about a job finishing only once
+        if (FINISHED_JOB_STATUSES.includes(status) && !wasFinished) {
+            this.handleFinishedDependency(job);
+            this.deliverWebhook(job);
+            this.emit('finished', job);
+        }
         
         return job;
     }
 
+    /**
+     * POST the finished job to its callback URL; every attempt is logged on job.webhook
+     */
+    private deliverWebhook(job: Job, resuming: boolean = false): void {
+        const webhook = job.webhook;
+        // A delivery in flight is only picked up again when a restart cut it short
+        if (!webhook || !(webhook.status === 'pending' || (resuming && webhook.status === 'sending'))) {
+            return;
+        }
+        webhook.status = 'sending';
+
+        webhook.event = `job.${job.status.toLowerCase()}`;
+        const { webhook: _webhook, ...jobResponse } = buildJobResponse(job);
+        const body = JSON.stringify({
+            event: webhook.event,
+            sentAt: new Date().toISOString(),
+            job: jobResponse
+        });
+
+        this.webhooks.dispatch({ url: webhook.url, event: webhook.event, deliveryId: `${job.id}:${webhook.event}`, body }, webhook.deliveries.length, (attempt, final) => {
+            webhook.deliveries.push(attempt);
+            if (attempt.success) {
+                webhook.status = 'delivered';
+            } else if (final) {
+                webhook.status = 'failed';
+                console.error(`❌ Webhook for job ${job.id} failed after ${attempt.attempt} attempt(s):`, attempt.error || `HTTP ${attempt.statusCode}`);
+            }
+            if (this.jobs.has(job.id)) {
+                this.persistJob(job);
+            }
+        });
+    }
+
+    /**
+     * Output captured so far for a job; only the most recent output is kept once the buffer is full
+     */
+    getJobOutput(jobId: string): JobOutput {
+        const buffer = this.outputBuffers.get(jobId);
+        return {
+            chunks: buffer ? [...buffer.chunks] : [],
+            droppedChunks: buffer ? buffer.droppedChunks : 0
+        };
+    }
+
+    private recordJobOutput(jobId: string, chunk: OutputChunk): void {
+        let buffer = this.outputBuffers.get(jobId);
+        if (!buffer) {
+            buffer = { chunks: [], droppedChunks: 0, bytes: 0 };
+            this.outputBuffers.set(jobId, buffer);
+        }
+
+        buffer.chunks.push(chunk);
+        buffer.bytes += chunk.data.length;
+        while (buffer.bytes > JobManager.MAX_BUFFERED_OUTPUT_BYTES && buffer.chunks.length > 1) {
+            buffer.bytes -= buffer.chunks.shift()!.data.length;
+            buffer.droppedChunks++;
+        }
+
+        this.emit('output', jobId, chunk);
+    }
+
     updateJobProgress(jobId: string, progress: number, message: string | null = null): void {
         const job = this.jobs.get(jobId);
         if (job && job.status === 'RUNNING') {
@@ -157,26 +849,33 @@ export default class JobManager {
         }
     }
 
-    cancelJob(jobId: string): Job {
+    async cancelJob(jobId: string): Promise<Job> {
         const job = this.jobs.get(jobId);
         if (!job) {
             throw new Error(`Job ${jobId} not found`);
         }
 
-        if (job.status === 'RUNNING') {
-            // Kill the worker process if it exists
+        const wasRunning = job.status === 'RUNNING';
+
+        // Mark cancelled first so the finishing execution does not overwrite the status
+        this.updateJobStatus(jobId, 'CANCELLED');
+
+        if (wasRunning) {
             const worker = this.workers.get(jobId);
-            if (worker && worker.kill) {
-                worker.kill('SIGTERM');
-                this.workers.delete(jobId);
-            }
+            const termination = worker
+                ? await this.secureExecutor.terminateExecution(worker.executionId)
+                : { signalled: 0, reaped: true };
+
+            // Already CANCELLED, only the termination report is added
+            job.termination = { ...termination, terminatedAt: new Date().toISOString() };
+            job.updatedAt = new Date().toISOString();
+            this.persistJob(job);
         }
 
-        this.updateJobStatus(jobId, 'CANCELLED');
         return job;
     }
 
-    deleteJob(jobId: string): boolean {
+    async deleteJob(jobId: string): Promise<boolean> {
         const job = this.jobs.get(jobId);
         if (!job) {
             throw new Error(`Job ${jobId} not found`);
@@ -184,26 +883,27 @@ export default class JobManager {
 
         // Cancel if running
         if (job.status === 'RUNNING') {
-            this.cancelJob(jobId);
+            await this.cancelJob(jobId);
         }
 
         this.jobs.delete(jobId);
+        this.outputBuffers.delete(jobId);
         this.removePersistedJob(jobId);
+        this.artifacts.remove(jobId);
+        this.cancelDependants(jobId);
         
         return true;
     }
 
     processNextJob(): boolean {
         // Check if we have available worker slots
-        if (this.workers.size >= this.maxConcurrentJobs) {
+        if (this.shuttingDown || this.workers.size >= this.maxConcurrentJobs) {
             return false;
         }
 
-        // Find next pending job
-        const pendingJob = Array.from(this.jobs.values())
-            .find(job => job.status === 'PENDING');
-        
+        const pendingJob = this.pickNextJob();
         if (!pendingJob) {
+            this.scheduleRetryWakeup();
             return false;
         }
 
@@ -211,64 +911,378 @@ export default class JobManager {
         return true;
     }
 
-    private async startJobExecution(job: Job): Promise<void> {
-        try {
-            this.updateJobStatus(job.id, 'RUNNING');
+    /**
+     * Round-robin across principals: the principal served least recently gets its turn, skipping those
+     * at their concurrency or hourly execution limit
+     * Within a principal the highest effective priority among runnable PENDING jobs wins, oldest first on a tie;
+     * a job gains one priority level for every priorityAgingMs it has been waiting
+     */
+    private pickNextJob(): Job | undefined {
+        const now = Date.now();
+        const candidates: Map<string, { job: Job; score: number }> = new Map();
+        const capacity: Map<string, boolean> = new Map();
 
-            // Use SecureExecutor for background job execution
-            const result = await this.secureExecutor.executeCode(job.payload, job.payload.headerEnvVars || {});
-
-            // Handle successful execution
-            if (result.success) {
-                // Prepare result data with security filtering already applied
-                const jobResult: JobResult = {
-                    stdout: result.data?.stdout || '',
-                    stderr: result.data?.stderr || '',
-                    code: result.data?.code || 0,
-                    executionTime: result.data?.executionTime || Date.now(),
-                    executionMode: result.data?.executionMode,
-                    securityFiltered: result.data?.securityFiltered
-                };
+        for (const job of this.jobs.values()) {
+            if (job.status !== 'PENDING' || this.workers.has(job.id)) {
+                continue;
+            }
+            if (job.nextRunAt && new Date(job.nextRunAt).getTime() > now) {
+                continue;
+            }
+            if (job.dependsOn && job.dependsOn.some(dependencyId => this.getDependencyState(dependencyId) !== 'ready')) {
+                continue;
+            }
+
+            const principal = job.principal || ANONYMOUS_PRINCIPAL;
+            if (!capacity.has(principal)) {
+                capacity.set(principal, this.hasCapacity(principal, now));
+            }
+            if (!capacity.get(principal)) {
+                continue;
+            }
+
+            const waitingSince = new Date(job.nextRunAt || job.createdAt).getTime();
+            const weight = PRIORITY_WEIGHTS[job.options?.priority || 'normal'] ?? PRIORITY_WEIGHTS.normal;
+            const score = weight + (now - waitingSince) / this.priorityAgingMs;
+
+            const best = candidates.get(principal);
+            if (!best || score > best.score || (score === best.score && job.createdAt < best.job.createdAt)) {
+                candidates.set(principal, { job, score });
+            }
+        }
+
+        let next: { principal: string; job: Job; score: number } | undefined;
+        for (const [principal, candidate] of candidates) {
+            const served = this.lastServed.get(principal) || 0;
+            const nextServed = next ? this.lastServed.get(next.principal) || 0 : Infinity;
+            if (served < nextServed || (served === nextServed && candidate.score > next!.score)) {
+                next = { principal, ...candidate };
+            }
+        }
+
+        return next?.job;
+    }
+
+    /**
+     * Whether a principal may start another job now
+     */
+    private hasCapacity(principal: string, now: number): boolean {
+        const { maxConcurrentJobs, maxExecutionsPerHour } = this.principalQuotas;
+        if (maxConcurrentJobs) {
+            const running = Array.from(this.workers.values()).filter(worker => worker.principal === principal).length;
+            if (running >= maxConcurrentJobs) {
+                return false;
+            }
+        }
+        return !maxExecutionsPerHour || this.getRecentExecutions(principal, now).length < maxExecutionsPerHour;
+    }
+
+    /**
+     * Start times of a principal's executions within the last hour, oldest first, forgetting older ones
+     */
+    private getRecentExecutions(principal: string, now: number): number[] {
+        const times = (this.executionTimes.get(principal) || [])
+            .filter(time => time > now - HOUR_MS)
+            .sort((a, b) => a - b);
+        if (times.length > 0) {
+            this.executionTimes.set(principal, times);
+        } else {
+            this.executionTimes.delete(principal);
+        }
+        return times;
+    }
 
-                // Add AI analysis if available
-                if (result.data?.aiAnalysis) {
-                    jobResult.aiAnalysis = result.data.aiAnalysis;
+    /**
+     * @throws QuotaExceededError if adding count jobs would take the principal over its queued job limit
+     */
+    private checkQueuedQuota(principal: string, count: number): void {
+        const { maxQueuedJobs } = this.principalQuotas;
+        if (!maxQueuedJobs) {
+            return;
+        }
+
+        let queued = 0;
+        for (const job of this.jobs.values()) {
+            if (job.status === 'PENDING' && (job.principal || ANONYMOUS_PRINCIPAL) === principal) {
+                queued++;
+            }
+        }
+        if (queued + count > maxQueuedJobs) {
+            throw new QuotaExceededError(principal, `Queued job limit of ${maxQueuedJobs} reached for ${principal}`);
+        }
+    }
+
+    /**
+     * Wake up when the earliest waiting retry becomes runnable
+     */
+    private scheduleRetryWakeup(): void {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        const now = Date.now();
+        const nextRunTimes = Array.from(this.jobs.values())
+            .filter(job => job.status === 'PENDING' && job.nextRunAt)
+            .map(job => new Date(job.nextRunAt as string).getTime())
+            .filter(time => time > now);
+
+        // Principals held back by the hourly limit may start again once their oldest execution is an hour old
+        const { maxExecutionsPerHour } = this.principalQuotas;
+        if (maxExecutionsPerHour) {
+            const waitingPrincipals = new Set(Array.from(this.jobs.values())
+                .filter(job => job.status === 'PENDING')
+                .map(job => job.principal || ANONYMOUS_PRINCIPAL));
+            for (const principal of waitingPrincipals) {
+                const times = this.getRecentExecutions(principal, now);
+                if (times.length >= maxExecutionsPerHour) {
+                    nextRunTimes.push(times[times.length - maxExecutionsPerHour] + HOUR_MS);
                 }
+            }
+        }
+
+        if (nextRunTimes.length === 0) {
+            return;
+        }
 
-                // Add code analysis info
-                if (result.data?.codeAnalysis) {
-                    jobResult.codeAnalysis = result.data.codeAnalysis;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.fillWorkerSlots();
+        }, Math.min(...nextRunTimes) - now);
+    }
+
+    private getJobTimeout(job: Job): number {
+        return job.options.timeout || job.payload.timeout || JobManager.DEFAULT_JOB_TIMEOUT_MS;
+    }
+
+    private async startJobExecution(job: Job): Promise<void> {
+        const principal = job.principal || ANONYMOUS_PRINCIPAL;
+        const startedAt = Date.now();
+        this.workers.set(job.id, { executionId: job.id, startedAt, principal });
+        this.executionTimes.set(principal, [...(this.executionTimes.get(principal) || []), startedAt]);
+        this.lastServed.set(principal, ++this.serveCounter);
+        const attemptStartedAt = new Date().toISOString();
+        let outputDir: string | null = null;
+
+        try {
+            this.updateJobStatus(job.id, 'RUNNING', { nextRunAt: null });
+
+            // Provider tokens only exist in clear for the duration of the execution
+            const { sealedHeaderEnvVars, ...jobPayload } = job.payload;
+            let headerEnvVars: Record<string, string> = {};
+            if (sealedHeaderEnvVars) {
+                try {
+                    headerEnvVars = openSealedSecrets(sealedHeaderEnvVars, `job:${job.id}`);
+                } catch (unsealError: any) {
+                    throw new Error(`Provider tokens of this job are no longer available: ${unsealError.message}`);
                 }
+            }
 
-                this.updateJobStatus(job.id, 'COMPLETED', { result: jobResult });
-            } else {
-                // Handle execution failure
-                const error: JobError = {
-                    message: result.error || 'Job execution failed',
-                    type: result.details || 'EXECUTION_ERROR',
-                    executionMode: result.executionMode || 'unknown'
-                };
+            const jobInputs = this.buildJobInputs(job);
+            // The executor defaults to the /execute timeout, a job runs for its own
+            const payload: ExecutionPayload = {
+                ...jobPayload,
+                timeout: this.getJobTimeout(job),
+                ...(jobInputs ? { job_inputs: jobInputs } : {})
+            };
+            outputDir = this.artifacts.createScratchDir(job.id);
 
-                // Add stdout/stderr if available in error response
-                if ((result as any).stdout) error.stdout = (result as any).stdout;
-                if ((result as any).stderr) error.stderr = (result as any).stderr;
+            // Use SecureExecutor for background job execution
+            const result = await this.secureExecutor.executeCode(payload, headerEnvVars, {
+                executionId: job.id,
+                onOutput: chunk => this.recordJobOutput(job.id, chunk),
+                outputDir,
+                // The per-request CPU limit would end a long job long before its timeout
+                maxCpuSeconds: this.jobMaxCpuSeconds || Math.ceil(payload.timeout! / 1000)
+            });
 
-                this.updateJobStatus(job.id, 'FAILED', { error });
+            // cancelJob owns the final status of a cancelled job
+            if (this.isCancelled(job.id)) {
+                return;
             }
 
+            this.collectArtifacts(job, outputDir);
+            this.finishAttempt(job.id, attemptStartedAt, this.getResultOutcome(result));
+
         } catch (error: any) {
+            if (this.isCancelled(job.id)) {
+                return;
+            }
             console.error('❌ Job execution error:', error);
-            const jobError: JobError = {
-                message: error.message || 'Unknown execution error',
-                type: error.constructor.name,
-                details: error.details,
-                executionMode: error.executionMode || 'unknown'
+            if (outputDir) {
+                this.collectArtifacts(job, outputDir);
+            }
+            this.finishAttempt(job.id, attemptStartedAt, this.getErrorOutcome(error));
+        } finally {
+            if (outputDir) {
+                this.artifacts.removeScratchDir(outputDir);
+            }
+            this.workers.delete(job.id);
+
+            // Always try to process next jobs, completing may have unblocked several dependants
+            this.fillWorkerSlots();
+        }
+    }
+
+    /**
+     * Keep what the attempt wrote to its OUTPUT_DIR, before the status change that reports it
+     */
+    private collectArtifacts(job: Job, outputDir: string): void {
+        try {
+            const { artifacts, skipped } = this.artifacts.collect(job.id, outputDir);
+            job.artifacts = artifacts.length > 0 ? artifacts : undefined;
+            job.artifactsSkipped = skipped.length > 0 ? skipped : undefined;
+        } catch (error: any) {
+            console.error(`❌ Failed to collect artifacts of job ${job.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Path of a stored artifact, only for names recorded on the job
+     */
+    getArtifactPath(jobId: string, name: string): string | null {
+        const job = this.jobs.get(jobId);
+        if (!job?.artifacts?.some(artifact => artifact.name === name)) {
+            return null;
+        }
+        return this.artifacts.resolve(jobId, name);
+    }
+
+    private getResultOutcome(result: ExecutionResult): AttemptOutcome {
+        // Handle successful execution
+        if (result.success) {
+            // Prepare result data with security filtering already applied
+            const jobResult: JobResult = {
+                stdout: result.data?.stdout || '',
+                stderr: result.data?.stderr || '',
+                code: result.data?.code || 0,
+                executionTime: result.data?.executionTime || Date.now(),
+                executionMode: result.data?.executionMode,
+                securityFiltered: result.data?.securityFiltered,
+                ...(result.data?.result !== undefined ? { output: result.data.result } : {})
             };
-            this.updateJobStatus(job.id, 'FAILED', { error: jobError });
+
+            // Add AI analysis if available
+            if (result.data?.aiAnalysis) {
+                jobResult.aiAnalysis = result.data.aiAnalysis;
+            }
+
+            // Add code analysis info
+            if (result.data?.codeAnalysis) {
+                jobResult.codeAnalysis = result.data.codeAnalysis;
+            }
+
+            // The code ran, but a data variable was rate limited - worth running again later
+            const rateLimited = Object.entries(result.data?.dataVariablesExecution?.variables || {})
+                .filter(([, timing]) => timing.errorType === 'rate_limit_error')
+                .map(([name]) => name);
+            if (rateLimited.length > 0) {
+                return {
+                    status: 'COMPLETED',
+                    result: jobResult,
+                    transient: true,
+                    error: {
+                        message: `Rate limit exceeded for data variables: ${rateLimited.join(', ')}`,
+                        type: 'rate_limit_error',
+                        code: 'RATE_LIMIT'
+                    }
+                };
+            }
+
+            return { status: 'COMPLETED', result: jobResult, transient: false };
         }
 
-        // Always try to process next job
-        this.processNextJob();
+        // Handle execution failure
+        const error: JobError = {
+            message: (typeof result.error === 'string' ? result.error : (result.error as any)?.message) || 'Job execution failed',
+            type: result.details || 'EXECUTION_ERROR',
+            executionMode: result.executionMode || 'unknown'
+        };
+
+        // Add stdout/stderr if available in error response
+        if ((result as any).stdout) error.stdout = (result as any).stdout;
+        if ((result as any).stderr) error.stderr = (result as any).stderr;
+
+        return { status: 'FAILED', error, transient: false };
+    }
+
+    /**
+     * Turn a rejected execution into a job error, classifying timeouts, spawn errors
+     * and waiting for an execution slot as transient
+     */
+    private getErrorOutcome(error: any): AttemptOutcome {
+        // Spawn errors reject with the error details nested under `error`
+        const spawnError = error.error && typeof error.error === 'object' ? error.error : null;
+
+        const jobError: JobError = {
+            message: error.message || spawnError?.message || error.error || 'Unknown execution error',
+            type: spawnError?.type || error.constructor.name,
+            details: error.details,
+            executionMode: error.executionMode || spawnError?.executionMode || 'unknown'
+        };
+
+        let transient = false;
+        if (error.limit) {
+            // Resource limit failures carry their code (MEMORY_LIMIT, OUTPUT_LIMIT, ...)
+            jobError.code = error.limit.code;
+            transient = error.limit.code === 'CONCURRENCY_LIMIT';
+        } else if (error.timeout) {
+            jobError.code = 'TIMEOUT';
+            transient = true;
+        } else if (spawnError) {
+            jobError.code = spawnError.code || 'SPAWN_ERROR';
+            transient = !spawnError.code || TRANSIENT_SPAWN_ERRORS.includes(spawnError.code);
+        }
+
+        return { status: 'FAILED', error: jobError, transient };
+    }
+
+    /**
+     * Record the attempt, then either schedule a retry or store the final outcome
+     */
+    private finishAttempt(jobId: string, startedAt: string, outcome: AttemptOutcome): void {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return;
+        }
+
+        const attempts = job.attempts || [];
+        const attempt: JobAttempt = {
+            attempt: attempts.length + 1,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            status: outcome.status,
+            ...(outcome.error ? { error: outcome.error, transient: outcome.transient } : {})
+        };
+        attempts.push(attempt);
+
+        const maxRetries = job.options?.maxRetries || 0;
+        if (outcome.transient && attempts.length <= maxRetries) {
+            const delay = Math.min(this.retryBaseDelayMs * Math.pow(2, attempts.length - 1), this.retryMaxDelayMs);
+            this.updateJobStatus(jobId, 'PENDING', {
+                attempts,
+                error: outcome.error,
+                nextRunAt: new Date(Date.now() + delay).toISOString(),
+                progressMessage: `Attempt ${attempts.length} failed (${outcome.error.message}), retrying in ${Math.round(delay / 1000)}s`
+            });
+            this.scheduleRetryWakeup();
+            return;
+        }
+
+        if (outcome.status === 'COMPLETED') {
+            this.updateJobStatus(jobId, 'COMPLETED', { attempts, result: outcome.result, error: null });
+        } else {
+            this.updateJobStatus(jobId, 'FAILED', { attempts, error: outcome.error });
+        }
+    }
+
+    private isCancelled(jobId: string): boolean {
+        // Jobs interrupted by shutdown keep their stored RUNNING status and are re-queued on the next start
+        if (this.shuttingDown) {
+            return true;
+        }
+        const job = this.jobs.get(jobId);
+        return !job || job.status === 'CANCELLED';
     }
 
     private cleanupExpiredJobs(): void {
@@ -277,82 +1291,98 @@ export default class JobManager {
         
         for (const [jobId, job] of this.jobs.entries()) {
             const jobAge = now - new Date(job.createdAt).getTime();
-            if (jobAge > this.jobTTL && ['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) {
+            if (jobAge > this.jobTTL && FINISHED_JOB_STATUSES.includes(job.status)) {
                 expiredJobs.push(jobId);
             }
         }
         
         expiredJobs.forEach(jobId => {
             this.jobs.delete(jobId);
+            this.outputBuffers.delete(jobId);
             this.removePersistedJob(jobId);
+            this.artifacts.remove(jobId);
+            this.cancelDependants(jobId);
         });
         
         if (expiredJobs.length > 0) {
             
         }
+
+        // Forget keys whose job is gone or whose window has passed
+        for (const [slot, jobId] of this.idempotencyKeys) {
+            const job = this.jobs.get(jobId);
+            if (!job || now - new Date(job.createdAt).getTime() > this.idempotencyWindowMs) {
+                this.idempotencyKeys.delete(slot);
+            }
+        }
     }
 
     private persistJob(job: Job): void {
-        if (!this.enablePersistence) return;
-        
         try {
-            const jobs = this.loadJobsFromFile();
-            jobs[job.id] = job;
-            fs.writeFileSync(this.persistenceFile, JSON.stringify(jobs, null, 2));
+            this.store.save(job);
         } catch (error: any) {
             console.error('❌ Failed to persist job:', error.message);
         }
     }
 
     private removePersistedJob(jobId: string): void {
-        if (!this.enablePersistence) return;
-        
         try {
-            const jobs = this.loadJobsFromFile();
-            delete jobs[jobId];
-            fs.writeFileSync(this.persistenceFile, JSON.stringify(jobs, null, 2));
+            this.store.remove(jobId);
         } catch (error: any) {
             console.error('❌ Failed to remove persisted job:', error.message);
         }
     }
 
-    private loadJobsFromFile(): Record<string, Job> {
-        try {
-            if (fs.existsSync(this.persistenceFile)) {
-                const data = fs.readFileSync(this.persistenceFile, 'utf8');
-                return JSON.parse(data);
-            }
-        } catch (error: any) {
-            console.error('❌ Failed to load jobs from file:', error.message);
-        }
-        return {};
-    }
-
     private loadPersistedJobs(): void {
         try {
-            const persistedJobs = this.loadJobsFromFile();
+            const persistedJobs = this.store.load();
             
-            for (const [jobId, job] of Object.entries(persistedJobs)) {
+            const hourAgo = Date.now() - HOUR_MS;
+            for (const job of persistedJobs) {
+                this.jobs.set(job.id, job);
+
+                // Jobs persisted before provider tokens were sealed are rewritten without them
+                if (job.payload?.headerEnvVars) {
+                    job.payload = this.sealPayload(job.id, job.payload, new Date(job.createdAt));
+                    this.persistJob(job);
+                }
+
+                // Executions of the last hour still count towards the hourly quota after a restart
+                for (const attempt of job.attempts || []) {
+                    const startedAt = new Date(attempt.startedAt).getTime();
+                    if (startedAt > hourAgo) {
+                        const principal = job.principal || ANONYMOUS_PRINCIPAL;
+                        this.executionTimes.set(principal, [...(this.executionTimes.get(principal) || []), startedAt]);
+                    }
+                }
+                if (job.idempotencyKey) {
+                    this.idempotencyKeys.set(this.getIdempotencySlot(job.principal, job.idempotencyKey), job.id);
+                }
+
                 // Reset running jobs to pending on startup
                 if (job.status === 'RUNNING') {
                     job.status = 'PENDING';
                     job.startedAt = null;
                     job.updatedAt = new Date().toISOString();
+                    this.persistJob(job);
+                }
+
+                // Resume webhook deliveries cut short by the restart
+                if (FINISHED_JOB_STATUSES.includes(job.status)) {
+                    this.deliverWebhook(job, true);
                 }
-                
-                this.jobs.set(jobId, job);
             }
             
-            
-            
+
             // Process any pending jobs
-            this.processNextJob();
+            this.fillWorkerSlots();
         } catch (error: any) {
             console.error('❌ Failed to load persisted jobs:', error.message);
         }
     }
 
     getStats(): JobStats {
+        const now = Date.now();
         const stats: JobStats = {
             total: this.jobs.size,
             pending: 0,
@@ -361,7 +1391,13 @@ export default class JobManager {
             failed: 0,
             cancelled: 0,
             activeWorkers: this.workers.size,
-            maxConcurrentJobs: this.maxConcurrentJobs
+            maxConcurrentJobs: this.maxConcurrentJobs,
+            principalQuotas: this.principalQuotas,
+            principals: {}
+        };
+        const usageOf = (principal: string): PrincipalUsage => {
+            stats.principals[principal] = stats.principals[principal] || { running: 0, queued: 0, executionsLastHour: 0, total: 0 };
+            return stats.principals[principal];
         };
 
         for (const job of this.jobs.values()) {
@@ -369,23 +1405,47 @@ export default class JobManager {
             if (typeof stats[statusKey] === 'number') {
                 (stats[statusKey] as number)++;
             }
+
+            const usage = usageOf(job.principal || ANONYMOUS_PRINCIPAL);
+            usage.total++;
+            if (job.status === 'RUNNING') {
+                usage.running++;
+            } else if (job.status === 'PENDING') {
+                usage.queued++;
+            }
+        }
+        for (const principal of Array.from(this.executionTimes.keys())) {
+            const executions = this.getRecentExecutions(principal, now).length;
+            if (executions > 0) {
+                usageOf(principal).executionsLastHour = executions;
+            }
         }
 
         return stats;
     }
 
     shutdown(): void {
-        // Cancel all running jobs
-        for (const [, worker] of this.workers.entries()) {
-            if (worker && worker.kill) {
-                worker.kill('SIGTERM');
-            }
+        this.shuttingDown = true;
+        this.scheduler.stop();
+        this.webhooks.stop();
+
+        // Stop the process groups of all running jobs
+        for (const worker of this.workers.values()) {
+            this.secureExecutor.terminateExecution(worker.executionId).catch((error: any) => {
+                console.error('❌ Failed to terminate job execution:', error.message);
+            });
         }
         
         // Clear cleanup interval
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
         }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+        }
+
+        // Write out anything the store has not persisted yet
+        this.store.close();
         
         
     }
@@ -0,0 +1,358 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { ExecutionPayload, JobSchedule, ScheduleInput, ScheduleConcurrencyPolicy, ScheduleMissedRunPolicy } from '../types';
+import { sealSecrets, openSealedSecrets } from '../utils/crypto';
+import { nextCronTime, parseCron } from './cron';
+import type JobManager from './JobManager';
+
+export interface SchedulerOptions {
+    /** schedules.json next to jobs.json; null keeps schedules in memory only */
+    schedulesFile?: string | null;
+}
+
+const CONCURRENCY_POLICIES: ScheduleConcurrencyPolicy[] = ['allow', 'forbid', 'replace'];
+const MISSED_RUN_POLICIES: ScheduleMissedRunPolicy[] = ['run_once', 'skip'];
+const ACTIVE_JOB_STATUSES = ['PENDING', 'RUNNING'];
+
+/**
+ * Fires job schedules (one-off runAt or cron) by creating normal jobs through the JobManager
+ * Schedules are kept in a JSON file written with temp-file-then-rename, like the json job store
+ */
+export default class Scheduler {
+    // Re-check at least this often so clock changes and long sleeps don't delay a firing
+    private static readonly MAX_TIMER_MS = 60 * 1000;
+    private static readonly MAX_SCHEDULES = 1000;
+
+    private schedules: Map<string, JobSchedule> = new Map();
+    private jobManager: JobManager;
+    private schedulesFile: string | null;
+    private timer: NodeJS.Timeout | null = null;
+    private stopped = false;
+
+    constructor(jobManager: JobManager, options: SchedulerOptions = {}) {
+        this.jobManager = jobManager;
+        this.schedulesFile = options.schedulesFile === undefined
+            ? path.join(__dirname, '../../data/schedules.json')
+            : options.schedulesFile;
+
+        this.loadSchedules();
+        this.armTimer();
+    }
+
+    list(): JobSchedule[] {
+        return Array.from(this.schedules.values())
+            .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+    }
+
+    get(scheduleId: string): JobSchedule | undefined {
+        return this.schedules.get(scheduleId);
+    }
+
+    create(input: ScheduleInput): JobSchedule {
+        if (this.schedules.size >= Scheduler.MAX_SCHEDULES) {
+            throw new Error(`At most ${Scheduler.MAX_SCHEDULES} schedules are allowed`);
+        }
+
+        const now = new Date().toISOString();
+        const scheduleId = randomBytes(16).toString('hex');
+        const schedule: JobSchedule = {
+            id: scheduleId,
+            ...(input.name ? { name: input.name } : {}),
+            ...(input.cron ? { cron: input.cron } : {}),
+            ...(input.runAt ? { runAt: input.runAt } : {}),
+            payload: this.sealPayload(scheduleId, input.payload as JobSchedule['payload']),
+            options: input.options || {},
+            concurrencyPolicy: input.concurrencyPolicy || 'forbid',
+            missedRunPolicy: input.missedRunPolicy || 'run_once',
+            enabled: input.enabled !== false,
+            createdAt: now,
+            updatedAt: now,
+            nextRunAt: null,
+            lastRunAt: null,
+            lastJobId: null,
+            runCount: 0
+        };
+
+        this.validateSchedule(schedule, true);
+        schedule.nextRunAt = this.computeNextRun(schedule, new Date());
+
+        this.schedules.set(schedule.id, schedule);
+        this.saveSchedules();
+        this.armTimer();
+        return schedule;
+    }
+
+    update(scheduleId: string, input: ScheduleInput): JobSchedule {
+        const existing = this.schedules.get(scheduleId);
+        if (!existing) {
+            throw new Error(`Schedule ${scheduleId} not found`);
+        }
+
+        const updated: JobSchedule = { ...existing };
+        if (input.name !== undefined) updated.name = input.name;
+        if (input.payload !== undefined) {
+            updated.payload = input.payload.headerEnvVars
+                ? this.sealPayload(scheduleId, input.payload)
+                : { ...this.sealPayload(scheduleId, input.payload), sealedHeaderEnvVars: existing.payload.sealedHeaderEnvVars };
+        }
+        if (input.options !== undefined) updated.options = input.options;
+        if (input.concurrencyPolicy !== undefined) updated.concurrencyPolicy = input.concurrencyPolicy;
+        if (input.missedRunPolicy !== undefined) updated.missedRunPolicy = input.missedRunPolicy;
+        if (input.enabled !== undefined) updated.enabled = input.enabled;
+        // cron and runAt are mutually exclusive, setting one replaces the other
+        if (input.cron !== undefined) {
+            updated.cron = input.cron;
+            delete updated.runAt;
+        } else if (input.runAt !== undefined) {
+            updated.runAt = input.runAt;
+            delete updated.cron;
+        }
+
+        const timingChanged = input.cron !== undefined || input.runAt !== undefined || input.enabled !== undefined;
+        this.validateSchedule(updated, input.runAt !== undefined);
+
+        if (timingChanged) {
+            updated.nextRunAt = this.computeNextRun(updated, new Date());
+        }
+        updated.updatedAt = new Date().toISOString();
+
+        this.schedules.set(scheduleId, updated);
+        this.saveSchedules();
+        this.armTimer();
+        return updated;
+    }
+
+    delete(scheduleId: string): boolean {
+        if (!this.schedules.has(scheduleId)) {
+            throw new Error(`Schedule ${scheduleId} not found`);
+        }
+
+        this.schedules.delete(scheduleId);
+        this.saveSchedules();
+        this.armTimer();
+        return true;
+    }
+
+    stop(): void {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    private validateSchedule(schedule: JobSchedule, checkRunAtInFuture: boolean): void {
+        if (!!schedule.cron === !!schedule.runAt) {
+            throw new Error('A schedule needs exactly one of cron or runAt');
+        }
+        if (schedule.cron) {
+            parseCron(schedule.cron);
+        }
+        if (schedule.runAt) {
+            const runAt = new Date(schedule.runAt);
+            if (isNaN(runAt.getTime())) {
+                throw new Error(`Invalid runAt date: ${schedule.runAt}`);
+            }
+            if (checkRunAtInFuture && runAt.getTime() <= Date.now()) {
+                throw new Error('runAt must be in the future');
+            }
+        }
+        if (schedule.name !== undefined && (typeof schedule.name !== 'string' || schedule.name.length > 100)) {
+            throw new Error('Schedule name must be a string of at most 100 characters');
+        }
+
+        const payload = schedule.payload;
+        if (!payload || typeof payload !== 'object' || (!payload.code && !payload.Global_code && !payload.global_code)) {
+            throw new Error('Schedule payload must contain code, Global_code or global_code');
+        }
+        if (!CONCURRENCY_POLICIES.includes(schedule.concurrencyPolicy)) {
+            throw new Error(`concurrencyPolicy must be one of ${CONCURRENCY_POLICIES.join(', ')}`);
+        }
+        if (!MISSED_RUN_POLICIES.includes(schedule.missedRunPolicy)) {
+            throw new Error(`missedRunPolicy must be one of ${MISSED_RUN_POLICIES.join(', ')}`);
+        }
+        this.jobManager.validateJobOptions(schedule.options || {});
+    }
+
+    private computeNextRun(schedule: JobSchedule, after: Date): string | null {
+        if (!schedule.enabled) {
+            return null;
+        }
+        if (schedule.runAt) {
+            // A one-off schedule fires once
+            return schedule.runCount === 0 ? new Date(schedule.runAt).toISOString() : null;
+        }
+        const next = nextCronTime(schedule.cron as string, after);
+        return next ? next.toISOString() : null;
+    }
+
+    private armTimer(): void {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.stopped) {
+            return;
+        }
+
+        const nextRunTimes = Array.from(this.schedules.values())
+            .filter(schedule => schedule.enabled && schedule.nextRunAt)
+            .map(schedule => new Date(schedule.nextRunAt as string).getTime());
+        if (nextRunTimes.length === 0) {
+            return;
+        }
+
+        const delay = Math.max(0, Math.min(Math.min(...nextRunTimes) - Date.now(), Scheduler.MAX_TIMER_MS));
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.fireDueSchedules();
+            this.armTimer();
+        }, delay);
+    }
+
+    private fireDueSchedules(): void {
+        const now = new Date();
+        let changed = false;
+
+        for (const schedule of this.schedules.values()) {
+            if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt).getTime() > now.getTime()) {
+                continue;
+            }
+            this.fire(schedule, now);
+            changed = true;
+        }
+
+        if (changed) {
+            this.saveSchedules();
+        }
+    }
+
+    /**
+     * Create the job for one firing, honouring the concurrency policy, and move on to the next run
+     */
+    private fire(schedule: JobSchedule, now: Date): void {
+        const previousJob = schedule.lastJobId ? this.jobManager.getJob(schedule.lastJobId) : undefined;
+        const previousActive = !!previousJob && ACTIVE_JOB_STATUSES.includes(previousJob.status);
+        let skip = false;
+
+        if (previousActive && schedule.concurrencyPolicy === 'forbid') {
+            skip = true;
+        } else if (previousActive && schedule.concurrencyPolicy === 'replace') {
+            this.jobManager.cancelJob(previousJob!.id).catch((error: any) => {
+                console.error('❌ Failed to cancel replaced scheduled job:', error.message);
+            });
+        }
+
+        if (skip) {
+            schedule.lastSkippedAt = now.toISOString();
+        } else {
+            try {
+                const jobId = this.jobManager.createJob(this.unsealPayload(schedule), schedule.options, { scheduleId: schedule.id });
+                schedule.lastJobId = jobId;
+                schedule.lastRunAt = now.toISOString();
+            } catch (error: any) {
+                console.error(`❌ Failed to create job for schedule ${schedule.id}:`, error.message);
+            }
+        }
+
+        schedule.runCount++;
+        schedule.nextRunAt = this.computeNextRun(schedule, now);
+        if (schedule.runAt && !schedule.nextRunAt) {
+            schedule.enabled = false;
+        }
+        schedule.updatedAt = now.toISOString();
+    }
+
+    /**
+     * Load persisted schedules and deal with runs missed while the server was down:
+     * 'run_once' fires a single catch-up run, 'skip' moves straight on to the next run
+     */
+    private loadSchedules(): void {
+        if (!this.schedulesFile) {
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(this.schedulesFile)) {
+                return;
+            }
+            const persisted: Record<string, JobSchedule> = JSON.parse(fs.readFileSync(this.schedulesFile, 'utf8'));
+            const now = new Date();
+            let migrated = false;
+
+            for (const schedule of Object.values(persisted)) {
+                const missed = schedule.enabled && schedule.nextRunAt && new Date(schedule.nextRunAt).getTime() <= now.getTime();
+                if (missed && schedule.missedRunPolicy === 'skip') {
+                    schedule.lastSkippedAt = now.toISOString();
+                    schedule.runCount += schedule.runAt ? 1 : 0;
+                    schedule.nextRunAt = this.computeNextRun(schedule, now);
+                    if (schedule.runAt) {
+                        schedule.enabled = false;
+                    }
+                }
+                // Schedules saved before provider tokens were sealed
+                if (schedule.payload?.headerEnvVars) {
+                    schedule.payload = this.sealPayload(schedule.id, schedule.payload);
+                    migrated = true;
+                }
+                this.schedules.set(schedule.id, schedule);
+            }
+            if (migrated) {
+                this.saveSchedules();
+            }
+        } catch (error: any) {
+            console.error('❌ Failed to load schedules:', error.message);
+        }
+    }
+
+    /**
+     * Names of the provider tokens stored with a schedule, never their values
+     */
+    getCredentialNames(schedule: JobSchedule): string[] {
+        try {
+            return Object.keys(this.unsealPayload(schedule).headerEnvVars || {});
+        } catch (error: any) {
+            return [];
+        }
+    }
+
+    /**
+     * Provider tokens are kept sealed to the schedule for as long as it exists
+     */
+    private sealPayload(scheduleId: string, payload: ExecutionPayload): ExecutionPayload {
+        const { headerEnvVars, sealedHeaderEnvVars: _sealedHeaderEnvVars, ...storedPayload } = payload;
+        if (!headerEnvVars || Object.keys(headerEnvVars).length === 0) {
+            return storedPayload;
+        }
+        return { ...storedPayload, sealedHeaderEnvVars: sealSecrets(headerEnvVars, `schedule:${scheduleId}`) };
+    }
+
+    /**
+     * The payload a firing submits; the job seals the tokens again to itself
+     */
+    private unsealPayload(schedule: JobSchedule): ExecutionPayload {
+        const { sealedHeaderEnvVars, ...payload } = schedule.payload;
+        return sealedHeaderEnvVars
+            ? { ...payload, headerEnvVars: openSealedSecrets(sealedHeaderEnvVars, `schedule:${schedule.id}`) }
+            : payload;
+    }
+
+    private saveSchedules(): void {
+        if (!this.schedulesFile) {
+            return;
+        }
+
+        const tempPath = `${this.schedulesFile}.${process.pid}.tmp`;
+        try {
+            const dataDir = path.dirname(this.schedulesFile);
+            if (!fs.existsSync(dataDir)) {
+                fs.mkdirSync(dataDir, { recursive: true });
+            }
+            fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.schedules), null, 2));
+            fs.renameSync(tempPath, this.schedulesFile);
+        } catch (error: any) {
+            console.error('❌ Failed to persist schedules:', error.message);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { signWebhookPayload } from '../utils/crypto';
+import { WebhookDeliveryAttempt } from '../types';
+
+export interface WebhookDispatcherOptions {
+    maxAttempts?: number;
+    /** Delay before the first retry, doubled for every further attempt */
+    retryBaseDelayMs?: number;
+    timeoutMs?: number;
+}
+
+export interface WebhookRequest {
+    url: string;
+    event: string;
+    deliveryId: string;
+    body: string;
+}
+
+// Loopback, private, link-local (cloud metadata), shared, benchmarking, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+] as Array<[string, number]>) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]] as Array<[string, number]>) {
+    PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Callbacks to loopback and private networks are refused unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true,
+ * e.g. for the local stand-in of test-webhooks.js
+ */
+export function isPrivateCallbackAllowed(): boolean {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Deliveries are signed with a key derived from KB_ENCRYPTION_SECRET, without it none can be sent
+ */
+export function canSignWebhooks(): boolean {
+    return !!process.env.KB_ENCRYPTION_SECRET;
+}
+
+export function isPrivateAddress(address: string): boolean {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    const family = net.isIP(address);
+    return family === 0 ? false : PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for names resolving to a private address, checked on every connection
+ * so a name cannot be pointed at an internal host after the URL was accepted
+ */
+function publicLookup(hostname: string, options: dns.LookupOptions, callback: (...args: any[]) => void): void {
+    dns.lookup(hostname, options, (error: any, address: any, family?: number) => {
+        if (error) {
+            callback(error, address, family);
+            return;
+        }
+        const addresses: string[] = Array.isArray(address) ? address.map((entry: dns.LookupAddress) => entry.address) : [address];
+        if (!isPrivateCallbackAllowed() && addresses.some(isPrivateAddress)) {
+            callback(new Error(`Callback host ${hostname} resolves to a private address`), address, family);
+            return;
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Parse a callback URL; only absolute http(s) URLs without credentials are accepted,
+ * and none pointing at localhost or a private address unless isPrivateCallbackAllowed()
+ * @throws Error if the URL is not usable
+ */
+export function validateCallbackUrl(callbackUrl: string): string {
+    let parsed: URL;
+    try {
+        parsed = new URL(callbackUrl);
+    } catch (error: any) {
+        throw new Error(`Invalid callback URL: ${callbackUrl}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Callback URL must use http or https');
+    }
+    if (parsed.username || parsed.password) {
+        throw new Error('Callback URL must not contain credentials');
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!isPrivateCallbackAllowed() && (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname))) {
+        throw new Error('Callback URL must not point at localhost or a private network address');
+    }
+    return parsed.toString();
+}
+
+/**
+ * POSTs signed webhook bodies, retrying network errors, timeouts, 408, 429 and 5xx responses
+ * with exponential backoff; other responses end the delivery
+ */
+export default class WebhookDispatcher {
+    private static readonly MAX_ATTEMPTS = 10;
+
+    private maxAttempts: number;
+    private retryBaseDelayMs: number;
+    private timeoutMs: number;
+    private retryTimers: Set<NodeJS.Timeout> = new Set();
+    private stopped = false;
+
+    constructor(options: WebhookDispatcherOptions = {}) {
+        this.maxAttempts = Math.min(Math.max(1, options.maxAttempts || 5), WebhookDispatcher.MAX_ATTEMPTS);
+        this.retryBaseDelayMs = options.retryBaseDelayMs ?? 2000;
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    /**
+     * Deliver in the background, reporting every attempt
+     * @param previousAttempts - attempts already made, when resuming a delivery after a restart
+     * @param onAttempt - called after each attempt; final is true once no further attempt follows
+     */
+    dispatch(
+        request: WebhookRequest,
+        previousAttempts: number,
+        onAttempt: (attempt: WebhookDeliveryAttempt, final: boolean) => void
+    ): void {
+        const attemptNumber = previousAttempts + 1;
+        if (this.stopped || attemptNumber > this.maxAttempts) {
+            return;
+        }
+
+        const startedAt = Date.now();
+        this.send(request).then(statusCode => {
+            const success = statusCode >= 200 && statusCode < 300;
+            const retryable = statusCode === 408 || statusCode === 429 || statusCode >= 500;
+            this.finishAttempt(request, attemptNumber, startedAt, { success, statusCode }, success || !retryable, onAttempt);
+        }).catch((error: any) => {
+            this.finishAttempt(request, attemptNumber, startedAt, { success: false, error: error.message }, false, onAttempt);
+        });
+    }
+
+    stop(): void {
+        this.stopped = true;
+        for (const timer of this.retryTimers) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+
+    private finishAttempt(
+        request: WebhookRequest,
+        attemptNumber: number,
+        startedAt: number,
+        outcome: { success: boolean; statusCode?: number; error?: string },
+        done: boolean,
+        onAttempt: (attempt: WebhookDeliveryAttempt, final: boolean) => void
+    ): void {
+        const final = done || attemptNumber >= this.maxAttempts;
+        onAttempt({
+            attempt: attemptNumber,
+            attemptedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+            ...outcome
+        }, final);
+
+        if (final || this.stopped) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            this.dispatch(request, attemptNumber, onAttempt);
+        }, this.retryBaseDelayMs * Math.pow(2, attemptNumber - 1));
+        this.retryTimers.add(timer);
+    }
+
+    private send(request: WebhookRequest): Promise<number> {
+        return new Promise((resolve, reject) => {
+            // Signed per attempt, so the timestamp in the signature is always fresh
+            const signature = signWebhookPayload(request.body);
+            const target = new URL(request.url);
+            const client = target.protocol === 'https:' ? https : http;
+            // Literal addresses skip the lookup, a URL accepted before the setting changed is checked again here
+            try {
+                validateCallbackUrl(request.url);
+            } catch (error: any) {
+                reject(error);
+                return;
+            }
+
+            const req = client.request(target, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(request.body),
+                    'User-Agent': 'keyboard-job-webhooks',
+                    'X-Keyboard-Event': request.event,
+                    'X-Keyboard-Delivery': request.deliveryId,
+                    'X-Keyboard-Signature': signature
+                },
+                timeout: this.timeoutMs,
+                lookup: publicLookup
+            }, res => {
+                // The body is not used, only drained so the socket is released
+                res.resume();
+                res.on('end', () => resolve(res.statusCode || 0));
+                res.on('error', reject);
+            });
+
+            req.on('timeout', () => {
+                req.destroy(new Error(`Webhook timed out after ${this.timeoutMs}ms`));
+            });
+            req.on('error', reject);
+            req.end(request.body);
+        });
+    }
+}
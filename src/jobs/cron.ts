@@ -0,0 +1,165 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+ * Supports *, lists (1,15), ranges (1-5), steps (*\/15, 0-30/10), month and weekday names
+ * and the @hourly, @daily, @weekly, @monthly, @yearly shortcuts
+ */
+export interface CronSchedule {
+    minutes: Set<number>;
+    hours: Set<number>;
+    daysOfMonth: Set<number>;
+    months: Set<number>;
+    daysOfWeek: Set<number>;
+    // Standard cron: when both day fields are restricted a day matching either one fires
+    dayOfMonthRestricted: boolean;
+    dayOfWeekRestricted: boolean;
+}
+
+const MACROS: Record<string, string> = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Searching further than this means the expression can never fire (e.g. 30 February)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(value: string, names: string[] | null, offset: number): number {
+    const upper = value.toUpperCase();
+    if (names && names.includes(upper)) {
+        return names.indexOf(upper) + offset;
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid cron value: ${value}`);
+    }
+    return parseInt(value, 10);
+}
+
+function parseField(field: string, min: number, max: number, names: string[] | null = null, nameOffset = 0): Set<number> {
+    const values = new Set<number>();
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+            throw new Error(`Invalid cron step: ${part}`);
+        }
+
+        let start: number;
+        let end: number;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, names, nameOffset);
+            end = parseValue(to, names, nameOffset);
+        } else {
+            start = parseValue(range, names, nameOffset);
+            // "5/15" means from 5 to the end of the range
+            end = stepText === undefined ? start : max;
+        }
+
+        if (start < min || end > max || start > end) {
+            throw new Error(`Cron field value out of range (${min}-${max}): ${part}`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+export function parseCron(expression: string): CronSchedule {
+    if (typeof expression !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+
+    const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const fields = normalized.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression must have 5 fields (minute hour day month weekday): ${expression}`);
+    }
+
+    const [minuteField, hourField, dayOfMonthField, monthField, dayOfWeekField] = fields;
+    const daysOfWeek = parseField(dayOfWeekField, 0, 7, DAY_NAMES, 0);
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes: parseField(minuteField, 0, 59),
+        hours: parseField(hourField, 0, 23),
+        daysOfMonth: parseField(dayOfMonthField, 1, 31),
+        months: parseField(monthField, 1, 12, MONTH_NAMES, 1),
+        daysOfWeek,
+        dayOfMonthRestricted: dayOfMonthField !== '*',
+        dayOfWeekRestricted: dayOfWeekField !== '*'
+    };
+}
+
+export function isValidCron(expression: string): boolean {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error: any) {
+        return false;
+    }
+}
+
+function matchesDay(schedule: CronSchedule, date: Date): boolean {
+    const dayOfMonthMatches = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeekMatches = schedule.daysOfWeek.has(date.getUTCDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return dayOfMonthMatches || dayOfWeekMatches;
+    }
+    return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * First time strictly after `after` that matches the expression
+ * @returns null if the expression never fires
+ */
+export function nextCronTime(expression: string | CronSchedule, after: Date = new Date()): Date | null {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+
+    return null;
+}
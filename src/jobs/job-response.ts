@@ -0,0 +1,59 @@
+import { safeObfuscate } from '../utils/crypto';
+import { Job, JobResponse } from '../types';
+
+/**
+ * Job as returned by the API and sent to webhooks, with output obfuscated and the payload left out
+ */
+export function buildJobResponse(job: Job): JobResponse {
+    const jobResponse: JobResponse = {
+        id: job.id,
+        status: job.status,
+        progress: job.progress,
+        progressMessage: job.progressMessage,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        nextRunAt: job.nextRunAt || null,
+        ...(job.dependsOn ? { dependsOn: job.dependsOn } : {}),
+        ...(job.workflow ? { workflow: { id: job.workflow.id, node: job.workflow.node } } : {}),
+        ...(job.scheduleId ? { scheduleId: job.scheduleId } : {}),
+        ...(job.parentJobId ? { parentJobId: job.parentJobId } : {}),
+        ...(job.webhook ? { webhook: job.webhook } : {}),
+        ...(job.tags ? { tags: job.tags } : {}),
+        ...(job.metadata ? { metadata: job.metadata } : {}),
+        ...(job.artifacts ? { artifacts: job.artifacts } : {}),
+        ...(job.artifactsSkipped?.length ? { artifactsSkipped: job.artifactsSkipped } : {}),
+        attempts: (job.attempts || []).map(attempt => ({
+            attempt: attempt.attempt,
+            startedAt: attempt.startedAt,
+            finishedAt: attempt.finishedAt,
+            status: attempt.status,
+            ...(attempt.error ? {
+                transient: attempt.transient,
+                error: { message: attempt.error.message, type: attempt.error.type, code: attempt.error.code }
+            } : {})
+        }))
+    };
+    
+    // Add results or error details based on status
+    if (job.status === 'COMPLETED' && job.result) {
+        jobResponse.result = {
+            stdout: safeObfuscate(job.result.stdout),
+            stderr: safeObfuscate(job.result.stderr),
+            code: job.result.code,
+            executionTime: job.result.executionTime,
+            aiAnalysis: job.result.aiAnalysis
+        };
+    } else if (job.status === 'FAILED' && job.error) {
+        jobResponse.error = {
+            message: job.error.message,
+            type: job.error.type,
+            code: job.error.code as any,
+            stdout: safeObfuscate(job.error.stdout),
+            stderr: safeObfuscate(job.error.stderr)
+        };
+    }
+
+    return jobResponse;
+}
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import { Job, JobStatus } from '../../types';
+import { JobStore, JobStoreQuery, JobStoreQueryResult, compareJobs, matchesJobQuery, paginateJobs, queryJobs } from './JobStore';
+
+type LogEntry =
+    | { op: 'put'; job: Job }
+    | { op: 'del'; id: string };
+
+/**
+ * Append-only NDJSON log: every save/remove appends one line, so a write costs the size of one job
+ * The log is replayed on startup (a torn last line from a crash is ignored) and compacted into a
+ * snapshot, written to a temp file and renamed, once it holds far more entries than live jobs.
+ * Status and createdAt indexes keep job listing from loading and re-sorting every job.
+ */
+export default class AppendLogJobStore implements JobStore {
+    private static readonly MIN_COMPACTION_ENTRIES = 1000;
+
+    private jobs: Map<string, Job> = new Map();
+    private statusIndex: Map<JobStatus, Set<string>> = new Map();
+    // Job ids ordered by createdAt (then id), oldest first
+    private createdAtIndex: string[] = [];
+    private indexedStatus: Map<string, JobStatus> = new Map();
+    private filePath: string;
+    private fd: number | null = null;
+    private entryCount = 0;
+
+    constructor(filePath: string) {
+        this.filePath = filePath;
+
+        const dataDir = path.dirname(this.filePath);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    exists(): boolean {
+        return fs.existsSync(this.filePath);
+    }
+
+    load(): Job[] {
+        this.jobs = new Map();
+        this.statusIndex = new Map();
+        this.createdAtIndex = [];
+        this.indexedStatus = new Map();
+        this.entryCount = 0;
+        let corruptLines = 0;
+
+        if (this.exists()) {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                let entry: LogEntry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (parseError: any) {
+                    corruptLines++;
+                    continue;
+                }
+                this.apply(entry);
+                this.entryCount++;
+            }
+        }
+
+        if (corruptLines > 0) {
+            console.error(`❌ Skipped ${corruptLines} unreadable line(s) in job log ${this.filePath}`);
+        }
+
+        // Start from a clean snapshot whenever the log has garbage or dead entries
+        if (corruptLines > 0 || this.entryCount > this.jobs.size) {
+            this.compact();
+        } else {
+            this.open();
+        }
+
+        return Array.from(this.jobs.values());
+    }
+
+    save(job: Job): void {
+        this.apply({ op: 'put', job });
+        this.append({ op: 'put', job });
+    }
+
+    remove(jobId: string): void {
+        if (!this.jobs.has(jobId)) {
+            return;
+        }
+        this.apply({ op: 'del', id: jobId });
+        this.append({ op: 'del', id: jobId });
+    }
+
+    query(options: JobStoreQuery = {}): JobStoreQueryResult {
+        const { status, sort = 'createdAt', order = 'desc' } = options;
+        const statuses = Array.isArray(status) ? status : status ? [status] : [];
+
+        // Only jobs with a requested status are looked at
+        let candidateIds: Set<string> | null = null;
+        if (statuses.length > 0) {
+            candidateIds = new Set();
+            for (const jobStatus of statuses) {
+                for (const jobId of this.statusIndex.get(jobStatus) || []) {
+                    candidateIds.add(jobId);
+                }
+            }
+        }
+
+        if (sort !== 'createdAt') {
+            const candidates = candidateIds
+                ? Array.from(candidateIds, jobId => this.jobs.get(jobId) as Job)
+                : this.jobs.values();
+            return queryJobs(candidates, options);
+        }
+
+        // The createdAt index is already in order, walk it instead of sorting
+        const matching: Job[] = [];
+        const ascending = order === 'asc';
+        for (let i = 0; i < this.createdAtIndex.length; i++) {
+            const jobId = this.createdAtIndex[ascending ? i : this.createdAtIndex.length - 1 - i];
+            if (candidateIds && !candidateIds.has(jobId)) continue;
+            const job = this.jobs.get(jobId) as Job;
+            if (matchesJobQuery(job, options)) {
+                matching.push(job);
+            }
+        }
+
+        return paginateJobs(matching, options);
+    }
+
+    close(): void {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    private open(): void {
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+    }
+
+    private append(entry: LogEntry): void {
+        try {
+            this.open();
+            fs.writeSync(this.fd as number, JSON.stringify(entry) + '\n');
+            this.entryCount++;
+        } catch (error: any) {
+            console.error('❌ Failed to append to job log:', error.message);
+            return;
+        }
+
+        if (this.entryCount > Math.max(AppendLogJobStore.MIN_COMPACTION_ENTRIES, this.jobs.size * 2)) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the log as one put per live job
+     */
+    private compact(): void {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            this.close();
+            const snapshot = Array.from(this.jobs.values())
+                .map(job => JSON.stringify({ op: 'put', job }) + '\n')
+                .join('');
+            fs.writeFileSync(tempPath, snapshot);
+            fs.renameSync(tempPath, this.filePath);
+            this.entryCount = this.jobs.size;
+        } catch (error: any) {
+            console.error('❌ Failed to compact job log:', error.message);
+        }
+        this.open();
+    }
+
+    private apply(entry: LogEntry): void {
+        if (entry.op === 'del') {
+            this.unindex(entry.id);
+            this.jobs.delete(entry.id);
+            return;
+        }
+
+        const job = entry.job;
+        if (!job || !job.id) {
+            return;
+        }
+
+        if (!this.jobs.has(job.id)) {
+            this.insertByCreatedAt(job);
+        }
+        this.jobs.set(job.id, job);
+
+        const previousStatus = this.indexedStatus.get(job.id);
+        if (previousStatus !== job.status) {
+            if (previousStatus) {
+                this.statusIndex.get(previousStatus)?.delete(job.id);
+            }
+            if (!this.statusIndex.has(job.status)) {
+                this.statusIndex.set(job.status, new Set());
+            }
+            this.statusIndex.get(job.status)!.add(job.id);
+            this.indexedStatus.set(job.id, job.status);
+        }
+    }
+
+    private unindex(jobId: string): void {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return;
+        }
+
+        const status = this.indexedStatus.get(jobId);
+        if (status) {
+            this.statusIndex.get(status)?.delete(jobId);
+        }
+        this.indexedStatus.delete(jobId);
+
+        const position = this.findCreatedAtPosition(job);
+        if (this.createdAtIndex[position] === jobId) {
+            this.createdAtIndex.splice(position, 1);
+        }
+    }
+
+    private insertByCreatedAt(job: Job): void {
+        this.createdAtIndex.splice(this.findCreatedAtPosition(job), 0, job.id);
+    }
+
+    /**
+     * Binary search for the position of a job in the createdAt index (where it is, or would be inserted)
+     */
+    private findCreatedAtPosition(job: Job): number {
+        let low = 0;
+        let high = this.createdAtIndex.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            const middleJob = this.jobs.get(this.createdAtIndex[middle]) as Job;
+            if (compareJobs(middleJob, job, 'createdAt', 'asc') < 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+}
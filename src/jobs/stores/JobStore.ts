@@ -0,0 +1,179 @@
+import { Job, JobStatus } from '../../types';
+
+export type JobSortField = 'createdAt' | 'updatedAt' | 'completedAt';
+
+export type JobSortOrder = 'asc' | 'desc';
+
+export interface JobStoreQuery {
+    status?: JobStatus | JobStatus[] | null;
+    /** ISO timestamps, inclusive */
+    createdAfter?: string;
+    createdBefore?: string;
+    completedAfter?: string;
+    completedBefore?: string;
+    executionMode?: string;
+    /** Matches the error type or the error code */
+    errorType?: string;
+    /** Jobs carrying every one of these tags */
+    tags?: string[];
+    /** Jobs whose metadata has all of these values */
+    metadata?: Record<string, string>;
+    /** Case-insensitive text search over explanation_of_code */
+    search?: string;
+    /** Only jobs owned by this principal; jobs without one belong to anonymous */
+    principal?: string;
+    sort?: JobSortField;
+    order?: JobSortOrder;
+    limit?: number;
+    /** Ignored when a cursor is given */
+    offset?: number;
+    /** nextCursor of the previous page */
+    cursor?: string | null;
+}
+
+export interface JobStoreQueryResult {
+    jobs: Job[];
+    total: number;
+    /** Cursor of the page after this one, null on the last page */
+    nextCursor: string | null;
+}
+
+export const JOB_SORT_FIELDS: JobSortField[] = ['createdAt', 'updatedAt', 'completedAt'];
+
+interface JobCursor {
+    sort: JobSortField;
+    order: JobSortOrder;
+    value: string;
+    id: string;
+}
+
+/**
+ * Persistence backend behind JobManager
+ * JobManager keeps the live Job objects in memory and calls save() after every change;
+ * stores may batch or defer the actual write but must not lose it on close()
+ */
+export interface JobStore {
+    /** Read every stored job, called once on startup */
+    load(): Job[];
+    save(job: Job): void;
+    remove(jobId: string): void;
+    /** Filtered jobs, newest first unless another sort is requested */
+    query(options?: JobStoreQuery): JobStoreQueryResult;
+    /** Write anything still pending, synchronously */
+    close(): void;
+}
+
+export type JobStoreType = 'memory' | 'json' | 'log';
+
+function getSortValue(job: Job, sort: JobSortField): string {
+    // Unfinished jobs have no completedAt and sort as the oldest
+    return job[sort] || '';
+}
+
+/**
+ * Order of two jobs for a sort; ties are broken by id so pages never overlap or skip jobs
+ */
+export function compareJobs(a: Job, b: Job, sort: JobSortField = 'createdAt', order: JobSortOrder = 'desc'): number {
+    const valueA = getSortValue(a, sort);
+    const valueB = getSortValue(b, sort);
+    const result = valueA === valueB ? (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) : (valueA < valueB ? -1 : 1);
+    return order === 'asc' ? result : -result;
+}
+
+export function matchesJobQuery(job: Job, query: JobStoreQuery): boolean {
+    const statuses = Array.isArray(query.status) ? query.status : query.status ? [query.status] : null;
+    if (statuses && statuses.length > 0 && !statuses.includes(job.status)) return false;
+
+    if (query.createdAfter && job.createdAt < query.createdAfter) return false;
+    if (query.createdBefore && job.createdAt > query.createdBefore) return false;
+    if (query.completedAfter && (!job.completedAt || job.completedAt < query.completedAfter)) return false;
+    if (query.completedBefore && (!job.completedAt || job.completedAt > query.completedBefore)) return false;
+
+    if (query.executionMode && (job.result?.executionMode || job.error?.executionMode) !== query.executionMode) return false;
+    if (query.errorType && job.error?.type !== query.errorType && job.error?.code !== query.errorType) return false;
+
+    if (query.tags && query.tags.some(tag => !(job.tags || []).includes(tag))) return false;
+    if (query.metadata && Object.entries(query.metadata).some(([key, value]) => job.metadata?.[key] !== value)) return false;
+
+    if (query.principal && (job.principal || 'anonymous') !== query.principal) return false;
+
+    if (query.search) {
+        const explanation = String(job.payload?.explanation_of_code || '').toLowerCase();
+        if (!explanation.includes(query.search.toLowerCase())) return false;
+    }
+
+    return true;
+}
+
+export function encodeJobCursor(job: Job, sort: JobSortField, order: JobSortOrder): string {
+    const cursor: JobCursor = { sort, order, value: getSortValue(job, sort), id: job.id };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * @throws Error if the cursor is malformed or was issued for a different sort
+ */
+export function decodeJobCursor(cursor: string, sort: JobSortField, order: JobSortOrder): JobCursor {
+    let decoded: JobCursor;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error: any) {
+        throw new Error('Invalid cursor');
+    }
+    if (!decoded || typeof decoded.value !== 'string' || typeof decoded.id !== 'string') {
+        throw new Error('Invalid cursor');
+    }
+    if (decoded.sort !== sort || decoded.order !== order) {
+        throw new Error('Cursor was issued for a different sort order');
+    }
+    return decoded;
+}
+
+/**
+ * Take one page from jobs that are already filtered and sorted
+ */
+export function paginateJobs(sorted: Job[], query: JobStoreQuery): JobStoreQueryResult {
+    const { sort = 'createdAt', order = 'desc', limit = 100, offset = 0, cursor } = query;
+    let start = offset;
+
+    if (cursor) {
+        const position = decodeJobCursor(cursor, sort, order);
+        const cursorJob = { id: position.id, [sort]: position.value } as unknown as Job;
+        // First job ordered after the cursor position; binary search as the list is sorted
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (compareJobs(sorted[middle], cursorJob, sort, order) <= 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        start = low;
+    }
+
+    const jobs = sorted.slice(start, start + limit);
+    const hasMore = start + limit < sorted.length;
+    return {
+        jobs,
+        total: sorted.length,
+        nextCursor: hasMore && jobs.length > 0 ? encodeJobCursor(jobs[jobs.length - 1], sort, order) : null
+    };
+}
+
+/**
+ * Filter, sort and page over an in-memory set, shared by the stores without their own indexes
+ */
+export function queryJobs(jobs: Iterable<Job>, options: JobStoreQuery = {}): JobStoreQueryResult {
+    const { sort = 'createdAt', order = 'desc' } = options;
+    const matching: Job[] = [];
+    for (const job of jobs) {
+        if (matchesJobQuery(job, options)) {
+            matching.push(job);
+        }
+    }
+
+    matching.sort((a, b) => compareJobs(a, b, sort, order));
+    return paginateJobs(matching, options);
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { Job } from '../../types';
+import { JobStore, JobStoreQuery, JobStoreQueryResult, queryJobs } from './JobStore';
+
+/**
+ * Read a jobs.json file ({ [jobId]: Job }); a missing or unreadable file yields no jobs
+ */
+export function readJobsFile(filePath: string): Record<string, Job> {
+    try {
+        if (fs.existsSync(filePath)) {
+            const data = fs.readFileSync(filePath, 'utf8');
+            return JSON.parse(data);
+        }
+    } catch (error: any) {
+        console.error('❌ Failed to load jobs from file:', error.message);
+    }
+    return {};
+}
+
+/**
+ * The whole job set as one JSON object in a single file
+ * Changes made within writeDelayMs are coalesced into one write, and every write goes to a
+ * temp file that is renamed over the original, so a crash never leaves a half-written file
+ */
+export default class JsonFileJobStore implements JobStore {
+    private jobs: Map<string, Job> = new Map();
+    private filePath: string;
+    private writeDelayMs: number;
+    private writeTimer: NodeJS.Timeout | null = null;
+
+    constructor(filePath: string, options: { writeDelayMs?: number } = {}) {
+        this.filePath = filePath;
+        this.writeDelayMs = options.writeDelayMs ?? 50;
+
+        const dataDir = path.dirname(this.filePath);
+        if (!fs.existsSync(dataDir)) {
+            fs.mkdirSync(dataDir, { recursive: true });
+        }
+    }
+
+    load(): Job[] {
+        this.jobs = new Map(Object.entries(readJobsFile(this.filePath)));
+        return Array.from(this.jobs.values());
+    }
+
+    save(job: Job): void {
+        this.jobs.set(job.id, job);
+        this.scheduleWrite();
+    }
+
+    remove(jobId: string): void {
+        this.jobs.delete(jobId);
+        this.scheduleWrite();
+    }
+
+    query(options: JobStoreQuery = {}): JobStoreQueryResult {
+        return queryJobs(this.jobs.values(), options);
+    }
+
+    close(): void {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.writeFile();
+        }
+    }
+
+    private scheduleWrite(): void {
+        if (this.writeTimer) {
+            return;
+        }
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.writeFile();
+        }, this.writeDelayMs);
+    }
+
+    private writeFile(): void {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.jobs), null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error: any) {
+            console.error('❌ Failed to persist jobs:', error.message);
+        }
+    }
+}
@@ -0,0 +1,29 @@
+import { Job } from '../../types';
+import { JobStore, JobStoreQuery, JobStoreQueryResult, queryJobs } from './JobStore';
+
+/**
+ * Non-persistent store, used when job persistence is disabled
+ */
+export default class MemoryJobStore implements JobStore {
+    private jobs: Map<string, Job> = new Map();
+
+    load(): Job[] {
+        return Array.from(this.jobs.values());
+    }
+
+    save(job: Job): void {
+        this.jobs.set(job.id, job);
+    }
+
+    remove(jobId: string): void {
+        this.jobs.delete(jobId);
+    }
+
+    query(options: JobStoreQuery = {}): JobStoreQueryResult {
+        return queryJobs(this.jobs.values(), options);
+    }
+
+    close(): void {
+        // Nothing to flush
+    }
+}
@@ -0,0 +1,57 @@
+import path from 'path';
+import { JobStore, JobStoreType } from './JobStore';
+import MemoryJobStore from './MemoryJobStore';
+import JsonFileJobStore, { readJobsFile } from './JsonFileJobStore';
+import AppendLogJobStore from './AppendLogJobStore';
+
+export { JobStore, JobStoreType, JobStoreQuery, JobStoreQueryResult, JobSortField, JobSortOrder, JOB_SORT_FIELDS } from './JobStore';
+export { MemoryJobStore, JsonFileJobStore, AppendLogJobStore };
+
+export interface CreateJobStoreOptions {
+    /** jobs.json used by the json store, and imported by the log store on first start */
+    jsonFile?: string;
+    logFile?: string;
+}
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../../data');
+
+/**
+ * Build the store selected by JOB_STORE ('json' by default, 'log' or 'memory')
+ */
+export function createJobStore(type: JobStoreType = 'json', options: CreateJobStoreOptions = {}): JobStore {
+    const jsonFile = options.jsonFile || path.join(DEFAULT_DATA_DIR, 'jobs.json');
+
+    switch (type) {
+        case 'memory':
+            return new MemoryJobStore();
+        case 'json':
+            return new JsonFileJobStore(jsonFile);
+        case 'log': {
+            const store = new AppendLogJobStore(options.logFile || path.join(DEFAULT_DATA_DIR, 'jobs.ndjson'));
+            if (!store.exists()) {
+                migrateJsonJobs(jsonFile, store);
+            }
+            return store;
+        }
+        default:
+            throw new Error(`Unknown job store "${type}", expected memory, json or log`);
+    }
+}
+
+/**
+ * Copy every job of a jobs.json file into another store
+ * The JSON file is left untouched so switching back to the json store still works
+ * @returns The number of imported jobs
+ */
+export function migrateJsonJobs(jsonFile: string, store: JobStore): number {
+    const jobs = Object.values(readJobsFile(jsonFile));
+
+    store.load();
+    jobs.forEach(job => store.save(job));
+    store.close();
+
+    if (jobs.length > 0) {
+        console.log(`📦 Imported ${jobs.length} job(s) from ${jsonFile}`);
+    }
+    return jobs.length;
+}
@@ -1,6 +1,8 @@
 const express = require('express');
 const JobManager = require('../jobs/JobManager');
-const { encrypt, decrypt, safeObfuscate } = require('../utils/crypto');
+const { encrypt, decrypt, safeObfuscate, negotiateEncryption } = require('../utils/crypto');
+const { tryDecrypt } = require('../utils/asymmetric-crypto');
+const { requireScope, canAccess, hasScope } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -19,14 +21,14 @@ function getJobManager() {
 }
 
 // Utility function to handle encryption if requested
-function encryptResponseIfNeeded(data, encryptMessages = false) {
+function encryptResponseIfNeeded(data, encryptMessages = false, encryption = {}) {
     if (!encryptMessages) {
         return data;
     }
     
     try {
         const responseString = JSON.stringify(data);
-        const encryptedResponse = encrypt(responseString);
+        const encryptedResponse = encrypt(responseString, encryption);
         return {
             encrypted: true,
             data: encryptedResponse
@@ -40,8 +42,32 @@ function encryptResponseIfNeeded(data, encryptMessages = false) {
     }
 }
 
+// The job if the caller may see it; other principals' jobs look the same as missing ones
+function getOwnJob(req, jobId) {
+    const job = getJobManager().getJob(jobId);
+    return job && canAccess(req.auth, job.principal) ? job : undefined;
+}
+
+// Agree on the envelope version and associated data for encrypted requests, from the code ciphertext or the headers
+router.use((req, res, next) => {
+    req.encryption = {};
+    if (!req.body?.encrypt_messages && req.query.encrypt_messages !== 'true') {
+        return next();
+    }
+
+    try {
+        req.encryption = negotiateEncryption(req.headers, req.body?.code);
+        next();
+    } catch (error) {
+        res.status(400).json({
+            error: 'Unsupported encryption',
+            details: error.message
+        });
+    }
+});
+
 // POST /jobs - Submit a new background job
-router.post('/', (req, res) => {
+router.post('/', requireScope('jobs:write'), (req, res) => {
     try {
         const payload = req.body;
         
@@ -63,7 +89,7 @@ router.post('/', (req, res) => {
                 
                 if (payload.code) {
                     try {
-                        payload.code = decrypt(payload.code);
+                        payload.code = decrypt(payload.code, req.encryption);
                     } catch (decryptError) {
                         return res.status(400).json({
                             error: 'Failed to decrypt code',
@@ -80,6 +106,7 @@ router.post('/', (req, res) => {
         }
         
         // Extract headers for environment variables (same logic as main server)
+        // Tokens may arrive encrypted with the server key; the job manager seals them before storing the job
         const headerEnvVars = {};
         if (req.headers) {
             Object.keys(req.headers).forEach(headerName => {
@@ -89,7 +116,10 @@ router.post('/', (req, res) => {
                         .replace('x-', '')
                         .toUpperCase()
                         .replace(/-/g, '_');
-                    headerEnvVars[envVarName] = req.headers[headerName];
+                    const headerValue = req.headers[headerName];
+                    if (typeof headerValue === 'string') {
+                        headerEnvVars[envVarName] = tryDecrypt(headerValue);
+                    }
                 }
             });
         }
@@ -103,7 +133,8 @@ router.post('/', (req, res) => {
         const jobOptions = {
             priority: payload.priority || 'normal',
             timeout: payload.timeout || (payload.use_background_jobs ? 1800000 : 600000), // 30 minutes for background jobs
-            maxRetries: payload.maxRetries || 0
+            maxRetries: payload.maxRetries || 0,
+            principal: req.auth.principal
         };
         
         const jobId = getJobManager().createJob(jobPayload, jobOptions);
@@ -113,7 +144,7 @@ router.post('/', (req, res) => {
             jobId: jobId,
             status: 'PENDING',
             message: 'Job submitted successfully'
-        }, payload.encrypt_messages);
+        }, payload.encrypt_messages, req.encryption);
         
         res.status(201).json(response);
         
@@ -124,24 +155,24 @@ router.post('/', (req, res) => {
             success: false,
             error: 'Failed to create job',
             details: error.message
-        }, req.body?.encrypt_messages);
+        }, req.body?.encrypt_messages, req.encryption);
         
         res.status(500).json(response);
     }
 });
 
 // GET /jobs/:id - Get job status and results
-router.get('/:id', (req, res) => {
+router.get('/:id', requireScope('jobs:read'), (req, res) => {
     try {
         const jobId = req.params.id;
         const encryptMessages = req.query.encrypt_messages === 'true';
         
-        const job = getJobManager().getJob(jobId);
+        const job = getOwnJob(req, jobId);
         
         if (!job) {
             const response = encryptResponseIfNeeded({
                 error: 'Job not found'
-            }, encryptMessages);
+            }, encryptMessages, req.encryption);
             
             return res.status(404).json(response);
         }
@@ -180,7 +211,7 @@ router.get('/:id', (req, res) => {
         const response = encryptResponseIfNeeded({
             success: true,
             job: jobResponse
-        }, encryptMessages);
+        }, encryptMessages, req.encryption);
         
         res.json(response);
         
@@ -191,19 +222,21 @@ router.get('/:id', (req, res) => {
             success: false,
             error: 'Failed to get job',
             details: error.message
-        }, req.query.encrypt_messages === 'true');
+        }, req.query.encrypt_messages === 'true', req.encryption);
         
         res.status(500).json(response);
     }
 });
 
 // GET /jobs - List all jobs with filtering and pagination
-router.get('/', (req, res) => {
+router.get('/', requireScope('jobs:read'), (req, res) => {
     try {
         const options = {
             status: req.query.status,
             limit: Math.min(parseInt(req.query.limit) || 100, 1000), // Max 1000 jobs
-            offset: parseInt(req.query.offset) || 0
+            offset: parseInt(req.query.offset) || 0,
+            // Only admins list other principals' jobs
+            principal: hasScope(req.auth, 'admin') ? undefined : req.auth.principal
         };
         
         const encryptMessages = req.query.encrypt_messages === 'true';
@@ -233,7 +266,7 @@ router.get('/', (req, res) => {
                 offset: options.offset,
                 hasMore: result.hasMore
             }
-        }, encryptMessages);
+        }, encryptMessages, req.encryption);
         
         res.json(response);
         
@@ -244,24 +277,24 @@ router.get('/', (req, res) => {
             success: false,
             error: 'Failed to list jobs',
             details: error.message
-        }, req.query.encrypt_messages === 'true');
+        }, req.query.encrypt_messages === 'true', req.encryption);
         
         res.status(500).json(response);
     }
 });
 
 // DELETE /jobs/:id - Cancel or delete a job
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireScope('jobs:write'), (req, res) => {
     try {
         const jobId = req.params.id;
         const encryptMessages = req.body?.encrypt_messages || req.query.encrypt_messages === 'true';
         
-        const job = getJobManager().getJob(jobId);
+        const job = getOwnJob(req, jobId);
         
         if (!job) {
             const response = encryptResponseIfNeeded({
                 error: 'Job not found'
-            }, encryptMessages);
+            }, encryptMessages, req.encryption);
             
             return res.status(404).json(response);
         }
@@ -285,7 +318,7 @@ router.delete('/:id', (req, res) => {
                 id: result.id,
                 status: result.status || 'DELETED'
             }
-        }, encryptMessages);
+        }, encryptMessages, req.encryption);
         
         res.json(response);
         
@@ -296,7 +329,7 @@ router.delete('/:id', (req, res) => {
             success: false,
             error: error.message.includes('not found') ? 'Job not found' : 'Failed to delete job',
             details: error.message
-        }, req.body?.encrypt_messages || req.query.encrypt_messages === 'true');
+        }, req.body?.encrypt_messages || req.query.encrypt_messages === 'true', req.encryption);
         
         const statusCode = error.message.includes('not found') ? 404 : 500;
         res.status(statusCode).json(response);
@@ -304,7 +337,7 @@ router.delete('/:id', (req, res) => {
 });
 
 // GET /jobs-stats - Get job system statistics
-router.get('/system/stats', (req, res) => {
+router.get('/system/stats', requireScope('admin'), (req, res) => {
     try {
         const encryptMessages = req.query.encrypt_messages === 'true';
         const stats = getJobManager().getStats();
@@ -312,7 +345,7 @@ router.get('/system/stats', (req, res) => {
         const response = encryptResponseIfNeeded({
             success: true,
             stats: stats
-        }, encryptMessages);
+        }, encryptMessages, req.encryption);
         
         res.json(response);
         
@@ -323,7 +356,7 @@ router.get('/system/stats', (req, res) => {
             success: false,
             error: 'Failed to get job statistics',
             details: error.message
-        }, req.query.encrypt_messages === 'true');
+        }, req.query.encrypt_messages === 'true', req.encryption);
         
         res.status(500).json(response);
     }
@@ -1,9 +1,12 @@
-import { spawn } from 'child_process';
+import { spawn, spawnSync, ChildProcess } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { randomBytes } from 'crypto';
+import { StringDecoder } from 'string_decoder';
 import { safeObfuscate } from '../utils/crypto';
-import { awaitedScriptGenerator, secureWrapperGenerator, isolatedDataVariableGenerator, isolatedDataMethodCodeGenerator, globalCodeWithDataMethodsGenerator } from './templates';
+import { isValidFieldPath, selectFields, redactFields } from '../utils/field-projection';
+import { EgressPolicy, EgressPolicyError, DEFAULT_EGRESS_POLICY, findReferencedCredentials, getAllowedHosts, isHostAllowed } from './egress-policy';
+import { awaitedScriptGenerator, secureWrapperGenerator, isolatedDataVariableGenerator, isolatedDataMethodCodeGenerator, globalCodeWithDataMethodsGenerator, GlobalCodeSandbox, IDEMPOTENT_RETRY_METHODS } from './templates';
 import {
     ExecutionPayload,
     ExecutionResult,
@@ -13,6 +16,16 @@ import {
     DataVariableConfig,
     DataMethodConfig,
     PassedVariables,
+    RetryPolicy,
+    PaginationConfig,
+    DataVariablesExecutionReport,
+    ProjectionInfo,
+    ForEachConfig,
+    ForEachInfo,
+    WhenCondition,
+    GlobalCodeCapability,
+    ExecutionLimitCode,
+    OutputChunk,
     // ApiCalls - imported but not used in current implementation
 } from '../types';
 import LocalLLM from '../local_llm/local';
@@ -23,6 +36,59 @@ export interface SecureExecutorOptions {
     maxDataMethodExecutionsPerHour?: number;
     maxDataMethods?: number;
     maxDataMethodTimeout?: number;
+    maxDataVariableConcurrency?: number;
+    egressPolicy?: EgressPolicy;
+    enforceEgressPolicy?: boolean;
+    hardenGlobalCode?: boolean;
+    maxMemoryMb?: number;
+    maxCpuSeconds?: number;
+    maxOutputBytes?: number;
+    maxConcurrentProcesses?: number;
+    killGraceMs?: number;
+}
+
+/**
+ * Per-execution state threaded from executeCode down to every spawned process
+ */
+export interface ExecutionContext {
+    executionId?: string;
+    /** Receives sanitized global code / full mode output while the process runs */
+    onOutput?: (chunk: OutputChunk) => void;
+    /** Scratch directory handed to global code / full mode as OUTPUT_DIR; the only writable path in hardened mode */
+    outputDir?: string;
+    /** CPU time limit of global code / full mode in place of maxCpuSeconds, for executions longer than a request */
+    maxCpuSeconds?: number;
+}
+
+export interface TerminationReport {
+    signalled: number;
+    reaped: boolean;
+}
+
+/**
+ * Built-in modules hardened global code can always load; any other built-in, including the
+ * _-prefixed internals such as _http_client, needs a capability or stays blocked
+ */
+const GLOBAL_CODE_ALLOWED_MODULES = [
+    'assert', 'assert/strict', 'async_hooks', 'buffer', 'console', 'constants', 'crypto', 'events',
+    'fs', 'fs/promises', 'os', 'path', 'path/posix', 'path/win32', 'perf_hooks', 'process', 'punycode',
+    'querystring', 'stream', 'stream/consumers', 'stream/promises', 'stream/web', 'string_decoder', 'sys',
+    'timers', 'timers/promises', 'url', 'util', 'util/types', 'zlib'
+];
+
+/**
+ * Modules each global code capability re-enables in hardened mode
+ */
+const GLOBAL_CODE_CAPABILITY_MODULES: Record<GlobalCodeCapability, string[]> = {
+    network: ['http', 'https', 'http2', 'net', 'tls', 'dgram', 'dns', 'dns/promises', 'inspector', 'inspector/promises'],
+    child_process: ['child_process', 'cluster'],
+    worker_threads: ['worker_threads'],
+    fs_write: []
+};
+
+export interface DataVariablesPhaseResult {
+    sanitizedDataVariables: any;
+    executionReport: DataVariablesExecutionReport;
 }
 
 interface ProcessOptions {
@@ -33,6 +99,11 @@ interface ProcessOptions {
     use_asymmetric_encryption?: boolean;
     executionMode?: string;
     skipOutputSanitization?: boolean;
+    executionId?: string;
+    onOutput?: (chunk: OutputChunk) => void;
+    maxCpuSeconds?: number;
+    /** Run the process in a new network namespace with no interfaces up */
+    isolateNetwork?: boolean;
 }
 
 // interface IsolatedExecutionResult {
@@ -43,12 +114,40 @@ interface ProcessOptions {
 // }
 
 export default class SecureExecutor {
+    private static readonly MAX_RETRY_ATTEMPTS = 10;
+    private static readonly MAX_RETRY_DELAY_MS = 60000;
+    private static readonly MAX_PAGES = 100;
+    private static readonly MAX_PAGINATED_ITEMS = 10000;
+    // Overall cap on one data variable process, whatever its retry and pagination settings
+    private static readonly MAX_DATA_VARIABLE_TIMEOUT = 300000;
+    private static readonly MAX_PROJECTION_PATHS = 100;
+    private static readonly DEFAULT_FOR_EACH_ITEMS = 25;
+    private static readonly MAX_FOR_EACH_ITEMS = 100;
+    private static readonly MAX_PENDING_OUTPUT_LINE = 64 * 1024;
+    private static readonly OUTPUT_MARKER_PATTERN = /^(SECURE_EXECUTION_RESULT|SECURE_GLOBAL_EXECUTION_RESULT|ISOLATED_DATA_METHOD_RESULT):/;
+
     private defaultTimeout: number;
     private tempDir: string;
     private dataMethodRateLimit: Map<string, number[]> = new Map();
     private maxDataMethodExecutionsPerHour: number;
     private maxDataMethods: number;
     private maxDataMethodTimeout: number;
+    private maxDataVariableConcurrency: number;
+    private egressPolicy: EgressPolicy;
+    private enforceEgressPolicy: boolean;
+    private hardenGlobalCode: boolean;
+    private maxMemoryMb: number;
+    private maxCpuSeconds: number;
+    private maxOutputBytes: number;
+    private maxConcurrentProcesses: number;
+    private activeProcesses = 0;
+    private processSlotWaiters: Array<() => void> = [];
+    private killGraceMs: number;
+    private runningProcesses: Map<string, Set<ChildProcess>> = new Map();
+    private activeExecutions: Set<string> = new Set();
+    private cancelledExecutions: Set<string> = new Set();
+    // unshare arguments that create a network namespace here, false when none can be created
+    private networkNamespaceArgs: string[] | false | null = null;
 
     constructor(options: SecureExecutorOptions = {}) {
         this.defaultTimeout = options.timeout || 30000;
@@ -56,6 +155,15 @@ export default class SecureExecutor {
         this.maxDataMethodExecutionsPerHour = options.maxDataMethodExecutionsPerHour || 100;
         this.maxDataMethods = options.maxDataMethods || 10;
         this.maxDataMethodTimeout = options.maxDataMethodTimeout || 15000;
+        this.maxDataVariableConcurrency = options.maxDataVariableConcurrency || 5;
+        this.egressPolicy = options.egressPolicy || { ...DEFAULT_EGRESS_POLICY };
+        this.enforceEgressPolicy = options.enforceEgressPolicy !== false;
+        this.hardenGlobalCode = options.hardenGlobalCode !== false;
+        this.maxMemoryMb = options.maxMemoryMb ?? 256;
+        this.maxCpuSeconds = options.maxCpuSeconds ?? 30;
+        this.maxOutputBytes = options.maxOutputBytes ?? 5 * 1024 * 1024;
+        this.maxConcurrentProcesses = options.maxConcurrentProcesses || 10;
+        this.killGraceMs = options.killGraceMs ?? 5000;
 
         // Ensure temp directory exists
         if (!fs.existsSync(this.tempDir)) {
@@ -67,24 +175,38 @@ export default class SecureExecutor {
     /**
      * Execute code with security isolation if needed
      */
-    async executeCode(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}): Promise<ExecutionResult> {
-        // Check for new secure data variables payload structure
-        if (payload.secure_data_variables && payload.Global_code) {
-            return this.executeSecureWithDataVariables(payload, headerEnvVars);
+    async executeCode(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<ExecutionResult> {
+        if (context.executionId) {
+            this.activeExecutions.add(context.executionId);
         }
-
-        // Check for api_calls + global_code format (new restricted-run-code tool format)
-        if (payload.api_calls && (payload.global_code || payload.Global_code)) {
-            const convertedPayload = this.convertApiCallsToSecureDataVariables(payload);
-            return this.executeSecureWithDataVariables(convertedPayload, headerEnvVars);
+        if (payload.job_inputs) {
+            payload = this.withJobInputs(payload);
         }
 
-        if (!payload.code) {
-            throw new Error('No code provided to execute');
-        }
+        try {
+            // Check for new secure data variables payload structure
+            if (payload.secure_data_variables && payload.Global_code) {
+                return await this.executeSecureWithDataVariables(payload, headerEnvVars, context);
+            }
+
+            // Check for api_calls + global_code format (new restricted-run-code tool format)
+            if (payload.api_calls && (payload.global_code || payload.Global_code)) {
+                const convertedPayload = this.convertApiCallsToSecureDataVariables(payload);
+                return await this.executeSecureWithDataVariables(convertedPayload, headerEnvVars, context);
+            }
+
+            if (!payload.code) {
+                throw new Error('No code provided to execute');
+            }
 
-        // Use full execution for simple code without structured API calls
-        return this.executeCodeFull(payload, headerEnvVars);
+            // Use full execution for simple code without structured API calls
+            return await this.executeCodeFull(payload, headerEnvVars, context);
+        } finally {
+            if (context.executionId) {
+                this.activeExecutions.delete(context.executionId);
+                this.cancelledExecutions.delete(context.executionId);
+            }
+        }
     }
 
     /**
@@ -121,6 +243,30 @@ export default class SecureExecutor {
                 if (apiConfig.passed_variables) {
                     secure_data_variables[functionName].passed_variables = apiConfig.passed_variables;
                 }
+
+                // Preserve retry policy and pagination, both are executed inside the isolated child
+                if (apiConfig.retry) {
+                    secure_data_variables[functionName].retry = apiConfig.retry;
+                }
+                if (apiConfig.paginate) {
+                    secure_data_variables[functionName].paginate = apiConfig.paginate;
+                }
+
+                // Preserve field projection, applied before the body leaves the credentialed phase
+                if (apiConfig.select) {
+                    secure_data_variables[functionName].select = apiConfig.select;
+                }
+                if (apiConfig.redact) {
+                    secure_data_variables[functionName].redact = apiConfig.redact;
+                }
+
+                // Preserve fan-out and conditional chaining, both resolved against upstream results
+                if (apiConfig.for_each) {
+                    secure_data_variables[functionName].for_each = apiConfig.for_each;
+                }
+                if (apiConfig.when) {
+                    secure_data_variables[functionName].when = apiConfig.when;
+                }
             }
 
             // Handle both global_code and Global_code (case insensitive)
@@ -139,7 +285,8 @@ export default class SecureExecutor {
                 ai_eval: payload.ai_eval || false,
                 encrypt_messages: payload.encrypt_messages || false,
                 use_asymmetric_encryption: payload.use_asymmetric_encryption || false,
-                explanation_of_code: payload.explanation_of_code // Pass through if present
+                explanation_of_code: payload.explanation_of_code, // Pass through if present
+                global_code_capabilities: payload.global_code_capabilities
             };
 
         } catch (error: any) {
@@ -167,10 +314,28 @@ export default class SecureExecutor {
         return unescaped;
     }
 
+    /**
+     * Prepend a JOB_INPUTS constant holding the upstream job results to the code that will run
+     * The JSON travels base64 encoded so upstream output can't trip the source code validators
+     */
+    private withJobInputs(payload: ExecutionPayload): ExecutionPayload {
+        const encodedInputs = Buffer.from(JSON.stringify(payload.job_inputs)).toString('base64');
+        const prelude = `const JOB_INPUTS = Object.freeze(JSON.parse(Buffer.from('${encodedInputs}', 'base64').toString('utf8')));\n`;
+        const { job_inputs, ...rest } = payload;
+        const withInputs: ExecutionPayload = { ...rest };
+
+        for (const field of ['code', 'Global_code', 'global_code']) {
+            if (typeof withInputs[field] === 'string') {
+                withInputs[field] = prelude + withInputs[field];
+            }
+        }
+        return withInputs;
+    }
+
     /**
      * Execute code with secure two-phase execution and isolated data variables (new format)
      */
-    async executeSecureWithDataVariables(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}): Promise<ExecutionResult> {
+    async executeSecureWithDataVariables(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<ExecutionResult> {
         return new Promise(async (resolve, reject) => {
             try {
                 if (!payload.Global_code) {
@@ -182,17 +347,25 @@ export default class SecureExecutor {
 
                 // Validate global code doesn't try to access process.env.KEYBOARD_* variables
                 this.validateGlobalCodeForEnvAccess(payload.Global_code);
+                // Validate the sandbox request before any credentialed call is made
+                this.validateGlobalCodeCapabilities(payload.Global_code, payload.global_code_capabilities);
                 // Phase 1: Execute secure data variables in isolation
-                const sanitizedDataVariables = await this.executeDataVariablesPhase(payload.secure_data_variables, headerEnvVars);
+                const { sanitizedDataVariables, executionReport } = await this.executeDataVariablesPhase(payload.secure_data_variables, headerEnvVars, context);
                 // Phase 2: Execute global code with access to sanitized data
-                const result = await this.executeGlobalCodePhase(payload.Global_code, sanitizedDataVariables, payload);
+                const result = await this.executeGlobalCodePhase(payload.Global_code, sanitizedDataVariables, payload, context);
+                if (result.data) {
+                    result.data.dataVariablesExecution = executionReport;
+                }
 
                 resolve(result);
             } catch (error: any) {
                 reject({
                     error: 'Secure execution with data variables failed',
-                    details: error.message,
-                    executionMode: 'secure-two-phase'
+                    details: error.message || error.error,
+                    executionMode: 'secure-two-phase',
+                    ...(error.limit ? { limit: error.limit } : {}),
+                    ...(error.timeout ? { timeout: error.timeout } : {}),
+                    ...(error.cancelled ? { cancelled: true } : {})
                 });
             }
         });
@@ -201,7 +374,7 @@ export default class SecureExecutor {
     /**
      * Execute code with secure two-phase execution and isolated data methods (legacy format)
      */
-    async executeSecureWithDataMethods(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}): Promise<ExecutionResult> {
+    async executeSecureWithDataMethods(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<ExecutionResult> {
         return new Promise(async (resolve, reject) => {
             try {
                 if (!payload.Secure_data_methods) {
@@ -210,16 +383,20 @@ export default class SecureExecutor {
                 if (!payload.Global_code) {
                     throw new Error('Global_code is required');
                 }
+                this.validateGlobalCodeCapabilities(payload.Global_code, payload.global_code_capabilities);
                 // Phase 1: Execute secure data methods in isolation
-                const sanitizedDataMethods = await this.executeDataMethodsPhase(payload.Secure_data_methods, headerEnvVars);
+                const sanitizedDataMethods = await this.executeDataMethodsPhase(payload.Secure_data_methods, headerEnvVars, context);
                 // Phase 2: Execute global code with access to sanitized data
-                const result = await this.executeGlobalCodePhase(payload.Global_code, sanitizedDataMethods, payload);
+                const result = await this.executeGlobalCodePhase(payload.Global_code, sanitizedDataMethods, payload, context);
                 resolve(result);
             } catch (error: any) {
                 reject({
                     error: 'Secure execution with data methods failed',
-                    details: error.message,
-                    executionMode: 'secure-two-phase'
+                    details: error.message || error.error,
+                    executionMode: 'secure-two-phase',
+                    ...(error.limit ? { limit: error.limit } : {}),
+                    ...(error.timeout ? { timeout: error.timeout } : {}),
+                    ...(error.cancelled ? { cancelled: true } : {})
                 });
             }
         });
@@ -228,7 +405,7 @@ export default class SecureExecutor {
     /**
      * Full execution mode (original behavior)
      */
-    async executeCodeFull(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}): Promise<ExecutionResult> {
+    async executeCodeFull(payload: ExecutionPayload, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<ExecutionResult> {
         return new Promise((resolve, reject) => {
             const tempFile = `temp_full_${Date.now()}_${randomBytes(8).toString('hex')}.js`;
             const tempPath = path.join(this.tempDir, tempFile);
@@ -275,6 +452,9 @@ export default class SecureExecutor {
                 if (headerEnvVars && typeof headerEnvVars === 'object') {
                     Object.assign(limitedEnv, headerEnvVars);
                 }
+                if (context.outputDir) {
+                    limitedEnv.OUTPUT_DIR = context.outputDir;
+                }
 
                 this.executeProcess('node', [tempPath], {
                     timeout: payload.timeout || this.defaultTimeout,
@@ -282,7 +462,10 @@ export default class SecureExecutor {
                     ai_eval: payload.ai_eval || false,
                     encrypt_messages: payload.encrypt_messages || false,
                     use_asymmetric_encryption: payload.use_asymmetric_encryption || false,
-                    executionMode: 'full'
+                    executionMode: 'full',
+                    executionId: context.executionId,
+                    onOutput: context.onOutput,
+                    maxCpuSeconds: context.maxCpuSeconds
                 }).then(result => {
                     this.cleanup(tempPath);
                     resolve(result);
@@ -339,23 +522,330 @@ export default class SecureExecutor {
 
     /**
      * Execute process with enhanced security monitoring
+     * Waits for a free slot when maxConcurrentProcesses children are already running
      */
     async executeProcess(cmd: string, args: string[], options: ProcessOptions = {}): Promise<ExecutionResult> {
+        const timeout = options.timeout || this.defaultTimeout;
+
+        this.assertExecutionNotCancelled(options);
+        if (!(await this.acquireProcessSlot(timeout))) {
+            throw this.createLimitError('CONCURRENCY_LIMIT', this.maxConcurrentProcesses,
+                `No execution slot became free within ${timeout}ms`, '', '', options);
+        }
+
+        try {
+            // The execution may have been cancelled while waiting for a slot
+            this.assertExecutionNotCancelled(options);
+            return await this.runProcess(cmd, args, options, timeout);
+        } finally {
+            this.releaseProcessSlot();
+        }
+    }
+
+    private assertExecutionNotCancelled(options: ProcessOptions): void {
+        if (options.executionId && this.cancelledExecutions.has(options.executionId)) {
+            throw {
+                success: false,
+                error: 'Execution cancelled',
+                cancelled: true,
+                executionMode: options.executionMode || 'unknown'
+            };
+        }
+    }
+
+    /**
+     * Cancel an execution: stop every process it is running and refuse to spawn new ones
+     * Each process group gets SIGTERM, then SIGKILL after the grace period
+     */
+    async terminateExecution(executionId: string): Promise<TerminationReport> {
+        if (this.activeExecutions.has(executionId)) {
+            this.cancelledExecutions.add(executionId);
+        }
+
+        const children = Array.from(this.runningProcesses.get(executionId) || []);
+        const reaped = await Promise.all(children.map(child => this.terminateProcessGroup(child)));
+
+        return {
+            signalled: children.length,
+            reaped: reaped.every(Boolean)
+        };
+    }
+
+    /**
+     * Send a signal to the child's whole process group (the child and anything it spawned)
+     */
+    private signalProcessGroup(child: ChildProcess, signal: NodeJS.Signals): void {
+        try {
+            if (process.platform !== 'win32' && child.pid) {
+                process.kill(-child.pid, signal);
+            } else {
+                child.kill(signal);
+            }
+        } catch (error: any) {
+            // ESRCH: the group has already exited
+            if (error.code !== 'ESRCH') {
+                console.error(`❌ Failed to send ${signal} to process group:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * SIGTERM the process group, escalating to SIGKILL after killGraceMs
+     * Resolves true once the child has exited, false if it survived SIGKILL too
+     * The child must have been spawned detached, as the leader of its own group
+     */
+    terminateProcessGroup(child: ChildProcess): Promise<boolean> {
+        if (child.exitCode !== null || child.signalCode !== null) {
+            // Leader already gone, clear out anything left in its group
+            this.signalProcessGroup(child, 'SIGKILL');
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const finish = (reaped: boolean) => {
+                clearTimeout(killTimer);
+                clearTimeout(giveUpTimer);
+                resolve(reaped);
+            };
+
+            child.once('exit', () => {
+                this.signalProcessGroup(child, 'SIGKILL');
+                finish(true);
+            });
+
+            this.signalProcessGroup(child, 'SIGTERM');
+            const killTimer = setTimeout(() => this.signalProcessGroup(child, 'SIGKILL'), this.killGraceMs);
+            const giveUpTimer = setTimeout(() => finish(false), this.killGraceMs + 2000);
+        });
+    }
+
+    /**
+     * Reserve one of the executor-wide child process slots
+     * Resolves false when no slot frees up within waitMs
+     */
+    private acquireProcessSlot(waitMs: number): Promise<boolean> {
+        if (this.activeProcesses < this.maxConcurrentProcesses) {
+            this.activeProcesses++;
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const waiter = () => {
+                clearTimeout(timer);
+                this.activeProcesses++;
+                resolve(true);
+            };
+            const timer = setTimeout(() => {
+                this.processSlotWaiters = this.processSlotWaiters.filter(w => w !== waiter);
+                resolve(false);
+            }, waitMs);
+            this.processSlotWaiters.push(waiter);
+        });
+    }
+
+    private releaseProcessSlot(): void {
+        this.activeProcesses--;
+        const next = this.processSlotWaiters.shift();
+        if (next) {
+            next();
+        }
+    }
+
+    /**
+     * Forward process output to a listener one complete line at a time
+     * Lines are sanitized individually, so a secret is never split across two chunks,
+     * and the internal result marker lines are not forwarded
+     */
+    private createOutputStreamer(stream: 'stdout' | 'stderr', onOutput?: (chunk: OutputChunk) => void): { push: (chunk: Buffer) => void; flush: () => void } {
+        if (!onOutput) {
+            return { push: () => {}, flush: () => {} };
+        }
+
+        const decoder = new StringDecoder('utf8');
+        let pending = '';
+
+        const emit = (text: string) => {
+            const lines = text.split('\n').filter(line => !SecureExecutor.OUTPUT_MARKER_PATTERN.test(line));
+            if (lines.length === 0 || (lines.length === 1 && lines[0] === '')) {
+                return;
+            }
+            try {
+                onOutput({
+                    stream,
+                    data: this.sanitizeOutput(lines.join('\n')) + '\n',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error: any) {
+                console.error('❌ Output listener error:', error.message);
+            }
+        };
+
+        return {
+            push: (chunk: Buffer) => {
+                pending += decoder.write(chunk);
+                const lastNewline = pending.lastIndexOf('\n');
+                if (lastNewline !== -1) {
+                    emit(pending.slice(0, lastNewline));
+                    pending = pending.slice(lastNewline + 1);
+                } else if (pending.length > SecureExecutor.MAX_PENDING_OUTPUT_LINE) {
+                    // Very long line without a newline, forward what we have
+                    emit(pending);
+                    pending = '';
+                }
+            },
+            flush: () => {
+                pending += decoder.end();
+                if (pending) {
+                    emit(pending);
+                    pending = '';
+                }
+            }
+        };
+    }
+
+    private trackProcess(executionId: string | undefined, child: ChildProcess): void {
+        if (!executionId) {
+            return;
+        }
+        if (!this.runningProcesses.has(executionId)) {
+            this.runningProcesses.set(executionId, new Set());
+        }
+        this.runningProcesses.get(executionId)!.add(child);
+    }
+
+    private untrackProcess(executionId: string | undefined, child: ChildProcess): void {
+        if (!executionId) {
+            return;
+        }
+        const children = this.runningProcesses.get(executionId);
+        if (children) {
+            children.delete(child);
+            if (children.size === 0) {
+                this.runningProcesses.delete(executionId);
+            }
+        }
+    }
+
+    /**
+     * unshare arguments for an empty network namespace, probed once
+     * Root can create one directly, other users only where unprivileged user namespaces are enabled
+     */
+    private getNetworkNamespaceArgs(): string[] | false {
+        if (this.networkNamespaceArgs === null) {
+            this.networkNamespaceArgs = false;
+            if (process.platform === 'linux') {
+                for (const args of [['--net'], ['--map-root-user', '--net']]) {
+                    const probe = spawnSync('unshare', [...args, 'true'], { stdio: 'ignore', timeout: 5000 });
+                    if (probe.status === 0) {
+                        this.networkNamespaceArgs = args;
+                        break;
+                    }
+                }
+            }
+            if (!this.networkNamespaceArgs) {
+                console.warn('⚠️ Network namespaces are not available, hardened global code relies on module interception alone');
+            }
+        }
+        return this.networkNamespaceArgs;
+    }
+
+    /**
+     * Apply the heap and CPU-time limits, and the network namespace when requested, to a command
+     * CPU time is limited with ulimit: SIGXCPU at the soft limit, SIGKILL a few seconds later if it is ignored
+     */
+    private applyProcessLimits(cmd: string, args: string[], maxCpuSeconds: number, isolateNetwork = false): { command: string; commandArgs: string[] } {
+        let commandArgs = args;
+        if (cmd === 'node' && this.maxMemoryMb > 0) {
+            commandArgs = [`--max-old-space-size=${this.maxMemoryMb}`, ...commandArgs];
+        }
+
+        const namespaceArgs = isolateNetwork && this.getNetworkNamespaceArgs();
+        if (namespaceArgs) {
+            commandArgs = [...namespaceArgs, '--', cmd, ...commandArgs];
+            cmd = 'unshare';
+        }
+
+        if (maxCpuSeconds > 0 && process.platform !== 'win32') {
+            const cpuSeconds = Math.ceil(maxCpuSeconds);
+            return {
+                command: '/bin/sh',
+                commandArgs: ['-c', `ulimit -S -t ${cpuSeconds} && ulimit -H -t ${cpuSeconds + 5} && exec "$0" "$@"`, cmd, ...commandArgs]
+            };
+        }
+
+        return { command: cmd, commandArgs };
+    }
+
+    /**
+     * Build the structured error returned when an execution exceeds a resource limit
+     */
+    private createLimitError(code: ExecutionLimitCode, limit: number, message: string, stdout: string, stderr: string, options: ProcessOptions): ExecutionResult {
+        return {
+            success: false,
+            error: message,
+            limit: { code, limit, message },
+            data: {
+                stdout: this.sanitizeOutput(stdout),
+                stderr: this.sanitizeOutput(stderr),
+                truncated: code === 'OUTPUT_LIMIT',
+                executionMode: options.executionMode || 'unknown'
+            },
+            executionMode: options.executionMode || 'unknown'
+        };
+    }
+
+    /**
+     * Spawn a single child with the wall-clock, memory, CPU and output limits applied
+     */
+    private runProcess(cmd: string, args: string[], options: ProcessOptions, timeout: number): Promise<ExecutionResult> {
         return new Promise((resolve, reject) => {
-            const child = spawn(cmd, args, { env: options.env || {} });
+            const maxCpuSeconds = options.maxCpuSeconds ?? this.maxCpuSeconds;
+            const { command, commandArgs } = this.applyProcessLimits(cmd, args, maxCpuSeconds, options.isolateNetwork);
+            // Own process group, so timeout and cancel can reach anything the child spawns
+            const child = spawn(command, commandArgs, { env: options.env || {}, detached: process.platform !== 'win32' });
+            this.trackProcess(options.executionId, child);
             let stdout = '';
             let stderr = '';
             let isCompleted = false;
+            let outputBytes = 0;
+            let outputLimitReached = false;
+            const liveOutput = {
+                stdout: this.createOutputStreamer('stdout', options.onOutput),
+                stderr: this.createOutputStreamer('stderr', options.onOutput)
+            };
+
+            // Keep output up to maxOutputBytes (stdout and stderr combined), then stop the child
+            const captureOutput = (chunk: Buffer, stream: 'stdout' | 'stderr') => {
+                if (outputLimitReached) {
+                    return;
+                }
+
+                let kept = chunk;
+                if (outputBytes + chunk.length > this.maxOutputBytes) {
+                    kept = chunk.subarray(0, Math.max(0, this.maxOutputBytes - outputBytes));
+                    outputLimitReached = true;
+                    this.signalProcessGroup(child, 'SIGKILL');
+                }
+                outputBytes += kept.length;
+                liveOutput[stream].push(kept);
 
-            const timeout = options.timeout || this.defaultTimeout;
-            const timeoutId = setTimeout(() => {
+                if (stream === 'stdout') {
+                    stdout += kept.toString();
+                } else {
+                    stderr += kept.toString();
+                }
+            };
+
+            const timeoutId = setTimeout(async () => {
                 if (!isCompleted) {
                     isCompleted = true;
-                    child.kill('SIGTERM');
+                    // Settle only once the group is gone, so the process slot is really free
+                    const reaped = await this.terminateProcessGroup(child);
 
                     reject({
                         error: 'Execution timeout',
                         timeout: timeout,
+                        reaped: reaped,
                         stdout: this.sanitizeOutput(stdout),
                         stderr: this.sanitizeOutput(stderr),
                         executionMode: options.executionMode || 'unknown'
@@ -363,19 +853,49 @@ export default class SecureExecutor {
                 }
             }, timeout);
 
-            child.stdout.on('data', data => {
-                stdout += data.toString();
-            });
+            child.stdout.on('data', data => captureOutput(data, 'stdout'));
 
-            child.stderr.on('data', data => {
-                stderr += data.toString();
-            });
+            child.stderr.on('data', data => captureOutput(data, 'stderr'));
+
+            child.on('close', async (code, signal) => {
+                liveOutput.stdout.flush();
+                liveOutput.stderr.flush();
+                this.untrackProcess(options.executionId, child);
+                // Leftover background processes do not outlive the execution
+                this.signalProcessGroup(child, 'SIGKILL');
+
+                if (options.executionId && this.cancelledExecutions.has(options.executionId) && !isCompleted) {
+                    isCompleted = true;
+                    clearTimeout(timeoutId);
+                    reject({
+                        success: false,
+                        error: 'Execution cancelled',
+                        cancelled: true,
+                        executionMode: options.executionMode || 'unknown'
+                    });
+                    return;
+                }
 
-            child.on('close', async (code) => {
                 if (!isCompleted) {
                     isCompleted = true;
                     clearTimeout(timeoutId);
 
+                    if (outputLimitReached) {
+                        reject(this.createLimitError('OUTPUT_LIMIT', this.maxOutputBytes,
+                            `Output exceeded ${this.maxOutputBytes} bytes and was truncated`, stdout, stderr, options));
+                        return;
+                    }
+                    if (/JavaScript heap out of memory|Reached heap limit/.test(stderr)) {
+                        reject(this.createLimitError('MEMORY_LIMIT', this.maxMemoryMb,
+                            `Execution exceeded the ${this.maxMemoryMb}MB memory limit`, stdout, stderr, options));
+                        return;
+                    }
+                    if (signal === 'SIGXCPU') {
+                        reject(this.createLimitError('CPU_LIMIT', maxCpuSeconds,
+                            `Execution exceeded the ${maxCpuSeconds}s CPU time limit`, stdout, stderr, options));
+                        return;
+                    }
+
                     try {
                         let result: ExecutionResult = {
                             success: true,
@@ -421,6 +941,7 @@ export default class SecureExecutor {
             });
 
             child.on('error', error => {
+                this.untrackProcess(options.executionId, child);
                 if (!isCompleted) {
                     isCompleted = true;
                     clearTimeout(timeoutId);
@@ -443,35 +964,91 @@ export default class SecureExecutor {
 
     /**
      * Phase 1: Execute secure data variables in isolation with full credential access (new format)
+     * Variables run wave by wave; within a wave they run in parallel up to the concurrency limit
      */
-    async executeDataVariablesPhase(secureDataVariables: SecureDataVariables, headerEnvVars: Record<string, string> = {}): Promise<any> {
+    async executeDataVariablesPhase(secureDataVariables: SecureDataVariables, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<DataVariablesPhaseResult> {
         // Security validation for data variables payload
         this.validateSecureDataVariablesPayload(secureDataVariables);
 
-        // Build dependency graph and get execution order
-        const executionOrder = this.buildDependencyGraph(secureDataVariables);
+        // Build dependency graph and group it into execution waves
+        const waves = this.buildExecutionWaves(secureDataVariables);
+        const concurrency = this.maxDataVariableConcurrency;
 
-        const sanitizedDataVariables: any = {};
+        const sanitizedResults: any = {};
         const resultsMap: any = {}; // Store raw results for dependency interpolation
+        const executionReport: DataVariablesExecutionReport = {
+            waves,
+            concurrency,
+            totalDurationMs: 0,
+            variables: {}
+        };
+        const phaseStartedAt = Date.now();
+
+        // A wave only starts once every variable of the previous wave has settled
+        for (let waveIndex = 0; waveIndex < waves.length; waveIndex++) {
+            await this.runWithConcurrency(waves[waveIndex], concurrency, async (variableName) => {
+                const startedAt = Date.now();
+                const sanitizedResult = await this.executeDataVariable(variableName, secureDataVariables[variableName], resultsMap, headerEnvVars, context);
+                sanitizedResults[variableName] = sanitizedResult;
+
+                executionReport.variables[variableName] = {
+                    wave: waveIndex,
+                    startedAt: new Date(startedAt).toISOString(),
+                    durationMs: Date.now() - startedAt,
+                    status: sanitizedResult.error ? 'error' : sanitizedResult.skipped ? 'skipped' : 'success',
+                    ...(sanitizedResult.error && sanitizedResult.type ? { errorType: sanitizedResult.type } : {}),
+                    ...(sanitizedResult.projection ? { projection: sanitizedResult.projection } : {}),
+                    ...(sanitizedResult.forEach ? { forEach: sanitizedResult.forEach } : {})
+                };
+            });
+        }
 
-        // Execute in dependency order (sequential)
-        for (const variableName of executionOrder) {
-            try {
-                const variableConfig = secureDataVariables[variableName];
+        executionReport.totalDurationMs = Date.now() - phaseStartedAt;
 
-                // Check rate limits
-                if (!this.checkDataMethodRateLimit(variableName)) {
-                    sanitizedDataVariables[variableName] = {
-                        error: true,
-                        message: 'Rate limit exceeded for data variable',
-                        type: 'rate_limit_error'
-                    };
-                    continue;
-                }
+        // Keep a stable (dependency) order regardless of which call finished first
+        const sanitizedDataVariables: any = {};
+        for (const variableName of waves.flat()) {
+            sanitizedDataVariables[variableName] = sanitizedResults[variableName];
+        }
+
+        return { sanitizedDataVariables, executionReport };
+    }
+
+    /**
+     * Execute a single data variable and return its sanitized result
+     * Never throws - failures are turned into safe error objects
+     */
+    private async executeDataVariable(variableName: string, variableConfig: DataVariableConfig, resultsMap: any, headerEnvVars: Record<string, string>, context: ExecutionContext): Promise<any> {
+        try {
+            // Check rate limits
+            if (!this.checkDataMethodRateLimit(variableName)) {
+                return {
+                    error: true,
+                    message: 'Rate limit exceeded for data variable',
+                    type: 'rate_limit_error'
+                };
+            }
 
-                // Validate variable configuration
-                this.validateDataVariableConfig(variableConfig);
+            // Validate variable configuration
+            this.validateDataVariableConfig(variableConfig);
 
+            // Skip when an upstream variable was skipped or the when condition does not hold
+            const skip = this.getSkipReason(variableConfig, resultsMap);
+            if (skip) {
+                resultsMap[variableName] = { skipped: true };
+                return {
+                    skipped: true,
+                    data: null,
+                    sanitized: true,
+                    ...skip
+                };
+            }
+
+            let rawResult;
+            if (variableConfig.for_each) {
+                // Fan out over the upstream array, one isolated process per item
+                rawResult = await this.executeForEachDataVariable(variableName, variableConfig, resultsMap, headerEnvVars, context);
+            } else {
                 // Interpolate passed_variables if present
                 let configToExecute = variableConfig;
                 if (variableConfig?.passed_variables && typeof variableConfig?.passed_variables === 'object') {
@@ -479,36 +1056,193 @@ export default class SecureExecutor {
                 }
 
                 // Execute the data variable in isolation
-                const rawResult = await this.executeIsolatedDataVariable(variableName, configToExecute, headerEnvVars);
+                rawResult = await this.executeIsolatedDataVariable(variableName, configToExecute, headerEnvVars, context);
+            }
 
-                // Store raw result for dependency interpolation
-                resultsMap[variableName] = rawResult;
+            // Store raw result for dependency interpolation
+            resultsMap[variableName] = rawResult;
 
-                // Sanitize the result (strip sensitive data)
-                sanitizedDataVariables[variableName] = this.sanitizeDataMethodResult(rawResult);
+            // Sanitize the result (strip sensitive data, apply select/redact)
+            const sanitizedResult = this.sanitizeDataMethodResult(rawResult, variableConfig);
 
-                // Update rate limit tracking
+            // Update rate limit tracking; for_each already charged every item it ran
+            if (!variableConfig.for_each) {
                 this.updateDataMethodRateLimit(variableName);
+            }
 
-            } catch (error: any) {
-                // Create safe error message without exposing sensitive details
-                sanitizedDataVariables[variableName] = {
+            return sanitizedResult;
+
+        } catch (error: any) {
+            console.error(`❌ Data variable ${variableName} failed:`, error.message);
+            if (error instanceof EgressPolicyError) {
+                return {
                     error: true,
-                    message: 'Data variable execution failed',
-                    type: 'execution_error',
+                    message: 'Request blocked by egress policy',
+                    type: 'egress_policy_violation',
                     details: error.message
                 };
-                console.error(`❌ Data variable ${variableName} failed:`, error.message);
             }
+            if (error?.limit) {
+                return {
+                    error: true,
+                    message: 'Data variable exceeded a resource limit',
+                    type: 'resource_limit',
+                    limit: error.limit.code,
+                    details: error.limit.message
+                };
+            }
+            // Create safe error message without exposing sensitive details
+            return {
+                error: true,
+                message: 'Data variable execution failed',
+                type: 'execution_error',
+                details: error.message
+            };
+        }
+    }
+
+    /**
+     * Decide whether a data variable should be skipped
+     * Skips cascade: a variable reading from a skipped variable is skipped too
+     */
+    private getSkipReason(config: DataVariableConfig, resultsMap: any): { reason: string; dependency?: string } | null {
+        for (const dependencyName of this.getDataVariableDependencies(config)) {
+            if (resultsMap[dependencyName]?.skipped) {
+                return { reason: 'dependency_skipped', dependency: dependencyName };
+            }
+        }
+
+        if (config.when && !this.evaluateWhenCondition(config.when, resultsMap)) {
+            return { reason: 'condition_not_met' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Evaluate a when condition against the raw body of an upstream result
+     * A failed upstream call never satisfies a condition
+     */
+    private evaluateWhenCondition(when: WhenCondition, resultsMap: any): boolean {
+        const upstream = resultsMap[when.passed_from];
+        if (!upstream || upstream.error) {
+            return false;
+        }
+
+        const body = upstream.data?.body;
+        const value = when.path ? this.getValueAtPath({ result: body }, `result.${when.path}`) : body;
+
+        if (when.exists !== undefined) {
+            return when.exists === (value !== undefined && value !== null);
+        }
+        if (when.equals !== undefined) {
+            return value === when.equals;
+        }
+        if (when.not_equals !== undefined) {
+            return value !== when.not_equals;
+        }
+        if (when.in !== undefined) {
+            return when.in.includes(value);
+        }
+
+        return false;
+    }
+
+    /**
+     * Run a data variable once per element of an upstream array
+     * Every item runs in its own isolated process; bodies are collected in item order, failed items as null
+     */
+    private async executeForEachDataVariable(variableName: string, config: DataVariableConfig, resultsMap: any, headerEnvVars: Record<string, string>, context: ExecutionContext): Promise<any> {
+        const forEach = config.for_each!;
+        const upstream = resultsMap[forEach.passed_from];
+        if (!upstream || upstream.error) {
+            throw new Error(`for_each source ${forEach.passed_from} did not return data`);
+        }
+
+        const body = upstream.data?.body;
+        const items = forEach.items_path ? this.getValueAtPath({ result: body }, `result.${forEach.items_path}`) : body;
+        if (!Array.isArray(items)) {
+            throw new Error(`for_each items at ${forEach.items_path || 'body'} of ${forEach.passed_from} is not an array`);
+        }
+
+        const selectedItems = items.slice(0, forEach.max_items || SecureExecutor.DEFAULT_FOR_EACH_ITEMS);
+        const bodies: any[] = new Array(selectedItems.length).fill(null);
+        const failedIndexes: number[] = [];
+
+        // Each item runs as a plain request: for_each and when are already resolved
+        const { for_each, when, ...itemTemplate } = config;
+
+        // A request may lower the concurrency but never raise it above the executor's limit
+        const concurrency = Math.min(forEach.concurrency || this.maxDataVariableConcurrency, this.maxDataVariableConcurrency);
+
+        await this.runWithConcurrency(selectedItems, concurrency, async (item, index) => {
+            // Every item is a credentialed request of its own and is charged before it is sent
+            if (!this.checkDataMethodRateLimit(variableName)) {
+                console.error(`❌ Data variable ${variableName}[${index}] skipped: rate limit exceeded`);
+                failedIndexes.push(index);
+                return;
+            }
+            this.updateDataMethodRateLimit(variableName);
+
+            try {
+                const itemConfig = this.interpolatePassedVariables(itemTemplate, itemTemplate.passed_variables || {}, resultsMap, { item });
+                const itemResult = await this.executeIsolatedDataVariable(`${variableName}[${index}]`, itemConfig, headerEnvVars, context);
+                if (itemResult.error) {
+                    failedIndexes.push(index);
+                    return;
+                }
+                bodies[index] = itemResult.data?.body ?? null;
+            } catch (error: any) {
+                console.error(`❌ Data variable ${variableName}[${index}] failed:`, error.message);
+                failedIndexes.push(index);
+            }
+        });
+
+        failedIndexes.sort((a, b) => a - b);
+        const forEachInfo: ForEachInfo = {
+            total: items.length,
+            executed: selectedItems.length,
+            succeeded: selectedItems.length - failedIndexes.length,
+            failed: failedIndexes.length,
+            truncated: selectedItems.length < items.length,
+            failedIndexes
+        };
+
+        if (selectedItems.length > 0 && failedIndexes.length === selectedItems.length) {
+            return {
+                data: null,
+                error: { message: 'Every for_each item failed', type: 'for_each_error' },
+                forEach: forEachInfo
+            };
         }
 
-        return sanitizedDataVariables;
+        return {
+            data: { status: 200, headers: {}, body: bodies, success: true },
+            forEach: forEachInfo
+        };
+    }
+
+    /**
+     * Run an async worker over items with at most `limit` workers in flight
+     */
+    private async runWithConcurrency<T>(items: T[], limit: number, worker: (item: T, index: number) => Promise<void>): Promise<void> {
+        let nextIndex = 0;
+        const runnerCount = Math.max(1, Math.min(limit, items.length));
+
+        const runners = Array.from({ length: runnerCount }, async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
     }
 
     /**
      * Phase 1: Execute secure data methods in isolation with full credential access
      */
-    async executeDataMethodsPhase(secureDataMethods: SecureDataMethods, headerEnvVars: Record<string, string> = {}): Promise<any> {
+    async executeDataMethodsPhase(secureDataMethods: SecureDataMethods, headerEnvVars: Record<string, string> = {}, context: ExecutionContext = {}): Promise<any> {
         // Security validation for data methods payload
         this.validateSecureDataMethodsPayload(secureDataMethods);
 
@@ -530,7 +1264,7 @@ export default class SecureExecutor {
                 this.validateDataMethodConfig(methodConfig);
 
                 // Execute the data method in isolation
-                const rawResult = await this.executeIsolatedDataMethod(methodName, methodConfig, headerEnvVars);
+                const rawResult = await this.executeIsolatedDataMethod(methodName, methodConfig, headerEnvVars, context);
 
                 // Sanitize the result (strip sensitive data)
                 let santizedResult = this.sanitizeDataMethodResult(rawResult);
@@ -572,20 +1306,28 @@ export default class SecureExecutor {
         for (const [variableName, config] of Object.entries(secureDataVariables)) {
             if (config.passed_variables && typeof config.passed_variables === 'object') {
                 for (const [field, passedConfig] of Object.entries(config.passed_variables)) {
-                    const dependencyName = passedConfig.passed_from;
-
-                    if (!dependencyName) {
+                    if (!passedConfig.passed_from) {
                         throw new Error(`passed_variables.${field} in ${variableName} must have 'passed_from' field`);
                     }
+                }
+            }
 
-                    if (!variableNames.includes(dependencyName)) {
-                        throw new Error(`${variableName} depends on '${dependencyName}' which doesn't exist in api_calls`);
-                    }
+            if (config.for_each && !config.for_each.passed_from) {
+                throw new Error(`for_each in ${variableName} must have 'passed_from' field`);
+            }
+
+            if (config.when && !config.when.passed_from) {
+                throw new Error(`when in ${variableName} must have 'passed_from' field`);
+            }
 
-                    // variableName depends on dependencyName
-                    dependencies.get(variableName)!.push(dependencyName);
-                    dependents.get(dependencyName)!.push(variableName);
+            for (const dependencyName of this.getDataVariableDependencies(config)) {
+                if (!variableNames.includes(dependencyName)) {
+                    throw new Error(`${variableName} depends on '${dependencyName}' which doesn't exist in api_calls`);
                 }
+
+                // variableName depends on dependencyName
+                dependencies.get(variableName)!.push(dependencyName);
+                dependents.get(dependencyName)!.push(variableName);
             }
         }
 
@@ -655,6 +1397,54 @@ export default class SecureExecutor {
         return executionOrder;
     }
 
+    /**
+     * Group data variables into execution waves
+     * Each variable lands one wave after its latest dependency, so all variables in a wave can run in parallel
+     */
+    buildExecutionWaves(secureDataVariables: SecureDataVariables): string[][] {
+        // Validates references and rejects cycles before grouping
+        const executionOrder = this.buildDependencyGraph(secureDataVariables);
+        const waveOf = new Map<string, number>();
+        const waves: string[][] = [];
+
+        // Topological order guarantees every dependency already has a wave assigned
+        for (const variableName of executionOrder) {
+            let wave = 0;
+            for (const dependencyName of this.getDataVariableDependencies(secureDataVariables[variableName])) {
+                wave = Math.max(wave, waveOf.get(dependencyName)! + 1);
+            }
+
+            waveOf.set(variableName, wave);
+            if (!waves[wave]) {
+                waves[wave] = [];
+            }
+            waves[wave].push(variableName);
+        }
+
+        return waves;
+    }
+
+    /**
+     * List the data variables a variable reads from (passed_variables, for_each and when)
+     */
+    private getDataVariableDependencies(config: DataVariableConfig): string[] {
+        const dependencies = new Set<string>();
+
+        for (const passedConfig of Object.values(config.passed_variables || {})) {
+            if (passedConfig?.passed_from) {
+                dependencies.add(passedConfig.passed_from);
+            }
+        }
+        if (config.for_each?.passed_from) {
+            dependencies.add(config.for_each.passed_from);
+        }
+        if (config.when?.passed_from) {
+            dependencies.add(config.when.passed_from);
+        }
+
+        return Array.from(dependencies);
+    }
+
     /**
      * Validate global code doesn't access process.env.KEYBOARD_* variables
      */
@@ -676,6 +1466,77 @@ export default class SecureExecutor {
         }
     }
 
+    /**
+     * Validate the capabilities requested for the global code phase
+     * In hardened mode dynamic import() is rejected unless network access was requested, since it bypasses require interception
+     */
+    validateGlobalCodeCapabilities(globalCode: string, capabilities?: GlobalCodeCapability[]): void {
+        if (capabilities !== undefined) {
+            if (!Array.isArray(capabilities)) {
+                throw new Error('global_code_capabilities must be an array');
+            }
+
+            const known = Object.keys(GLOBAL_CODE_CAPABILITY_MODULES);
+            for (const capability of capabilities) {
+                if (!known.includes(capability)) {
+                    throw new Error(`Unknown global code capability: ${capability}. Allowed: ${known.join(', ')}`);
+                }
+            }
+        }
+
+        if (this.hardenGlobalCode && !(capabilities || []).includes('network') && /\bimport\s*\(/.test(globalCode || '')) {
+            throw new Error(
+                '❌ Error: Dynamic import() is not allowed in global code. ' +
+                'Please interact with external APIs in the api_calls section.'
+            );
+        }
+    }
+
+    /**
+     * Sandbox settings and node flags for the global code phase
+     * Returns no sandbox when hardening is disabled
+     */
+    private getGlobalCodeSandbox(
+        capabilities: GlobalCodeCapability[] = [],
+        outputDir?: string
+    ): { sandbox: GlobalCodeSandbox | null; nodeArgs: string[]; isolateNetwork: boolean } {
+        if (!this.hardenGlobalCode) {
+            return { sandbox: null, nodeArgs: [], isolateNetwork: false };
+        }
+
+        const allowedModules = [
+            ...GLOBAL_CODE_ALLOWED_MODULES,
+            ...capabilities.flatMap(capability => GLOBAL_CODE_CAPABILITY_MODULES[capability])
+        ];
+
+        // Node permission model: reads stay open, everything else must be granted
+        const nodeArgs = [
+            '--experimental-permission',
+            '--disable-warning=ExperimentalWarning',
+            '--allow-fs-read=*',
+            // Keeps eval / new Function from smuggling in an import()
+            '--disallow-code-generation-from-strings'
+        ];
+        if (capabilities.includes('fs_write')) {
+            nodeArgs.push('--allow-fs-write=*');
+        } else if (outputDir) {
+            nodeArgs.push(`--allow-fs-write=${outputDir}`);
+        }
+        if (capabilities.includes('child_process')) {
+            nodeArgs.push('--allow-child-process');
+        }
+        if (capabilities.includes('worker_threads')) {
+            nodeArgs.push('--allow-worker');
+        }
+
+        return {
+            sandbox: { allowedModules, blockFetch: !capabilities.includes('network') },
+            nodeArgs,
+            // The module checks are the JavaScript layer, the namespace keeps sockets from reaching anything below it
+            isolateNetwork: !capabilities.includes('network')
+        };
+    }
+
     /**
      * Cleanup temporary files
      */
@@ -704,8 +1565,9 @@ export default class SecureExecutor {
 
     /**
      * Interpolate passed_variables into config using results from previous executions
+     * `context` adds extra template roots, e.g. the current for_each item
      */
-    private interpolatePassedVariables(config: DataVariableConfig, passed_variables: PassedVariables, resultsMap: any): DataVariableConfig {
+    private interpolatePassedVariables(config: DataVariableConfig, passed_variables: PassedVariables, resultsMap: any, context: Record<string, any> = {}): DataVariableConfig {
         // Deep clone config to avoid mutations
         const interpolatedConfig = JSON.parse(JSON.stringify(config));
 
@@ -740,7 +1602,7 @@ export default class SecureExecutor {
             const resultData = dependencyResult.data?.body
 
             // Interpolate the value template with result data
-            const interpolatedValue = this.interpolateTemplate(value, { result: resultData });
+            const interpolatedValue = this.interpolateTemplate(value, { result: resultData, ...context });
 
             // Set the interpolated value at the field path
             this.setValueAtPath(interpolatedConfig, field_name, interpolatedValue);
@@ -751,7 +1613,7 @@ export default class SecureExecutor {
 
     /**
      * Interpolate a template string with data
-     * Supports ${result.field} and ${result.nested.field} syntax
+     * Supports ${result.field}, ${result.nested.field} and, inside for_each, ${item} / ${item.field} syntax
      * Leaves ${process.env.*} patterns untouched for runtime evaluation
      */
     private interpolateTemplate(template: string, data: any): any {
@@ -759,11 +1621,11 @@ export default class SecureExecutor {
             return template;
         }
 
-        // Replace only ${result.*} patterns, leave ${process.env.*} patterns for runtime
+        // Replace only ${result.*} and ${item.*} patterns, leave ${process.env.*} patterns for runtime
         // Regex validates proper path format: letters, numbers, dots, brackets, underscores
-        return template.replace(/\$\{result\.([\w.\[\]]+)\}/g, (match, path) => {
-            // path = "id" or "body.name" or "items[0].id" (without the "result." prefix)
-            const fullPath = 'result.' + path;
+        return template.replace(/\$\{(result|item)((?:[.\[][\w.\[\]]*)?)\}/g, (match, root, path) => {
+            // root = "result" or "item", path = ".id" or ".body.name" or "[0].id"
+            const fullPath = root + path;
             const value = this.getValueAtPath(data, fullPath);
 
             // Strict null/undefined check - these should error
@@ -1013,6 +1875,277 @@ export default class SecureExecutor {
                 }
             }
         }
+
+        // Validate retry policy if present
+        if (config.retry !== undefined) {
+            this.validateRetryPolicy(config.retry);
+        }
+
+        // Validate pagination descriptor if present
+        if (config.paginate !== undefined) {
+            this.validatePaginationConfig(config.paginate);
+        }
+
+        // Validate field projection paths if present
+        if (config.select !== undefined) {
+            this.validateFieldPaths('select', config.select);
+        }
+        if (config.redact !== undefined) {
+            this.validateFieldPaths('redact', config.redact);
+        }
+
+        // Validate fan-out and condition if present
+        if (config.for_each !== undefined) {
+            this.validateForEachConfig(config.for_each, config);
+        }
+        if (config.when !== undefined) {
+            this.validateWhenCondition(config.when);
+        }
+
+        // Credentials may only be sent to the hosts the egress policy lists for them
+        // A url filled in by passed_variables is checked after interpolation instead
+        const urlIsInterpolated = Object.values(config.passed_variables || {})
+            .some(passedConfig => ['url', 'fetchOptions.url'].includes(passedConfig?.field_name));
+        if (!urlIsInterpolated) {
+            this.assertEgressAllowed(config);
+        }
+    }
+
+    /**
+     * Hosts a data variable may reach, based on the credentials it references
+     * Returns null when the request carries no credentials or enforcement is disabled
+     */
+    private getEgressAllowedHosts(config: DataVariableConfig): string[] | null {
+        if (!this.enforceEgressPolicy) {
+            return null;
+        }
+        return getAllowedHosts(this.egressPolicy, findReferencedCredentials(config));
+    }
+
+    /**
+     * Reject a data variable whose URL is outside the egress policy for its credentials
+     * URLs still waiting on ${result} / ${item} interpolation are checked again after interpolation
+     */
+    private assertEgressAllowed(config: DataVariableConfig): void {
+        const allowedHosts = this.getEgressAllowedHosts(config);
+        const url = config.fetchOptions?.url || (config as any).url;
+        if (allowedHosts === null || typeof url !== 'string' || /\$\{(result|item)/.test(url)) {
+            return;
+        }
+
+        let hostname: string;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (error: any) {
+            throw new Error(`Invalid URL: ${url}`);
+        }
+
+        if (!isHostAllowed(hostname, allowedHosts)) {
+            throw new EgressPolicyError(hostname, findReferencedCredentials(config));
+        }
+    }
+
+    /**
+     * Validate a for_each descriptor, the upstream array is resolved at execution time
+     */
+    private validateForEachConfig(forEach: ForEachConfig, config: DataVariableConfig): void {
+        if (!forEach || typeof forEach !== 'object' || Array.isArray(forEach)) {
+            throw new Error('for_each must be an object');
+        }
+
+        if (typeof forEach.passed_from !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(forEach.passed_from)) {
+            throw new Error(`Invalid for_each.passed_from identifier: ${forEach.passed_from}`);
+        }
+
+        if (forEach.items_path !== undefined && (typeof forEach.items_path !== 'string' || !/^[a-zA-Z_][\w.\[\]-]*$/.test(forEach.items_path))) {
+            throw new Error('for_each.items_path must be a dot path like "data.items"');
+        }
+
+        const bounds: Array<[keyof ForEachConfig, number]> = [
+            ['max_items', SecureExecutor.MAX_FOR_EACH_ITEMS],
+            ['concurrency', this.maxDataVariableConcurrency]
+        ];
+        for (const [field, max] of bounds) {
+            const value = forEach[field];
+            if (value !== undefined && (!Number.isInteger(value) || (value as number) < 1 || (value as number) > max)) {
+                throw new Error(`for_each.${field} must be an integer between 1 and ${max}`);
+            }
+        }
+
+        // Without an ${item} reference every run would send the same request
+        const usesItem = Object.values(config.passed_variables || {})
+            .some(passedConfig => typeof passedConfig?.value === 'string' && /\$\{item[.\[}]/.test(passedConfig.value));
+        if (!usesItem) {
+            throw new Error('for_each requires a passed_variables value that references ${item}');
+        }
+    }
+
+    /**
+     * Validate a when condition, exactly one comparison must be given
+     */
+    private validateWhenCondition(when: WhenCondition): void {
+        if (!when || typeof when !== 'object' || Array.isArray(when)) {
+            throw new Error('when must be an object');
+        }
+
+        if (typeof when.passed_from !== 'string' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(when.passed_from)) {
+            throw new Error(`Invalid when.passed_from identifier: ${when.passed_from}`);
+        }
+
+        if (when.path !== undefined && (typeof when.path !== 'string' || !/^[a-zA-Z_][\w.\[\]-]*$/.test(when.path))) {
+            throw new Error('when.path must be a dot path like "data.state"');
+        }
+
+        const operators = ['equals', 'not_equals', 'in', 'exists'].filter(operator => (when as any)[operator] !== undefined);
+        if (operators.length !== 1) {
+            throw new Error('when must have exactly one of: equals, not_equals, in, exists');
+        }
+
+        const isScalar = (value: any) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+        if (when.exists !== undefined && typeof when.exists !== 'boolean') {
+            throw new Error('when.exists must be a boolean');
+        }
+        if (when.equals !== undefined && !isScalar(when.equals)) {
+            throw new Error('when.equals must be a string, number, boolean or null');
+        }
+        if (when.not_equals !== undefined && !isScalar(when.not_equals)) {
+            throw new Error('when.not_equals must be a string, number, boolean or null');
+        }
+        if (when.in !== undefined && (!Array.isArray(when.in) || when.in.length === 0 || !when.in.every(isScalar))) {
+            throw new Error('when.in must be a non-empty array of strings, numbers, booleans or null');
+        }
+    }
+
+    /**
+     * Validate a select / redact path list
+     */
+    private validateFieldPaths(name: string, paths: string[]): void {
+        if (!Array.isArray(paths) || paths.length === 0) {
+            throw new Error(`${name} must be a non-empty array of field paths`);
+        }
+
+        if (paths.length > SecureExecutor.MAX_PROJECTION_PATHS) {
+            throw new Error(`${name} cannot contain more than ${SecureExecutor.MAX_PROJECTION_PATHS} paths`);
+        }
+
+        for (const fieldPath of paths) {
+            if (!isValidFieldPath(fieldPath)) {
+                throw new Error(`Invalid field path in ${name}: ${fieldPath}`);
+            }
+        }
+    }
+
+    /**
+     * Validate a pagination descriptor, pages are followed inside the isolated child
+     */
+    private validatePaginationConfig(paginate: PaginationConfig): void {
+        if (!paginate || typeof paginate !== 'object' || Array.isArray(paginate)) {
+            throw new Error('paginate must be an object');
+        }
+
+        const strategies = ['link_header', 'cursor', 'page', 'offset'];
+        if (!strategies.includes(paginate.strategy)) {
+            throw new Error(`paginate.strategy must be one of: ${strategies.join(', ')}`);
+        }
+
+        const checkInteger = (field: keyof PaginationConfig, min: number, max: number): void => {
+            const value = paginate[field];
+            if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max)) {
+                throw new Error(`paginate.${field} must be an integer between ${min} and ${max}`);
+            }
+        };
+
+        checkInteger('max_pages', 1, SecureExecutor.MAX_PAGES);
+        checkInteger('max_items', 1, SecureExecutor.MAX_PAGINATED_ITEMS);
+        checkInteger('start_page', 0, 1000000);
+        checkInteger('page_size', 1, 1000);
+
+        const pathFields: Array<keyof PaginationConfig> = ['items_path', 'cursor_path', 'has_more_path'];
+        for (const field of pathFields) {
+            const value = paginate[field];
+            if (value !== undefined && (typeof value !== 'string' || !/^[a-zA-Z_][\w.\[\]-]*$/.test(value))) {
+                throw new Error(`paginate.${field} must be a dot path like "data.items"`);
+            }
+        }
+
+        const paramFields: Array<keyof PaginationConfig> = ['cursor_param', 'page_param', 'offset_param', 'page_size_param'];
+        for (const field of paramFields) {
+            const value = paginate[field];
+            if (value !== undefined && (typeof value !== 'string' || !/^[a-zA-Z_][\w.\[\]-]*$/.test(value))) {
+                throw new Error(`paginate.${field} must be a parameter name`);
+            }
+        }
+
+        if (paginate.strategy === 'cursor') {
+            if (!paginate.cursor_path || !paginate.cursor_param) {
+                throw new Error('paginate with strategy "cursor" requires cursor_path and cursor_param');
+            }
+            if (paginate.cursor_in !== undefined && !['query', 'body'].includes(paginate.cursor_in)) {
+                throw new Error('paginate.cursor_in must be "query" or "body"');
+            }
+        }
+    }
+
+    /**
+     * Validate a retry policy so a payload cannot make the isolated child retry forever
+     */
+    private validateRetryPolicy(retry: RetryPolicy): void {
+        if (!retry || typeof retry !== 'object' || Array.isArray(retry)) {
+            throw new Error('retry must be an object');
+        }
+
+        const checkInteger = (field: keyof RetryPolicy, min: number, max: number): void => {
+            const value = retry[field];
+            if (value !== undefined && (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max)) {
+                throw new Error(`retry.${field} must be an integer between ${min} and ${max}`);
+            }
+        };
+
+        checkInteger('max_attempts', 1, SecureExecutor.MAX_RETRY_ATTEMPTS);
+        checkInteger('initial_delay_ms', 0, SecureExecutor.MAX_RETRY_DELAY_MS);
+        checkInteger('max_delay_ms', 0, SecureExecutor.MAX_RETRY_DELAY_MS);
+
+        if (retry.backoff_multiplier !== undefined &&
+            (typeof retry.backoff_multiplier !== 'number' || retry.backoff_multiplier < 1 || retry.backoff_multiplier > 10)) {
+            throw new Error('retry.backoff_multiplier must be a number between 1 and 10');
+        }
+
+        if (retry.jitter !== undefined && typeof retry.jitter !== 'boolean') {
+            throw new Error('retry.jitter must be a boolean');
+        }
+
+        if (retry.respect_retry_after !== undefined && typeof retry.respect_retry_after !== 'boolean') {
+            throw new Error('retry.respect_retry_after must be a boolean');
+        }
+
+        if (retry.retry_non_idempotent !== undefined && typeof retry.retry_non_idempotent !== 'boolean') {
+            throw new Error('retry.retry_non_idempotent must be a boolean');
+        }
+
+        if (retry.retry_on_status !== undefined) {
+            if (!Array.isArray(retry.retry_on_status) ||
+                !retry.retry_on_status.every(status => Number.isInteger(status) && status >= 100 && status <= 599)) {
+                throw new Error('retry.retry_on_status must be an array of HTTP status codes');
+            }
+        }
+    }
+
+    /**
+     * Process timeout for a data variable, leaving room for every retry attempt, its backoff and every page
+     * Capped at MAX_DATA_VARIABLE_TIMEOUT; the child stops retrying once a retry could no longer finish in time
+     */
+    private getDataVariableTimeout(config: DataVariableConfig): number {
+        let requestTimeout = this.maxDataMethodTimeout;
+        const method = String((config.fetchOptions && config.fetchOptions.method) || 'GET').toUpperCase();
+        const retried = !!config.retry && (IDEMPOTENT_RETRY_METHODS.includes(method) || config.retry.retry_non_idempotent === true);
+        if (retried) {
+            const attempts = config.retry!.max_attempts || 3;
+            const maxDelay = config.retry!.max_delay_ms ?? 10000;
+            requestTimeout = this.maxDataMethodTimeout * attempts + maxDelay * (attempts - 1);
+        }
+
+        const pages = config.paginate ? config.paginate.max_pages || 10 : 1;
+        return Math.min(requestTimeout * pages, SecureExecutor.MAX_DATA_VARIABLE_TIMEOUT);
     }
 
     /**
@@ -1082,24 +2215,27 @@ export default class SecureExecutor {
     /**
      * Execute a single data variable in isolation with credential access (new format)
      */
-    private async executeIsolatedDataVariable(variableName: string, variableConfig: DataVariableConfig, headerEnvVars: Record<string, string>): Promise<any> {
+    private async executeIsolatedDataVariable(variableName: string, variableConfig: DataVariableConfig, headerEnvVars: Record<string, string>, context: ExecutionContext = {}): Promise<any> {
         return new Promise((resolve, reject) => {
             const tempFile = `temp_data_variable_${Date.now()}_${randomBytes(8).toString('hex')}.js`;
             const tempPath = path.join(this.tempDir, tempFile);
 
-            // Create isolated execution code for the data variable
-            const isolatedCode = this.generateIsolatedDataVariableCode(variableName, variableConfig);
-
             try {
+                // Check the final (interpolated) URL before credentials are handed to a child
+                this.assertEgressAllowed(variableConfig);
+
+                // Create isolated execution code for the data variable
+                const isolatedCode = this.generateIsolatedDataVariableCode(variableName, variableConfig);
                 fs.writeFileSync(tempPath, isolatedCode);
 
                 // Create environment for isolated execution with full credential access
                 const isolatedEnv = this.createIsolatedEnvironment(headerEnvVars);
                 this.executeProcess('node', [tempPath], {
-                    timeout: this.maxDataMethodTimeout, // Configurable timeout for data variable
+                    timeout: this.getDataVariableTimeout(variableConfig), // Configurable timeout, extended for retries
                     env: isolatedEnv,
                     executionMode: 'isolated-data-variable',
-                    skipOutputSanitization: true // Skip sanitization to preserve JSON structure
+                    skipOutputSanitization: true, // Skip sanitization to preserve JSON structure
+                    executionId: context.executionId
                 }).then(result => {
                     this.cleanup(tempPath);
                     resolve(this.parseIsolatedDataMethodResult(result));
@@ -1118,7 +2254,7 @@ export default class SecureExecutor {
     /**
      * Execute a single data method in isolation with credential access
      */
-    private async executeIsolatedDataMethod(methodName: string, methodConfig: DataMethodConfig, headerEnvVars: Record<string, string>): Promise<any> {
+    private async executeIsolatedDataMethod(methodName: string, methodConfig: DataMethodConfig, headerEnvVars: Record<string, string>, context: ExecutionContext = {}): Promise<any> {
         return new Promise((resolve, reject) => {
             const tempFile = `temp_data_method_${Date.now()}_${randomBytes(8).toString('hex')}.js`;
             const tempPath = path.join(this.tempDir, tempFile);
@@ -1136,7 +2272,8 @@ export default class SecureExecutor {
                     timeout: this.maxDataMethodTimeout, // Configurable timeout for data method
                     env: isolatedEnv,
                     executionMode: 'isolated-data-method',
-                    skipOutputSanitization: true // Skip sanitization to preserve JSON structure
+                    skipOutputSanitization: true, // Skip sanitization to preserve JSON structure
+                    executionId: context.executionId
                 }).then(result => {
                     this.cleanup(tempPath);
                     resolve(this.parseIsolatedDataMethodResult(result));
@@ -1161,11 +2298,16 @@ export default class SecureExecutor {
         if (actualConfigIsString) actualConfig = JSON.parse(variableConfig as string)
         else actualConfig = variableConfig
 
+        // Resolved before credential is dropped, so the credential field also counts
+        const egressAllowedHosts = this.getEgressAllowedHosts(actualConfig)
+
         const { credential } = actualConfig as any
         delete actualConfig["credential"]
         let configCode = this.buildConfigObjectCode(actualConfig)
 
-        let code = isolatedDataVariableGenerator(configCode)
+        // The last attempt gets a full request timeout before the process is stopped
+        const retryDeadlineMs = Math.max(0, this.getDataVariableTimeout(actualConfig) - this.maxDataMethodTimeout)
+        let code = isolatedDataVariableGenerator(configCode, egressAllowedHosts, retryDeadlineMs)
         return code
     }
 
@@ -1390,28 +2532,81 @@ export default class SecureExecutor {
         return -1; // Position not found
     }
 
+    /**
+     * Apply the select allowlist, then the redact list, to a response body
+     * Runs in the parent before the body is handed to the global code phase
+     */
+    private applyFieldProjection(body: any, config?: DataVariableConfig): { data: any; projection?: ProjectionInfo } {
+        if (!config || (!config.select && !config.redact)) {
+            return { data: body };
+        }
+
+        const projection: ProjectionInfo = {};
+        let data = body;
+
+        if (config.select) {
+            const selected = selectFields(data, config.select);
+            data = selected.value;
+            projection.selected = config.select;
+            projection.dropped = selected.dropped;
+        }
+
+        if (config.redact) {
+            const redacted = redactFields(data, config.redact);
+            data = redacted.value;
+            projection.redacted = redacted.redacted;
+        }
+
+        return { data, projection };
+    }
+
     /**
      * Sanitize data method result to remove all sensitive information
      * This is the critical security boundary - NO sensitive data should pass through
      */
-    private sanitizeDataMethodResult(rawResult: any): any {
+    private sanitizeDataMethodResult(rawResult: any, config?: DataVariableConfig): any {
         try {
+            // Retry history only carries status codes, timings and error codes - safe to pass through
+            const retryInfo = Array.isArray(rawResult.attempts) && rawResult.attempts.length > 0 ?
+                { attempts: rawResult.attempts } : {};
+            const paginationInfo = rawResult.data?.pagination ? { pagination: rawResult.data.pagination } : {};
+            // Fan-out summary only carries counts and item indexes
+            const forEachInfo = rawResult.forEach ? { forEach: rawResult.forEach } : {};
+
+            // Violations found by the child (e.g. after a redirect) keep their own type
+            if (rawResult.error?.type === 'EgressPolicyError') {
+                return {
+                    error: true,
+                    message: 'Request blocked by egress policy',
+                    type: 'egress_policy_violation',
+                    details: rawResult.error.message,
+                    ...retryInfo
+                };
+            }
+
             // If there was an error in execution, return safe error
             if (rawResult.error) {
                 return {
                     error: true,
                     message: 'Data method execution failed',
-                    type: 'execution_error'
+                    type: 'execution_error',
+                    ...forEachInfo,
+                    ...retryInfo
                 };
             }
 
             if (rawResult.data) {
-                const sanitizedData = rawResult.data.body
+                const { data: sanitizedData, projection } = this.applyFieldProjection(rawResult.data.body, config);
+                const projectionInfo = projection ? { projection } : {};
 
                 return {
                     success: true,
                     data: sanitizedData,
-                    sanitized: true
+                    sanitized: true,
+                    ...projectionInfo,
+                    ...paginationInfo,
+                    ...forEachInfo,
+                    ...retryInfo
                 };
             }
 
@@ -1435,23 +2630,33 @@ export default class SecureExecutor {
     /**
      * Phase 2: Execute global code with access to sanitized data methods
      */
-    private async executeGlobalCodePhase(globalCode: string, sanitizedDataMethods: any, originalPayload: ExecutionPayload): Promise<ExecutionResult> {
+    private async executeGlobalCodePhase(globalCode: string, sanitizedDataMethods: any, originalPayload: ExecutionPayload, context: ExecutionContext = {}): Promise<ExecutionResult> {
         return new Promise((resolve, reject) => {
             const tempFile = `temp_global_${Date.now()}_${randomBytes(8).toString('hex')}.js`;
             const tempPath = path.join(this.tempDir, tempFile);
 
+            // Hardened mode blocks network, process and worker access unless the payload asked for it
+            const { sandbox, nodeArgs, isolateNetwork } = this.getGlobalCodeSandbox(originalPayload.global_code_capabilities, context.outputDir);
+
             // Generate the global code with data method injection
-            const globalCodeWithInjections = this.generateGlobalCodeWithDataMethods(globalCode, sanitizedDataMethods);
+            const globalCodeWithInjections = this.generateGlobalCodeWithDataMethods(globalCode, sanitizedDataMethods, sandbox);
             try {
                 fs.writeFileSync(tempPath, globalCodeWithInjections);
 
                 // Create secure environment for global code (NO credentials)
                 const secureEnv = this.createSecureGlobalEnvironment();
+                if (context.outputDir) {
+                    secureEnv.OUTPUT_DIR = context.outputDir;
+                }
 
-                this.executeProcess('node', [tempPath], {
+                this.executeProcess('node', [...nodeArgs, tempPath], {
                     timeout: originalPayload.timeout || 30000,
                     env: secureEnv,
-                    executionMode: 'secure-global-phase'
+                    executionMode: 'secure-global-phase',
+                    executionId: context.executionId,
+                    onOutput: context.onOutput,
+                    maxCpuSeconds: context.maxCpuSeconds,
+                    isolateNetwork
                 }).then(result => {
                     // Parse and filter the global execution result
                     const filteredResult = this.filterGlobalExecutionResult(result, sanitizedDataMethods);
@@ -1472,8 +2677,8 @@ export default class SecureExecutor {
     /**
      * Generate global code with injected data method functions
      */
-    private generateGlobalCodeWithDataMethods(globalCode: string, sanitizedDataMethods: any): string {
-        return globalCodeWithDataMethodsGenerator(globalCode, sanitizedDataMethods);
+    private generateGlobalCodeWithDataMethods(globalCode: string, sanitizedDataMethods: any, sandbox: GlobalCodeSandbox | null = null): string {
+        return globalCodeWithDataMethodsGenerator(globalCode, sanitizedDataMethods, sandbox);
     }
 
     /**
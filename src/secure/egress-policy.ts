@@ -0,0 +1,100 @@
+import fs from 'fs';
+
+/**
+ * Maps a credential env var (e.g. KEYBOARD_PROVIDER_USER_TOKEN_FOR_GITHUB) to the hosts it may be sent to
+ * Host patterns are exact hostnames or "*.example.com" to allow any subdomain
+ */
+export type EgressPolicy = Record<string, string[]>;
+
+export const DEFAULT_EGRESS_POLICY: EgressPolicy = {
+    KEYBOARD_PROVIDER_USER_TOKEN_FOR_GITHUB: ['api.github.com', 'uploads.github.com'],
+    KEYBOARD_PROVIDER_USER_TOKEN_FOR_GOOGLE: ['*.googleapis.com'],
+    KEYBOARD_PROVIDER_USER_TOKEN_FOR_NOTION: ['api.notion.com']
+};
+
+/**
+ * Raised when a request would send credentials to a host outside the policy
+ */
+export class EgressPolicyError extends Error {
+    host: string;
+    credentials: string[];
+
+    constructor(host: string, credentials: string[]) {
+        super(`Host ${host} is not allowed for ${credentials.join(', ')}`);
+        this.name = 'EgressPolicyError';
+        this.host = host;
+        this.credentials = credentials;
+    }
+}
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Load the egress policy: built-in defaults, overridden per credential by an optional JSON file
+ * The file must be an object of { "KEYBOARD_...": ["host", "*.domain"] }
+ */
+export function loadEgressPolicy(filePath?: string): EgressPolicy {
+    const policy: EgressPolicy = { ...DEFAULT_EGRESS_POLICY };
+
+    if (!filePath) {
+        return policy;
+    }
+
+    const fileContent = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!fileContent || typeof fileContent !== 'object' || Array.isArray(fileContent)) {
+        throw new Error(`Egress policy file ${filePath} must contain a JSON object`);
+    }
+
+    for (const [credential, hosts] of Object.entries(fileContent)) {
+        if (!/^KEYBOARD_[A-Z0-9_]+$/.test(credential)) {
+            throw new Error(`Invalid credential name in egress policy: ${credential}`);
+        }
+        if (!Array.isArray(hosts) || !hosts.every(host => typeof host === 'string' && HOST_PATTERN.test(host.toLowerCase()))) {
+            throw new Error(`Egress policy for ${credential} must be an array of hostnames`);
+        }
+        policy[credential] = hosts.map(host => host.toLowerCase());
+    }
+
+    return policy;
+}
+
+/**
+ * List the credential env vars a config refers to, anywhere in its url, headers or body
+ * Scanning the whole config errs on the side of treating a request as credentialed
+ */
+export function findReferencedCredentials(config: any): string[] {
+    const serialized = JSON.stringify(config) || '';
+    const matches = serialized.match(/KEYBOARD_[A-Z0-9_]+/g) || [];
+    return Array.from(new Set(matches)).sort();
+}
+
+/**
+ * Hosts a request carrying all of the given credentials may reach
+ * Returns null when no credentials are involved; a credential missing from the policy allows nothing
+ */
+export function getAllowedHosts(policy: EgressPolicy, credentials: string[]): string[] | null {
+    if (credentials.length === 0) {
+        return null;
+    }
+
+    let allowed: string[] | null = null;
+    for (const credential of credentials) {
+        const hosts = policy[credential] || [];
+        allowed = allowed === null ? [...hosts] : allowed.filter(host => hosts.includes(host));
+    }
+
+    return allowed || [];
+}
+
+/**
+ * Check a hostname against a list of exact / "*.domain" patterns
+ */
+export function isHostAllowed(hostname: string, patterns: string[]): boolean {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return patterns.some(pattern => {
+        if (pattern.startsWith('*.')) {
+            return host.endsWith(pattern.slice(1));
+        }
+        return host === pattern;
+    });
+}
@@ -105,7 +105,12 @@ process.on('uncaughtException', (error) => {
 });`;
 }
 
-export function isolatedDataVariableGenerator(configCode: string): string {
+/**
+ * HTTP methods a retry policy applies to without retry_non_idempotent
+ */
+export const IDEMPOTENT_RETRY_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+export function isolatedDataVariableGenerator(configCode: string, egressAllowedHosts: string[] | null = null, retryDeadlineMs: number | null = null): string {
 
     const isolatedDataVariableCode = `
 const https = require('https');
@@ -113,7 +118,21 @@ const http = require('http');
 const { URL } = require('url');
 
 // Capture console output
-let capturedOutput = { stdout: '', stderr: '', data: null, error: null };
+let capturedOutput = { stdout: '', stderr: '', data: null, error: null, attempts: [] };
+
+// Status codes retried when a retry policy does not list its own
+const DEFAULT_RETRY_ON_STATUS = [408, 429, 500, 502, 503, 504];
+// Repeating these cannot create a second resource, others are only retried with retry_non_idempotent
+const IDEMPOTENT_METHODS = ${JSON.stringify(IDEMPOTENT_RETRY_METHODS)};
+// No retry starts after this many ms, leaving the last attempt time to finish before the process timeout
+const RETRY_DEADLINE_MS = ${JSON.stringify(retryDeadlineMs)};
+const STARTED_AT = Date.now();
+
+// Hosts the referenced credentials may be sent to, null when the request carries no credentials
+const EGRESS_ALLOWED_HOSTS = ${JSON.stringify(egressAllowedHosts)};
+const MAX_REDIRECTS = 5;
+
+class EgressPolicyError extends Error {}
 
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
@@ -163,8 +182,11 @@ async function executeDataVariable() {
             }
         }
 
-        // Make HTTP request using Node.js built-in modules
-        const result = await makeHttpRequest(url, requestData);
+        // Make HTTP request using Node.js built-in modules, retrying per the retry policy
+        // and following every page when a pagination descriptor is present
+        const result = config.paginate ?
+            await fetchAllPages(url, requestData, fetchOptions.body, config.paginate, config.retry) :
+            await makeHttpRequestWithRetry(url, requestData, config.retry);
 
         capturedOutput.data = {
             status: result.status,
@@ -173,6 +195,10 @@ async function executeDataVariable() {
             success: true
         };
 
+        if (result.pagination) {
+            capturedOutput.data.pagination = result.pagination;
+        }
+
     } catch (error) {
         capturedOutput.error = {
             message: error.message,
@@ -185,7 +211,267 @@ async function executeDataVariable() {
     process.exit(0);
 }
 
-function makeHttpRequest(url, options) {
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+}
+
+function computeBackoffDelay(policy, attempt) {
+    const exponential = Math.min(
+        policy.max_delay_ms,
+        policy.initial_delay_ms * Math.pow(policy.backoff_multiplier, attempt - 1)
+    );
+    // Full jitter keeps parallel callers from retrying in lockstep
+    return policy.jitter ? Math.round(Math.random() * exponential) : exponential;
+}
+
+async function makeHttpRequestWithRetry(url, options, retry, page) {
+    if (!retry) {
+        return makeHttpRequest(url, options);
+    }
+
+    // A POST that reached the server before a reset may already have created an issue or sent an e-mail
+    const method = String(options.method || 'GET').toUpperCase();
+    const retryableMethod = IDEMPOTENT_METHODS.includes(method) || retry.retry_non_idempotent === true;
+
+    const policy = {
+        max_attempts: retryableMethod ? retry.max_attempts || 3 : 1,
+        initial_delay_ms: retry.initial_delay_ms ?? 500,
+        max_delay_ms: retry.max_delay_ms ?? 10000,
+        backoff_multiplier: retry.backoff_multiplier || 2,
+        jitter: retry.jitter !== false,
+        retry_on_status: retry.retry_on_status || DEFAULT_RETRY_ON_STATUS,
+        respect_retry_after: retry.respect_retry_after !== false
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        const startedAt = Date.now();
+        const record = { attempt: attempt, startedAt: new Date(startedAt).toISOString() };
+        if (page !== undefined) record.page = page;
+        capturedOutput.attempts.push(record);
+
+        let result = null;
+        let requestError = null;
+        try {
+            result = await makeHttpRequest(url, options);
+            record.status = result.status;
+        } catch (error) {
+            // Egress violations are final, retrying would hit the same host
+            if (error instanceof EgressPolicyError) throw error;
+            // Network level failures (reset, refused, DNS) are always retryable
+            requestError = error;
+            record.error = error.code || error.constructor.name;
+        }
+        record.durationMs = Date.now() - startedAt;
+
+        const retryable = requestError !== null || policy.retry_on_status.includes(result.status);
+        if (!retryable || attempt >= policy.max_attempts) {
+            if (requestError) throw requestError;
+            return result;
+        }
+
+        let delay = computeBackoffDelay(policy, attempt);
+        if (result && policy.respect_retry_after) {
+            const retryAfter = parseRetryAfter(result.headers['retry-after']);
+            if (retryAfter !== null) {
+                // Retrying earlier than the provider asked is pointless, so give up instead
+                if (retryAfter > policy.max_delay_ms) {
+                    record.gaveUp = 'retry_after_exceeds_max_delay';
+                    return result;
+                }
+                delay = Math.max(delay, retryAfter);
+            }
+        }
+
+        if (RETRY_DEADLINE_MS !== null && Date.now() - STARTED_AT + delay > RETRY_DEADLINE_MS) {
+            record.gaveUp = 'timeout_budget_exhausted';
+            if (requestError) throw requestError;
+            return result;
+        }
+
+        record.delayMs = delay;
+        await sleep(delay);
+    }
+}
+
+// Read a dot path like "data.items" or "results[0].next" from a response body
+function getAtPath(obj, path) {
+    if (!path) return obj;
+    let current = obj;
+    for (const part of path.split('.')) {
+        if (current === undefined || current === null) return undefined;
+        const arrayMatch = part.match(/^([^\\[]+)\\[(\\d+)\\]$/);
+        current = arrayMatch ? (current[arrayMatch[1]] || [])[parseInt(arrayMatch[2], 10)] : current[part];
+    }
+    return current;
+}
+
+// Extract the rel="next" target from a Link header
+function parseNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    for (const part of String(linkHeader).split(',')) {
+        const match = part.match(/<([^>]+)>\\s*;(.*)/);
+        if (match && /rel="?([^"]*\\s)?next(\\s[^"]*)?"?/i.test(match[2])) {
+            return match[1].trim();
+        }
+    }
+    return null;
+}
+
+function withQueryParam(url, name, value) {
+    const parsed = new URL(url);
+    parsed.searchParams.set(name, String(value));
+    return parsed.toString();
+}
+
+// Follow pages until the provider reports no more data or a max_pages / max_items cap is hit
+async function fetchAllPages(url, requestData, originalBody, paginate, retry) {
+    const maxPages = paginate.max_pages || 10;
+    const maxItems = paginate.max_items || Infinity;
+    const pageParam = paginate.page_param || 'page';
+    const offsetParam = paginate.offset_param || 'offset';
+    const cursorInBody = paginate.cursor_in === 'body';
+    const baseBody = originalBody && typeof originalBody === 'object' ? originalBody : null;
+
+    let pageNumber = paginate.start_page ?? 1;
+    let offset = 0;
+    let nextUrl = url;
+    let nextCursor = null;
+    let items = [];
+    let pages = 0;
+    let lastResult = null;
+    let stopReason = 'complete';
+
+    if (paginate.page_size_param && paginate.page_size) {
+        nextUrl = withQueryParam(nextUrl, paginate.page_size_param, paginate.page_size);
+    }
+    if (paginate.strategy === 'page') {
+        nextUrl = withQueryParam(nextUrl, pageParam, pageNumber);
+    } else if (paginate.strategy === 'offset') {
+        nextUrl = withQueryParam(nextUrl, offsetParam, offset);
+    }
+
+    while (nextUrl) {
+        if (pages >= maxPages) {
+            stopReason = 'max_pages';
+            break;
+        }
+
+        const pageRequest = { method: requestData.method, headers: requestData.headers, body: requestData.body };
+        if (nextCursor !== null && cursorInBody) {
+            pageRequest.body = JSON.stringify(Object.assign({}, baseBody, { [paginate.cursor_param]: nextCursor }));
+            pageRequest.headers['Content-Type'] = pageRequest.headers['Content-Type'] || 'application/json';
+        }
+
+        const result = await makeHttpRequestWithRetry(nextUrl, pageRequest, retry, pages + 1);
+        pages++;
+
+        if (result.status >= 400) {
+            // The first page failing is reported as-is, later failures keep what was collected
+            if (pages === 1) return result;
+            stopReason = 'http_' + result.status;
+            break;
+        }
+        lastResult = result;
+
+        const pageItems = getAtPath(result.body, paginate.items_path);
+        if (!Array.isArray(pageItems)) {
+            if (pages === 1) {
+                throw new Error('Pagination items_path did not resolve to an array');
+            }
+            stopReason = 'items_not_array';
+            break;
+        }
+
+        items = items.concat(pageItems);
+        if (items.length >= maxItems) {
+            items = items.slice(0, maxItems);
+            stopReason = 'max_items';
+            break;
+        }
+
+        // Work out the next page for the chosen strategy
+        nextUrl = null;
+        if (paginate.strategy === 'link_header') {
+            const nextLink = parseNextLink(result.headers['link']);
+            if (nextLink) nextUrl = new URL(nextLink, url).toString();
+        } else if (paginate.strategy === 'cursor') {
+            const cursor = getAtPath(result.body, paginate.cursor_path);
+            const hasMore = paginate.has_more_path ? getAtPath(result.body, paginate.has_more_path) : true;
+            if (hasMore && cursor !== undefined && cursor !== null && cursor !== '') {
+                nextCursor = cursor;
+                nextUrl = cursorInBody ? url : withQueryParam(url, paginate.cursor_param, cursor);
+            }
+        } else if (pageItems.length > 0 && (!paginate.page_size || pageItems.length >= paginate.page_size)) {
+            // page / offset: an empty or short page means there is nothing left
+            if (paginate.strategy === 'page') {
+                pageNumber++;
+                nextUrl = withQueryParam(url, pageParam, pageNumber);
+            } else {
+                offset += pageItems.length;
+                nextUrl = withQueryParam(url, offsetParam, offset);
+            }
+            if (paginate.page_size_param && paginate.page_size) {
+                nextUrl = withQueryParam(nextUrl, paginate.page_size_param, paginate.page_size);
+            }
+        }
+    }
+
+    return {
+        status: lastResult.status,
+        headers: lastResult.headers,
+        body: items,
+        pagination: {
+            strategy: paginate.strategy,
+            pages: pages,
+            items: items.length,
+            truncated: stopReason !== 'complete',
+            stopReason: stopReason
+        }
+    };
+}
+
+function assertEgressAllowed(url) {
+    if (EGRESS_ALLOWED_HOSTS === null) return;
+    const host = new URL(url).hostname.toLowerCase().replace(/\\.$/, '');
+    const allowed = EGRESS_ALLOWED_HOSTS.some(pattern =>
+        pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern);
+    if (!allowed) {
+        throw new EgressPolicyError('Host ' + host + ' is not allowed by the egress policy');
+    }
+}
+
+// Follow redirects, checking the egress policy on every hop so credentials never leave the allowed hosts
+async function makeHttpRequest(url, options) {
+    let currentUrl = url;
+    let currentOptions = options;
+
+    for (let redirects = 0; ; redirects++) {
+        assertEgressAllowed(currentUrl);
+        const result = await sendHttpRequest(currentUrl, currentOptions);
+        const location = result.headers['location'];
+
+        if (![301, 302, 303, 307, 308].includes(result.status) || !location || redirects >= MAX_REDIRECTS) {
+            return result;
+        }
+
+        currentUrl = new URL(location, currentUrl).toString();
+        if (result.status === 303 || ((result.status === 301 || result.status === 302) && currentOptions.method === 'POST')) {
+            currentOptions = Object.assign({}, currentOptions, { method: 'GET', body: undefined });
+        }
+    }
+}
+
+function sendHttpRequest(url, options) {
     return new Promise((resolve, reject) => {
         const parsedUrl = new URL(url);
         const isHttps = parsedUrl.protocol === 'https:';
@@ -395,7 +681,13 @@ console.log("this is the isoldated data method code", isolatedDataMethodCode)
 return isolatedDataMethodCode
 }
 
-export function globalCodeWithDataMethodsGenerator(globalCode: string, sanitizedDataMethods: any): string {
+export interface GlobalCodeSandbox {
+    /** Built-in modules the code may load, every other built-in is blocked */
+    allowedModules: string[];
+    blockFetch: boolean;
+}
+
+export function globalCodeWithDataMethodsGenerator(globalCode: string, sanitizedDataMethods: any, sandbox: GlobalCodeSandbox | null = null): string {
 
 
     // Create function injections for each data method
@@ -435,6 +727,60 @@ console.error = (...args) => {
     originalConsoleError(...args);
 };
 
+// Hardened mode: only allowlisted built-in modules load, so nothing reaches the network, spawns processes or starts workers
+// File writes, child processes and workers are also denied by the Node permission model
+const GLOBAL_CODE_SANDBOX = ${JSON.stringify(sandbox)};
+if (GLOBAL_CODE_SANDBOX) {
+    const Module = require('module');
+    const originalLoad = Module._load;
+    const originalGetBuiltinModule = process.getBuiltinModule;
+    const blocked = (name) => {
+        throw new Error('❌ Error: ' + name + ' is disabled in global code. Add the matching global_code_capabilities entry or use api_calls for external requests.');
+    };
+    // Packages and local files load as usual, their own built-in requires come through here too
+    const checkBuiltin = (request, caller) => {
+        const name = String(request).replace(/^node:/, '');
+        if (Module.isBuiltin(String(request)) && !GLOBAL_CODE_SANDBOX.allowedModules.includes(name)) {
+            blocked(caller + '(' + JSON.stringify(name) + ')');
+        }
+    };
+
+    Module._load = function (request, parent, isMain) {
+        checkBuiltin(request, 'require');
+        return originalLoad.apply(this, arguments);
+    };
+
+    // Node 20.16+ loads built-ins here without going through Module._load
+    if (originalGetBuiltinModule) {
+        process.getBuiltinModule = (id) => {
+            checkBuiltin(id, 'process.getBuiltinModule');
+            return originalGetBuiltinModule.call(process, id);
+        };
+    }
+
+    // Internal bindings and native addons give raw socket access without going through require, no capability re-enables them
+    process.binding = process._linkedBinding = () => {
+        throw new Error('❌ Error: process.binding is not available in global code.');
+    };
+    process.dlopen = () => {
+        throw new Error('❌ Error: process.dlopen is not available in global code.');
+    };
+
+    if (GLOBAL_CODE_SANDBOX.blockFetch) {
+        // process.stdout is a net.Socket when piped, its constructor and handle would otherwise open new connections
+        originalLoad('net', null, false).Socket.prototype.connect = function () { blocked('net.Socket.connect'); };
+        for (const stream of [process.stdout, process.stderr]) {
+            const handle = stream._handle && Object.getPrototypeOf(stream._handle);
+            if (handle && typeof handle.connect === 'function') {
+                handle.connect = () => blocked('connect');
+            }
+        }
+        globalThis.fetch = () => blocked('fetch');
+        if (globalThis.WebSocket) globalThis.WebSocket = function () { blocked('WebSocket'); };
+        if (globalThis.EventSource) globalThis.EventSource = function () { blocked('EventSource'); };
+    }
+}
+
 // Runtime blocker: Prevent access to process.env.KEYBOARD_* variables
 // This catches dynamic access patterns that static analysis might miss
 const originalProcessEnv = process.env;
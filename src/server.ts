@@ -1,5 +1,5 @@
 import http from 'http';
-import { spawn } from 'child_process';
+import { randomBytes } from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import url from 'url';
@@ -10,23 +10,53 @@ import {
     retrieveEnvironmentVariableKeys,
     retrieveDocResources
 } from './retrieve_resources/index.js';
-import { encrypt, decrypt, safeObfuscate } from './utils/crypto.js';
-import { getKeyMetadata, decryptWithPrivateKey, encryptWithPublicKey, isKeyPairInitialized, tryDecrypt } from './utils/asymmetric-crypto.js';
-import { verifyBearerToken, extractBearerToken } from './utils/auth.js';
+import { encrypt, decrypt, safeObfuscate, negotiateEncryption, EncryptionOptions } from './utils/crypto.js';
+import {
+    getKeyMetadata,
+    getKeyRotatesAt,
+    getPreviousKeys,
+    rotateKeyPair,
+    decryptWithPrivateKey,
+    decryptHybrid,
+    encryptHybrid,
+    parseHybridEnvelope,
+    isKeyPairInitialized,
+    tryDecrypt
+} from './utils/asymmetric-crypto.js';
+import { AuthContext, AuthScope, authorizeRequest, canAccess, hasScope, isAuthDisabled, writeAuthError } from './utils/auth.js';
 import LocalLLM from './local_llm/local.js';
-import JobManager from './jobs/JobManager.js';
+import JobManager, {
+    FINISHED_JOB_STATUSES,
+    GetAllJobsOptions,
+    GetAllJobsResult,
+    QuotaExceededError
+} from './jobs/JobManager.js';
+import { buildJobResponse } from './jobs/job-response.js';
+import { canSignWebhooks, validateCallbackUrl } from './jobs/WebhookDispatcher.js';
+import { JobStoreType, JobSortField, JOB_SORT_FIELDS } from './jobs/stores/index.js';
 import SecureExecutor from './secure/SecureExecutor.js';
+import { loadEgressPolicy } from './secure/egress-policy.js';
 import { bootUpServices, ServiceBootstrap } from './boot-up-services.js';
+import { getStreamFormat, openEventStream, StreamFormat } from './utils/event-stream.js';
+import { getContentType } from './utils/content-types.js';
+import { IdempotencyCache, IdempotencyConflictError, IdempotencyLookup, getIdempotencyKey, hashPayload } from './utils/idempotency.js';
 
 // Import types
 import {
     ExecutionPayload,
+    Job,
+    OutputChunk,
     JobOptions,
     JobStatus,
+    WorkflowSpec,
+    JobRerunOverrides,
+    JobRerunChain,
+    JobSchedule,
+    ScheduleInput,
+    ScheduleResponse,
     HeaderEnvVars,
     EncryptedResponse,
     FileInfo,
-    JobResponse,
     JobListResponse,
     JobStatsResponse,
     ExecutionOptions
@@ -41,6 +71,11 @@ let jobManager: JobManager | null = null;
 // Secure execution system
 let secureExecutor: SecureExecutor | null = null;
 
+// Responses of synchronous /execute runs by idempotency key
+const executionIdempotency = new IdempotencyCache({
+    windowMs: parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || '24') * 60 * 60 * 1000
+});
+
 // Service bootstrap integration
 let serviceBootstrap: ServiceBootstrap | null = null;
 
@@ -49,7 +84,21 @@ function getJobManager(): JobManager {
         jobManager = new JobManager({
             maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS || '5'),
             jobTTL: (parseInt(process.env.JOB_TTL_HOURS || '24')) * 60 * 60 * 1000,
-            enablePersistence: process.env.DISABLE_JOB_PERSISTENCE !== 'true'
+            enablePersistence: process.env.DISABLE_JOB_PERSISTENCE !== 'true',
+            store: (process.env.JOB_STORE as JobStoreType) || 'json',
+            idempotencyWindowMs: parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS || '24') * 60 * 60 * 1000,
+            defaultCallbackUrl: process.env.JOB_CALLBACK_URL || undefined,
+            webhookMaxAttempts: parseInt(process.env.JOB_WEBHOOK_MAX_ATTEMPTS || '5'),
+            maxArtifactFiles: parseInt(process.env.JOB_ARTIFACT_MAX_FILES || '20'),
+            maxArtifactFileBytes: Math.floor(parseFloat(process.env.JOB_ARTIFACT_MAX_FILE_MB || '10') * 1024 * 1024),
+            maxArtifactTotalBytes: Math.floor(parseFloat(process.env.JOB_ARTIFACT_MAX_TOTAL_MB || '50') * 1024 * 1024),
+            secureExecutor: getSecureExecutor(),
+            jobMaxCpuSeconds: parseInt(process.env.JOB_MAX_CPU_SECONDS || '0'),
+            principalQuotas: {
+                maxConcurrentJobs: parseInt(process.env.PRINCIPAL_MAX_CONCURRENT_JOBS || '0'),
+                maxQueuedJobs: parseInt(process.env.PRINCIPAL_MAX_QUEUED_JOBS || '0'),
+                maxExecutionsPerHour: parseInt(process.env.PRINCIPAL_MAX_EXECUTIONS_PER_HOUR || '0')
+            }
         });
     }
     return jobManager;
@@ -58,7 +107,16 @@ function getJobManager(): JobManager {
 function getSecureExecutor(): SecureExecutor {
     if (!secureExecutor) {
         secureExecutor = new SecureExecutor({
-            timeout: 30000
+            timeout: 30000,
+            maxDataVariableConcurrency: parseInt(process.env.MAX_PARALLEL_API_CALLS || '5'),
+            maxMemoryMb: parseInt(process.env.EXECUTION_MAX_MEMORY_MB || '256'),
+            maxCpuSeconds: parseInt(process.env.EXECUTION_MAX_CPU_SECONDS || '30'),
+            maxOutputBytes: parseInt(process.env.EXECUTION_MAX_OUTPUT_BYTES || String(5 * 1024 * 1024)),
+            maxConcurrentProcesses: parseInt(process.env.MAX_CONCURRENT_PROCESSES || '10'),
+            killGraceMs: parseInt(process.env.EXECUTION_KILL_GRACE_MS || '5000'),
+            egressPolicy: loadEgressPolicy(process.env.EGRESS_POLICY_FILE),
+            enforceEgressPolicy: process.env.DISABLE_EGRESS_POLICY !== 'true',
+            hardenGlobalCode: process.env.DISABLE_GLOBAL_CODE_HARDENING !== 'true'
         });
     }
     return secureExecutor;
@@ -103,7 +161,38 @@ try {
 //     }
 // }
 
+// Scope each route needs, first match wins; routes not listed are open to any authenticated caller
+const ROUTE_SCOPES: Array<{ methods: string[]; path: RegExp; scope: AuthScope | 'public' }> = [
+    { methods: ['GET'], path: /^\/$/, scope: 'public' },
+    { methods: ['GET'], path: /^\/shareable_assets\//, scope: 'public' },
+    { methods: ['GET'], path: /^\/files$/, scope: 'jobs:read' },
+    { methods: ['GET'], path: /^\/(local-llm\/status|ollama\/status)$/, scope: 'execute' },
+    { methods: ['POST'], path: /^\/(execute|create_project|fetch_key_name_and_resources|local-llm\/chat|ollama\/chat)$/, scope: 'execute' },
+    { methods: ['POST'], path: /^\/(local-llm\/initialize|local-llm\/stop|crypto\/rotate-key)$/, scope: 'admin' },
+    { methods: ['GET'], path: /^\/jobs-stats$/, scope: 'admin' },
+    { methods: ['GET'], path: /^\/(jobs|workflows|schedules)(\/|$)/, scope: 'jobs:read' },
+    { methods: ['POST', 'PATCH', 'DELETE'], path: /^\/(jobs|workflows|schedules)(\/|$)/, scope: 'jobs:write' }
+];
+
+function getRouteScope(method: string, pathname: string): AuthScope | 'public' | null {
+    const route = ROUTE_SCOPES.find(candidate => candidate.methods.includes(method) && candidate.path.test(pathname));
+    return route ? route.scope : null;
+}
+
 const server = http.createServer((req: http.IncomingMessage, res: http.ServerResponse): void => {
+    const scope = getRouteScope(req.method || 'GET', url.parse(req.url || '').pathname || '/');
+    if (scope === 'public') {
+        handleRequest(req, res, null);
+        return;
+    }
+    authorizeRequest(req, scope).then(
+        auth => handleRequest(req, res, auth),
+        (error: any) => writeAuthError(res, error)
+    );
+});
+
+// auth is null on public routes
+function handleRequest(req: http.IncomingMessage, res: http.ServerResponse, auth: AuthContext | null): void {
     // Parse URL for better routing
     const parsedUrl = url.parse(req.url || '', true);
     const pathname = parsedUrl.pathname;
@@ -180,23 +269,7 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                 res.writeHead(404, { 'Content-Type': 'text/plain' });
                 res.end('File not found');
             } else {
-                // Determine content type
-                const ext = path.extname(fileName).toLowerCase();
-                const contentTypes: Record<string, string> = {
-                    '.html': 'text/html',
-                    '.css': 'text/css',
-                    '.js': 'application/javascript',
-                    '.json': 'application/json',
-                    '.png': 'image/png',
-                    '.jpg': 'image/jpeg',
-                    '.jpeg': 'image/jpeg',
-                    '.gif': 'image/gif',
-                    '.svg': 'image/svg+xml',
-                    '.pdf': 'application/pdf',
-                    '.txt': 'text/plain',
-                    '.md': 'text/markdown'
-                };
-                const contentType = contentTypes[ext] || 'application/octet-stream';
+                const contentType = getContentType(fileName);
                 
                 res.writeHead(200, { 
                     'Content-Type': contentType,
@@ -411,34 +484,49 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         });
 
     } else if (req.method === 'GET' && req.url === '/crypto/public-key') {
-        // Get public encryption key (requires bearer token authentication)
+        // Get public encryption key
         (async (): Promise<void> => {
             try {
-                // Extract and verify bearer token
-                const authHeader = req.headers['authorization'];
-                const token = extractBearerToken(authHeader);
-
-                if (!token) {
-                    res.writeHead(401, { 'Content-Type': 'application/json' });
+                // Check if key pair is initialized
+                if (!isKeyPairInitialized()) {
+                    res.writeHead(503, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({
-                        error: 'Unauthorized',
-                        message: 'Bearer token required. Please provide Authorization header with Bearer token.'
+                        error: 'Service Unavailable',
+                        message: 'Encryption key pair not initialized. Server may still be starting up.'
                     }));
                     return;
                 }
 
-                // Verify token against keyboard.dev auth service
-                const isValid = await verifyBearerToken(token);
-                if (!isValid) {
-                    res.writeHead(401, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({
-                        error: 'Unauthorized',
-                        message: 'Invalid or expired bearer token'
-                    }));
-                    return;
-                }
+                // Return public key metadata
+                const keyMetadata = getKeyMetadata();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: true,
+                    publicKey: keyMetadata.publicKey,
+                    algorithm: keyMetadata.algorithm,
+                    envelopeAlgorithm: keyMetadata.envelopeAlgorithm,
+                    createdAt: keyMetadata.createdAt,
+                    fingerprint: keyMetadata.fingerprint,
+                    rotatesAt: getKeyRotatesAt()?.toISOString() || null,
+                    // Replaced keys still decrypt envelopes addressed to their fingerprint until they expire
+                    previousKeys: getPreviousKeys()
+                }));
 
-                // Check if key pair is initialized
+            } catch (error: any) {
+                console.error('❌ Error retrieving public key:', error.message);
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: 'Internal Server Error',
+                    message: 'Failed to retrieve public key',
+                    details: error.message
+                }));
+            }
+        })();
+
+    } else if (req.method === 'POST' && req.url === '/crypto/rotate-key') {
+        // Replace the active key pair now
+        (async (): Promise<void> => {
+            try {
                 if (!isKeyPairInitialized()) {
                     res.writeHead(503, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({
@@ -448,23 +536,25 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     return;
                 }
 
-                // Return public key metadata
-                const keyMetadata = getKeyMetadata();
+                const keyMetadata = rotateKeyPair();
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     success: true,
                     publicKey: keyMetadata.publicKey,
                     algorithm: keyMetadata.algorithm,
+                    envelopeAlgorithm: keyMetadata.envelopeAlgorithm,
                     createdAt: keyMetadata.createdAt,
-                    fingerprint: keyMetadata.fingerprint
+                    fingerprint: keyMetadata.fingerprint,
+                    rotatesAt: getKeyRotatesAt()?.toISOString() || null,
+                    previousKeys: getPreviousKeys()
                 }));
 
             } catch (error: any) {
-                console.error('❌ Error retrieving public key:', error.message);
+                console.error('❌ Error rotating key pair:', error.message);
                 res.writeHead(500, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
                     error: 'Internal Server Error',
-                    message: 'Failed to retrieve public key',
+                    message: 'Failed to rotate key pair',
                     details: error.message
                 }));
             }
@@ -474,28 +564,7 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         let body = '';
 
         // Extract x-keyboard-provider-user-token-for-* headers
-        const headerEnvVars: HeaderEnvVars = {};
-        if (req.headers) {
-            Object.keys(req.headers).forEach(headerName => {
-                // Check if this is an x-keyboard-provider-user-token-for- header
-                if (headerName.toLowerCase().startsWith('x-keyboard-provider-user-token-for-')) {
-                    // Convert header name to environment variable format
-                    // x-keyboard-provider-user-token-for-google -> KEYBOARD_PROVIDER_USER_TOKEN_FOR_GOOGLE
-                    const envVarName = headerName
-                        .toLowerCase()
-                        .replace('x-', '') // Remove the x- prefix
-                        .toUpperCase()
-                        .replace(/-/g, '_'); // Replace hyphens with underscores
-                    
-                    const headerValue = req.headers[headerName];
-                    if (typeof headerValue === 'string') {
-                        const decryptedValue = tryDecrypt(headerValue);
-                        headerEnvVars[envVarName] = decryptedValue
-                    }
-                }
-            });
-            
-        }
+        const headerEnvVars = extractHeaderEnvVars(req);
         req.on('data', chunk => {
             body += chunk.toString();
         });
@@ -503,6 +572,7 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         req.on('end', async (): Promise<void> => {
             try {
                 const payload: ExecutionPayload = JSON.parse(body);
+                let encryption: EncryptionOptions = {};
 
                 // Handle encryption (both asymmetric and symmetric)
                 if (payload.encrypt_messages || payload.use_asymmetric_encryption) {
@@ -511,30 +581,10 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                         const useAsymmetric = payload.use_asymmetric_encryption;
 
                         if (useAsymmetric) {
-                            // Use asymmetric encryption (RSA)
-                            if (!isKeyPairInitialized()) {
-                                res.writeHead(503, { 'Content-Type': 'application/json' });
-                                res.end(JSON.stringify({
-                                    error: 'Asymmetric encryption not available. Key pair not initialized.'
-                                }));
+                            // Use asymmetric encryption (RSA-wrapped AES-GCM envelopes)
+                            if (!decryptAsymmetricPayload(payload, res)) {
                                 return;
                             }
-
-                            // Decrypt the code using private key
-                            if (payload.code) {
-                                try {
-                                    payload.code = decryptWithPrivateKey(payload.code);
-                                    
-                                } catch (decryptError: any) {
-                                    console.error('❌ Failed to decrypt code with private key:', decryptError.message);
-                                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                                    res.end(JSON.stringify({
-                                        error: 'Failed to decrypt code',
-                                        details: decryptError.message
-                                    }));
-                                    return;
-                                }
-                            }
                         } else {
                             // Use symmetric encryption (AES) - legacy support
                             if (!process.env.KB_ENCRYPTION_SECRET) {
@@ -545,10 +595,17 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                                 return;
                             }
 
+                            // Answer in the envelope version the client used
+                            const negotiated = negotiateRequestEncryption(req, res, payload.code);
+                            if (!negotiated) {
+                                return;
+                            }
+                            encryption = negotiated;
+
                             // Decrypt the code if it's encrypted
                             if (payload.code) {
                                 try {
-                                    payload.code = decrypt(payload.code);
+                                    payload.code = decrypt(payload.code, encryption);
                                     
                                 } catch (decryptError: any) {
                                     console.error('❌ Failed to decrypt code:', decryptError.message);
@@ -578,6 +635,19 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                 //     res.end(JSON.stringify({ error: 'Resources are not valid, make sure you have the correct environment variables and doc resources before trying to execute' }));
                 // }
 
+                let idempotencyKey: string | null;
+                try {
+                    idempotencyKey = getIdempotencyKey(req, payload);
+                } catch (keyError: any) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Invalid idempotency key', details: keyError.message }));
+                    return;
+                }
+
+                if (payload.background && payload.callback_url && !ensureValidCallbackUrl(res, payload.callback_url)) {
+                    return;
+                }
+
                 if (payload.code || payload.Global_code) {
                     // Check if background execution is requested
                     if (payload.background) {
@@ -591,24 +661,31 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                             const jobOptions: JobOptions = {
                                 priority: payload.priority || 'normal',
                                 timeout: payload.timeout || 600000, // 10 minutes default for background jobs
-                                maxRetries: payload.maxRetries || 0
+                                maxRetries: payload.maxRetries || 0,
+                                ...(idempotencyKey ? { idempotencyKey } : {}),
+                                ...(payload.callback_url ? { callbackUrl: payload.callback_url } : {}),
+                                tags: payload.tags,
+                                metadata: payload.metadata,
+                                principal: auth.principal
                             };
                             
+                            const replayed = !!idempotencyKey && !!getJobManager().findIdempotentJob(idempotencyKey, jobPayload, auth.principal);
                             const jobId = getJobManager().createJob(jobPayload, jobOptions);
                             
                             let response: any = {
                                 success: true,
                                 background: true,
                                 jobId: jobId,
-                                status: 'PENDING',
-                                message: 'Job submitted for background execution'
+                                status: replayed ? getJobManager().getJob(jobId)?.status || 'PENDING' : 'PENDING',
+                                message: replayed ? 'Job already submitted with this idempotency key' : 'Job submitted for background execution',
+                                ...(replayed ? { idempotentReplay: true } : {})
                             };
 
                             // Encrypt response if requested
                             if (payload.use_asymmetric_encryption) {
                                 try {
                                     const responseString = JSON.stringify(response);
-                                    const encryptedResponse = encryptWithPublicKey(responseString);
+                                    const encryptedResponse = encryptHybrid(responseString);
                                     response = {
                                         encrypted: true,
                                         data: encryptedResponse
@@ -619,7 +696,7 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                             } else if (payload.encrypt_messages) {
                                 try {
                                     const responseString = JSON.stringify(response);
-                                    const encryptedResponse = encrypt(responseString);
+                                    const encryptedResponse = encrypt(responseString, encryption);
                                     response = {
                                         encrypted: true,
                                         data: encryptedResponse
@@ -629,9 +706,16 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                                 }
                             }
                             
-                            res.writeHead(201, { 'Content-Type': 'application/json' });
+                            res.writeHead(replayed ? 200 : 201, {
+                                'Content-Type': 'application/json',
+                                ...(replayed ? { 'Idempotent-Replayed': 'true' } : {})
+                            });
                             res.end(JSON.stringify(response));
                         } catch (error: any) {
+                            if (error instanceof IdempotencyConflictError) {
+                                writeIdempotencyConflict(res, error);
+                                return;
+                            }
                             console.error('❌ Error creating background job:', error);
                             res.writeHead(500, { 'Content-Type': 'application/json' });
                             res.end(JSON.stringify({
@@ -641,8 +725,63 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                             }));
                         }
                     } else {
-                        // Enhanced code execution with secure or full mode based on feature flag
-                        executeCodeWithSecureMode(payload, res, headerEnvVars);
+                        const streamFormat = getStreamFormat(req);
+                        if (streamFormat && idempotencyKey) {
+                            // A stream cannot be replayed, so a retry would run the code again
+                            res.writeHead(400, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({
+                                success: false,
+                                error: 'Idempotency key not supported for streamed runs',
+                                details: 'Drop the streaming Accept header, or submit the run with background: true'
+                            }));
+                            return;
+                        }
+
+                        // Callers never replay one another's runs
+                        const cacheKey = `${auth.principal}\n${idempotencyKey}`;
+                        if (idempotencyKey) {
+                            // Replay a completed run, refuse a duplicate of one still running
+                            let lookup: IdempotencyLookup;
+                            try {
+                                lookup = executionIdempotency.begin(cacheKey, hashPayload({ ...payload, headerEnvVars }));
+                            } catch (conflictError: any) {
+                                writeIdempotencyConflict(res, conflictError);
+                                return;
+                            }
+
+                            if (lookup.state === 'completed') {
+                                res.writeHead(lookup.response.statusCode, { 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' });
+                                res.end(lookup.response.body);
+                                return;
+                            }
+                            if (lookup.state === 'in_progress') {
+                                res.writeHead(409, { 'Content-Type': 'application/json' });
+                                res.end(JSON.stringify({
+                                    success: false,
+                                    error: 'Idempotency key in use',
+                                    details: 'A request with this idempotency key is still running'
+                                }));
+                                return;
+                            }
+                        }
+
+                        if (streamFormat) {
+                            // Live output requested via the Accept header
+                            executeCodeWithStreaming(payload, res, headerEnvVars, streamFormat, encryption);
+                        } else {
+                            // Enhanced code execution with secure or full mode based on feature flag
+                            executeCodeWithSecureMode(payload, res, headerEnvVars, (statusCode, body) => {
+                                if (!idempotencyKey) {
+                                    return;
+                                }
+                                // Only completed runs are kept; a failed one can be retried with the same key
+                                if (statusCode === 200) {
+                                    executionIdempotency.complete(cacheKey, { statusCode, body });
+                                } else {
+                                    executionIdempotency.release(cacheKey);
+                                }
+                            }, encryption);
+                        }
                     }
                 } else if (payload.command) {
                     // Handle command execution
@@ -665,7 +804,7 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         req.on('data', chunk => {
             body += chunk.toString();
         });
-        req.on('end', () => {
+        req.on('end', async () => {
             try {
                 const payload: ExecutionPayload = JSON.parse(body);
                 
@@ -677,8 +816,13 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     }));
                 }
                 
-                // Handle encryption if encrypt_messages is true
-                if (payload.encrypt_messages) {
+                // Handle encryption: hybrid envelopes with use_asymmetric_encryption, else encrypt_messages
+                let encryption: EncryptionOptions = {};
+                if (payload.use_asymmetric_encryption) {
+                    if (!decryptAsymmetricPayload(payload, res)) {
+                        return;
+                    }
+                } else if (payload.encrypt_messages) {
                     try {
                         if (!process.env.KB_ENCRYPTION_SECRET) {
                             res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -686,16 +830,23 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                                 error: 'KB_ENCRYPTION_SECRET environment variable is required when encrypt_messages is true'
                             }));
                         }
+
+                        const negotiated = negotiateRequestEncryption(req, res, payload.code);
+                        if (!negotiated) {
+                            return;
+                        }
+                        encryption = negotiated;
                         
                         if (payload.code) {
                             try {
-                                payload.code = decrypt(payload.code);
+                                payload.code = decrypt(payload.code, encryption);
                             } catch (decryptError: any) {
                                 res.writeHead(400, { 'Content-Type': 'application/json' });
                                 res.end(JSON.stringify({
                                     error: 'Failed to decrypt code',
                                     details: decryptError.message
                                 }));
+                                return;
                             }
                         }
                     } catch (encryptionError: any) {
@@ -707,23 +858,8 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     }
                 }
                 
-                // Extract headers for environment variables
-                const headerEnvVars: HeaderEnvVars = {};
-                if (req.headers) {
-                    Object.keys(req.headers).forEach(headerName => {
-                        if (headerName.toLowerCase().startsWith('x-keyboard-provider-user-token-for-')) {
-                            const envVarName = headerName
-                                .toLowerCase()
-                                .replace('x-', '')
-                                .toUpperCase()
-                                .replace(/-/g, '_');
-                            const headerValue = req.headers[headerName];
-                            if (typeof headerValue === 'string') {
-                                headerEnvVars[envVarName] = headerValue;
-                            }
-                        }
-                    });
-                }
+                // Extract headers for environment variables, decrypted when they were encrypted with the server key
+                const headerEnvVars = extractHeaderEnvVars(req);
                 
                 // Prepare job payload
                 const jobPayload = {
@@ -731,25 +867,90 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     headerEnvVars
                 };
                 
+                let idempotencyKey: string | null;
+                try {
+                    idempotencyKey = getIdempotencyKey(req, payload);
+                } catch (keyError: any) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Invalid idempotency key', details: keyError.message }));
+                    return;
+                }
+
+                if (payload.callback_url && !ensureValidCallbackUrl(res, payload.callback_url)) {
+                    return;
+                }
+                
+                // Jobs of other principals can't be depended on, they are reported like missing ones
+                const foreignDependency = Array.isArray(payload.dependsOn)
+                    ? payload.dependsOn.find(dependencyId => getJobManager().getJob(dependencyId) && !getOwnJob(auth, dependencyId))
+                    : undefined;
+                if (foreignDependency) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        success: false,
+                        error: 'Invalid job',
+                        details: `Dependency job ${foreignDependency} not found`
+                    }));
+                    return;
+                }
+                
                 const jobOptions: JobOptions = {
                     priority: payload.priority || 'normal',
                     timeout: payload.timeout || 600000, // 10 minutes default for background jobs
-                    maxRetries: payload.maxRetries || 0
+                    maxRetries: payload.maxRetries || 0,
+                    dependsOn: payload.dependsOn,
+                    ...(idempotencyKey ? { idempotencyKey } : {}),
+                    ...(payload.callback_url ? { callbackUrl: payload.callback_url } : {}),
+                    tags: payload.tags,
+                    metadata: payload.metadata,
+                    principal: auth.principal
                 };
                 
-                const jobId = getJobManager().createJob(jobPayload, jobOptions);
+                let jobId: string;
+                let replayed = false;
+                try {
+                    // A repeated key returns the job it created instead of running the code again
+                    replayed = !!idempotencyKey && !!getJobManager().findIdempotentJob(idempotencyKey, jobPayload, auth.principal);
+                    jobId = getJobManager().createJob(jobPayload, jobOptions);
+                } catch (createError: any) {
+                    if (createError instanceof IdempotencyConflictError) {
+                        writeIdempotencyConflict(res, createError);
+                        return;
+                    }
+                    if (createError instanceof QuotaExceededError) {
+                        writeQuotaExceeded(res, createError);
+                        return;
+                    }
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        success: false,
+                        error: 'Invalid job',
+                        details: createError.message
+                    }));
+                    return;
+                }
                 
                 let response: any = {
                     success: true,
                     jobId: jobId,
-                    status: 'PENDING',
-                    message: 'Job submitted successfully'
+                    status: getJobManager().getJob(jobId)?.status || 'PENDING',
+                    message: replayed ? 'Job already submitted with this idempotency key' : 'Job submitted successfully',
+                    ...(replayed ? { idempotentReplay: true } : {})
                 };
                 
-                if (payload.encrypt_messages) {
+                if (payload.use_asymmetric_encryption) {
+                    try {
+                        response = {
+                            encrypted: true,
+                            data: encryptHybrid(JSON.stringify(response))
+                        };
+                    } catch (encryptError: any) {
+                        response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
+                    }
+                } else if (payload.encrypt_messages) {
                     try {
                         const responseString = JSON.stringify(response);
-                        const encryptedResponse = encrypt(responseString);
+                        const encryptedResponse = encrypt(responseString, encryption);
                         response = {
                             encrypted: true,
                             data: encryptedResponse
@@ -759,7 +960,10 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     }
                 }
                 
-                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.writeHead(replayed ? 200 : 201, {
+                    'Content-Type': 'application/json',
+                    ...(replayed ? { 'Idempotent-Replayed': 'true' } : {})
+                });
                 res.end(JSON.stringify(response));
                 
             } catch (error: any) {
@@ -773,128 +977,523 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
             }
         });
     
-    } else if (req.method === 'GET' && req.url?.startsWith('/jobs/')) {
-        // Get specific job status
-        const pathParts = req.url.split('/');
-        const jobId = pathParts[2]?.split('?')[0]; // Handle query params
-        
-        if (!jobId || jobId === 'stats') {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Job ID is required' }));
-        }
-        
-        try {
-            const url = new URL(req.url, `http://${req.headers.host}`);
-            const encryptMessages = url.searchParams.get('encrypt_messages') === 'true';
-            
-            const job = getJobManager().getJob(jobId);
-            
-            if (!job) {
-                let response: any = { error: 'Job not found' };
-                if (encryptMessages) {
-                    try {
-                        const responseString = JSON.stringify(response);
-                        const encryptedResponse = encrypt(responseString);
-                        response = {
-                            encrypted: true,
-                            data: encryptedResponse
-                        };
-                    } catch (encryptError: any) {
-                        response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
-                    }
-                }
-                
+    } else if (req.method === 'POST' && /^\/jobs\/[^/?]+\/rerun(\?|$)/.test(req.url || '')) {
+        // Run a job again as a new job, optionally with a different timeout, code or api_call
+        const jobId = req.url.split('/')[2];
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', async () => {
+            if (!getOwnJob(auth, jobId)) {
                 res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(response));
+                res.end(JSON.stringify({ error: 'Job not found' }));
+                return;
             }
-            
-            // Create response with obfuscated sensitive data
-            const jobResponse: JobResponse = {
-                id: job.id,
-                status: job.status,
-                progress: job.progress,
-                progressMessage: job.progressMessage,
-                createdAt: job.createdAt,
-                updatedAt: job.updatedAt,
-                startedAt: job.startedAt,
-                completedAt: job.completedAt
-            };
-            
-            // Add results or error details based on status
-            if (job.status === 'COMPLETED' && job.result) {
-                jobResponse.result = {
-                    stdout: safeObfuscate(job.result.stdout),
-                    stderr: safeObfuscate(job.result.stderr),
-                    code: job.result.code,
-                    executionTime: job.result.executionTime,
-                    aiAnalysis: job.result.aiAnalysis
-                };
-            } else if (job.status === 'FAILED' && job.error) {
-                jobResponse.error = {
-                    message: job.error.message,
-                    type: job.error.type,
-                    code: job.error.code as any,
-                    stdout: safeObfuscate(job.error.stdout),
-                    stderr: safeObfuscate(job.error.stderr)
-                };
+
+            let overrides: JobRerunOverrides & { encrypt_messages?: boolean };
+            try {
+                overrides = body.trim() ? JSON.parse(body) : {};
+            } catch (parseError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+                return;
             }
-            
+
+            let encryption: EncryptionOptions = {};
+            if (overrides.encrypt_messages) {
+                const negotiated = negotiateRequestEncryption(req, res, overrides.code);
+                if (!negotiated) {
+                    return;
+                }
+                encryption = negotiated;
+            }
+
+            if (overrides.encrypt_messages && overrides.code) {
+                try {
+                    overrides.code = decrypt(overrides.code, encryption);
+                } catch (decryptError: any) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        error: 'Failed to decrypt code',
+                        details: decryptError.message
+                    }));
+                    return;
+                }
+            }
+
+            let rerunJobId: string;
+            try {
+                // Provider tokens come from this request's headers only, never from the stored job
+                rerunJobId = getJobManager().rerunJob(jobId, {
+                    timeout: overrides.timeout,
+                    code: overrides.code,
+                    global_code: overrides.global_code,
+                    api_call: overrides.api_call
+                }, extractHeaderEnvVars(req), auth.principal);
+            } catch (rerunError: any) {
+                if (rerunError instanceof QuotaExceededError) {
+                    writeQuotaExceeded(res, rerunError);
+                    return;
+                }
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid rerun',
+                    details: rerunError.message
+                }));
+                return;
+            }
+
             let response: any = {
                 success: true,
-                job: jobResponse
+                jobId: rerunJobId,
+                parentJobId: jobId,
+                status: getJobManager().getJob(rerunJobId)?.status || 'PENDING',
+                message: 'Job rerun submitted successfully'
             };
-            
-            if (encryptMessages) {
+
+            if (overrides.encrypt_messages) {
                 try {
-                    const responseString = JSON.stringify(response);
-                    const encryptedResponse = encrypt(responseString);
                     response = {
                         encrypted: true,
-                        data: encryptedResponse
+                        data: encrypt(JSON.stringify(response), encryption)
                     };
                 } catch (encryptError: any) {
                     response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
                 }
             }
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
+
+            res.writeHead(201, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(response));
-            
-        } catch (error: any) {
-            console.error('❌ Error getting job:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: false,
-                error: 'Failed to get job',
-                details: error.message
-            }));
-        }
-    
-    } else if (req.method === 'GET' && req.url?.startsWith('/jobs')) {
-        // List all jobs
-        try {
-            const url = new URL(req.url, `http://${req.headers.host}`);
-            const options = {
-                status: url.searchParams.get('status') as JobStatus | null,
-                limit: Math.min(parseInt(url.searchParams.get('limit') || '100') || 100, 1000),
-                offset: parseInt(url.searchParams.get('offset') || '0') || 0
-            };
-            const encryptMessages = url.searchParams.get('encrypt_messages') === 'true';
-            
-            const result = getJobManager().getAllJobs(options);
-            
-            // Obfuscate sensitive data in job list
-            const sanitizedJobs = result.jobs.map(job => ({
-                id: job.id,
-                status: job.status,
-                progress: job.progress,
-                progressMessage: job.progressMessage,
-                createdAt: job.createdAt,
-                updatedAt: job.updatedAt,
+        });
+
+    } else if (req.method === 'POST' && req.url === '/workflows') {
+        // Submit a DAG of background jobs
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', async () => {
+            let spec: WorkflowSpec;
+            try {
+                spec = JSON.parse(body);
+            } catch (parseError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+                return;
+            }
+
+            try {
+                const workflow = getJobManager().createWorkflow(spec, extractHeaderEnvVars(req), auth.principal);
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: true,
+                    workflow: workflow
+                }));
+            } catch (error: any) {
+                if (error instanceof QuotaExceededError) {
+                    writeQuotaExceeded(res, error);
+                    return;
+                }
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid workflow',
+                    details: error.message
+                }));
+            }
+        });
+
+    } else if (req.method === 'GET' && req.url?.startsWith('/workflows/')) {
+        // Per-node state of a workflow
+        const workflowId = req.url.split('/')[2]?.split('?')[0];
+        const workflow = workflowId ? getJobManager().getWorkflow(workflowId) : undefined;
+
+        // All jobs of a workflow belong to the principal that submitted it
+        if (!workflow || !getOwnJob(auth, Object.values(workflow.nodes)[0]?.jobId)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Workflow not found' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            workflow: workflow
+        }));
+
+    } else if (req.method === 'POST' && req.url === '/schedules') {
+        // Create a runAt or cron schedule; credentials headers are stored with it for later firings
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', async () => {
+            let parsedBody: any;
+            try {
+                parsedBody = JSON.parse(body);
+            } catch (parseError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+                return;
+            }
+
+            let input: ScheduleInput;
+            try {
+                input = parseScheduleInput(parsedBody, req);
+            } catch (inputError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid schedule',
+                    details: inputError.message
+                }));
+                return;
+            }
+
+            // Jobs fired by the schedule count against the quotas of whoever created it
+            input.options = { ...(input.options || {}), principal: auth.principal };
+
+            try {
+                const schedule = getJobManager().scheduler.create(input);
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: true,
+                    schedule: buildScheduleResponse(schedule)
+                }));
+            } catch (error: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid schedule',
+                    details: error.message
+                }));
+            }
+        });
+
+    } else if (req.method === 'GET' && req.url?.split('?')[0] === '/schedules') {
+        // List schedules
+        const schedules = getJobManager().scheduler.list().filter(schedule => canAccess(auth, schedule.options?.principal));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            schedules: schedules.map(buildScheduleResponse)
+        }));
+
+    } else if (req.method === 'GET' && req.url?.startsWith('/schedules/')) {
+        // Get a schedule with its next and last run
+        const scheduleId = req.url.split('/')[2]?.split('?')[0];
+        const schedule = getOwnSchedule(auth, scheduleId);
+
+        if (!schedule) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Schedule not found' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            schedule: buildScheduleResponse(schedule)
+        }));
+
+    } else if (req.method === 'PATCH' && req.url?.startsWith('/schedules/')) {
+        // Change timing, payload, policies or pause/resume with enabled
+        const scheduleId = req.url.split('/')[2]?.split('?')[0];
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk.toString();
+        });
+        req.on('end', async () => {
+            const existing = getOwnSchedule(auth, scheduleId);
+            if (!existing) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Schedule not found' }));
+                return;
+            }
+
+            let parsedBody: any;
+            try {
+                parsedBody = JSON.parse(body);
+            } catch (parseError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+                return;
+            }
+
+            let input: ScheduleInput;
+            try {
+                input = parseScheduleInput(parsedBody, req);
+            } catch (inputError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid schedule',
+                    details: inputError.message
+                }));
+                return;
+            }
+
+            // The schedule keeps its owner when an admin edits it, so its jobs and quotas stay theirs
+            if (input.options) {
+                input.options.principal = existing.options?.principal;
+            }
+
+            try {
+                const schedule = getJobManager().scheduler.update(scheduleId, input);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: true,
+                    schedule: buildScheduleResponse(schedule)
+                }));
+            } catch (error: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: 'Invalid schedule',
+                    details: error.message
+                }));
+            }
+        });
+
+    } else if (req.method === 'DELETE' && req.url?.startsWith('/schedules/')) {
+        // Delete a schedule; jobs it already created are kept
+        const scheduleId = req.url.split('/')[2]?.split('?')[0];
+
+        if (!getOwnSchedule(auth, scheduleId)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Schedule not found' }));
+            return;
+        }
+
+        getJobManager().scheduler.delete(scheduleId);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            success: true,
+            message: 'Schedule deleted'
+        }));
+
+    } else if (req.method === 'GET' && /^\/jobs\/[^/?]+\/stream(\?|$)/.test(req.url || '')) {
+        // Stream a job's output while it runs, then its final state
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const jobId = url.pathname.split('/')[2];
+        const job = getOwnJob(auth, jobId);
+
+        if (!job) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Job not found' }));
+            return;
+        }
+
+        // Defaults to SSE so an EventSource can connect without setting headers
+        const format = getStreamFormat(req, 'sse');
+        const encryptMessages = url.searchParams.get('encrypt_messages') === 'true';
+        if (encryptMessages && !process.env.KB_ENCRYPTION_SECRET) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: 'KB_ENCRYPTION_SECRET environment variable is required when encrypt_messages is true'
+            }));
+            return;
+        }
+        const encryption = encryptMessages ? negotiateRequestEncryption(req, res) : {};
+        if (!encryption) {
+            return;
+        }
+        streamJob(job, res, format, encryptMessages, encryption);
+
+    } else if (req.method === 'GET' && /^\/jobs\/[^/?]+\/artifacts(\/[^?]*)?(\?|$)/.test(req.url || '')) {
+        // List a job's artifacts, or download one by its name (which may contain / for nested files)
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const [, , jobId, , ...nameParts] = url.pathname.split('/');
+        const job = getOwnJob(auth, jobId);
+
+        if (!job) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Job not found' }));
+            return;
+        }
+
+        if (nameParts.length === 0 || (nameParts.length === 1 && nameParts[0] === '')) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: true,
+                jobId,
+                artifacts: job.artifacts || [],
+                skipped: job.artifactsSkipped || []
+            }));
+            return;
+        }
+
+        let name: string;
+        try {
+            name = nameParts.map(part => decodeURIComponent(part)).join('/');
+        } catch (error: any) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid artifact name' }));
+            return;
+        }
+
+        const artifact = job.artifacts?.find(candidate => candidate.name === name);
+        const filePath = getJobManager().getArtifactPath(jobId, name);
+        if (!artifact || !filePath) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Artifact not found' }));
+            return;
+        }
+
+        const stream = fs.createReadStream(filePath);
+        stream.on('open', () => {
+            res.writeHead(200, {
+                'Content-Type': artifact.contentType,
+                'Content-Length': artifact.size,
+                // Artifacts are written by executed code, never let a browser render them in our origin
+                'Content-Disposition': `attachment; filename="${path.basename(name).replace(/["\\\r\n]/g, '_')}"`,
+                'X-Content-Type-Options': 'nosniff'
+            });
+            stream.pipe(res);
+        });
+        stream.on('error', (error: any) => {
+            console.error('❌ Error reading artifact:', error.message);
+            if (!res.headersSent) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Artifact not found' }));
+            } else {
+                res.destroy();
+            }
+        });
+
+    } else if (req.method === 'GET' && req.url?.startsWith('/jobs/')) {
+        // Get specific job status
+        const pathParts = req.url.split('/');
+        const jobId = pathParts[2]?.split('?')[0]; // Handle query params
+        
+        if (!jobId || jobId === 'stats') {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Job ID is required' }));
+            return;
+        }
+        
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const encryptMessages = url.searchParams.get('encrypt_messages') === 'true';
+            const useAsymmetric = url.searchParams.get('use_asymmetric_encryption') === 'true';
+            const encryption = encryptMessages ? negotiateRequestEncryption(req, res) : {};
+            if (!encryption) {
+                return;
+            }
+            
+            const job = getOwnJob(auth, jobId);
+            
+            if (!job) {
+                let response: any = { error: 'Job not found' };
+                if (encryptMessages) {
+                    try {
+                        const responseString = JSON.stringify(response);
+                        const encryptedResponse = encrypt(responseString, encryption);
+                        response = {
+                            encrypted: true,
+                            data: encryptedResponse
+                        };
+                    } catch (encryptError: any) {
+                        response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
+                    }
+                }
+                
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response));
+                return;
+            }
+            
+            let response: any = {
+                success: true,
+                job: {
+                    ...buildJobResponse(job),
+                    rerunChain: getOwnRerunChain(auth, jobId)
+                }
+            };
+            
+            if (useAsymmetric) {
+                try {
+                    response = {
+                        encrypted: true,
+                        data: encryptHybrid(JSON.stringify(response))
+                    };
+                } catch (encryptError: any) {
+                    response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
+                }
+            } else if (encryptMessages) {
+                try {
+                    const responseString = JSON.stringify(response);
+                    const encryptedResponse = encrypt(responseString, encryption);
+                    response = {
+                        encrypted: true,
+                        data: encryptedResponse
+                    };
+                } catch (encryptError: any) {
+                    response.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
+                }
+            }
+            
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+            
+        } catch (error: any) {
+            console.error('❌ Error getting job:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                success: false,
+                error: 'Failed to get job',
+                details: error.message
+            }));
+        }
+    
+    } else if (req.method === 'GET' && req.url?.split('?')[0] === '/jobs') {
+        // List all jobs
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            let options: GetAllJobsOptions;
+            try {
+                options = parseJobListQuery(url.searchParams);
+            } catch (queryError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid job query', details: queryError.message }));
+                return;
+            }
+            const encryptMessages = url.searchParams.get('encrypt_messages') === 'true';
+            const encryption = encryptMessages ? negotiateRequestEncryption(req, res) : {};
+            if (!encryption) {
+                return;
+            }
+            
+            // Only admins list other principals' jobs
+            if (!hasScope(auth, 'admin')) {
+                options.principal = auth.principal;
+            }
+            
+            let result: GetAllJobsResult;
+            try {
+                result = getJobManager().getAllJobs(options);
+            } catch (cursorError: any) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid job query', details: cursorError.message }));
+                return;
+            }
+            
+            // Obfuscate sensitive data in job list
+            const sanitizedJobs = result.jobs.map(job => ({
+                id: job.id,
+                status: job.status,
+                progress: job.progress,
+                progressMessage: job.progressMessage,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
                 startedAt: job.startedAt,
                 completedAt: job.completedAt,
                 hasResults: job.status === 'COMPLETED' && !!job.result,
-                hasError: job.status === 'FAILED' && !!job.error
+                hasError: job.status === 'FAILED' && !!job.error,
+                ...(job.tags ? { tags: job.tags } : {}),
+                ...(job.metadata ? { metadata: job.metadata } : {})
             }));
             
             let response: JobListResponse = {
@@ -904,14 +1503,15 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
                     total: result.total,
                     limit: options.limit,
                     offset: options.offset,
-                    hasMore: result.hasMore
+                    hasMore: result.hasMore,
+                    nextCursor: result.nextCursor
                 }
             };
             
             if (encryptMessages) {
                 try {
                     const responseString = JSON.stringify(response);
-                    const encryptedResponse = encrypt(responseString);
+                    const encryptedResponse = encrypt(responseString, encryption);
                     response = {
                         encrypted: true,
                         data: encryptedResponse
@@ -942,49 +1542,54 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         if (!jobId) {
             res.writeHead(400, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Job ID is required' }));
+            return;
         }
         
-        try {
-            const job = getJobManager().getJob(jobId);
-            
-            if (!job) {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Job not found' }));
-            }
-            
-            let result: any;
-            let message: string;
-            if (job.status === 'RUNNING' || job.status === 'PENDING') {
-                // Cancel the job
-                result = getJobManager().cancelJob(jobId);
-                message = 'Job cancelled successfully';
-            } else {
-                // Delete completed/failed job
-                getJobManager().deleteJob(jobId);
-                result = { id: jobId, deleted: true };
-                message = 'Job deleted successfully';
-            }
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: true,
-                message: message,
-                job: {
-                    id: result.id,
-                    status: result.status || 'DELETED'
+        (async (): Promise<void> => {
+            try {
+                const job = getOwnJob(auth, jobId);
+                
+                if (!job) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Job not found' }));
+                    return;
                 }
-            }));
-            
-        } catch (error: any) {
-            console.error('❌ Error deleting job:', error);
-            const statusCode = error.message.includes('not found') ? 404 : 500;
-            res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                success: false,
-                error: error.message.includes('not found') ? 'Job not found' : 'Failed to delete job',
-                details: error.message
-            }));
-        }
+                
+                let result: any;
+                let message: string;
+                if (job.status === 'RUNNING' || job.status === 'PENDING') {
+                    // Cancel the job, waiting until its process group is gone
+                    result = await getJobManager().cancelJob(jobId);
+                    message = 'Job cancelled successfully';
+                } else {
+                    // Delete completed/failed job
+                    await getJobManager().deleteJob(jobId);
+                    result = { id: jobId, deleted: true };
+                    message = 'Job deleted successfully';
+                }
+                
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: true,
+                    message: message,
+                    job: {
+                        id: result.id,
+                        status: result.status || 'DELETED',
+                        ...(result.termination ? { termination: result.termination } : {})
+                    }
+                }));
+                
+            } catch (error: any) {
+                console.error('❌ Error deleting job:', error);
+                const statusCode = error.message.includes('not found') ? 404 : 500;
+                res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    success: false,
+                    error: error.message.includes('not found') ? 'Job not found' : 'Failed to delete job',
+                    details: error.message
+                }));
+            }
+        })();
     
     } else if (req.method === 'GET' && req.url === '/jobs-stats') {
         // Get job system statistics
@@ -1009,13 +1614,358 @@ const server = http.createServer((req: http.IncomingMessage, res: http.ServerRes
         res.writeHead(404);
         res.end('Not found');
     }
-});
+}
+
+const JOB_STATUSES: JobStatus[] = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+
+// GET /jobs filters: status (comma separated), created_after/before, completed_after/before, execution_mode,
+// error_type, tag (repeatable), meta.<key>, q, sort, order, cursor, limit, offset
+function parseJobListQuery(params: URLSearchParams): GetAllJobsOptions {
+    const options: GetAllJobsOptions = {
+        limit: Math.min(parseInt(params.get('limit') || '100') || 100, 1000),
+        offset: parseInt(params.get('offset') || '0') || 0
+    };
+
+    const status = params.get('status');
+    if (status) {
+        const statuses = status.split(',').map(value => value.trim().toUpperCase()) as JobStatus[];
+        const unknown = statuses.find(value => !JOB_STATUSES.includes(value));
+        if (unknown) {
+            throw new Error(`Unknown status ${unknown}`);
+        }
+        options.status = statuses;
+    }
+
+    const dateParams: Array<[string, 'createdAfter' | 'createdBefore' | 'completedAfter' | 'completedBefore']> = [
+        ['created_after', 'createdAfter'],
+        ['created_before', 'createdBefore'],
+        ['completed_after', 'completedAfter'],
+        ['completed_before', 'completedBefore']
+    ];
+    for (const [param, option] of dateParams) {
+        const value = params.get(param);
+        if (!value) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`${param} must be a date`);
+        }
+        options[option] = date.toISOString();
+    }
+
+    const sort = params.get('sort');
+    if (sort) {
+        if (!JOB_SORT_FIELDS.includes(sort as JobSortField)) {
+            throw new Error(`sort must be one of ${JOB_SORT_FIELDS.join(', ')}`);
+        }
+        options.sort = sort as JobSortField;
+    }
+    const order = params.get('order');
+    if (order) {
+        if (order !== 'asc' && order !== 'desc') {
+            throw new Error('order must be asc or desc');
+        }
+        options.order = order;
+    }
+
+    const tags = params.getAll('tag').filter(Boolean);
+    if (tags.length > 0) options.tags = tags;
+
+    const metadata: Record<string, string> = {};
+    params.forEach((value, key) => {
+        if (key.startsWith('meta.') && key.length > 5) {
+            metadata[key.slice(5)] = value;
+        }
+    });
+    if (Object.keys(metadata).length > 0) options.metadata = metadata;
+
+    if (params.get('execution_mode')) options.executionMode = params.get('execution_mode') as string;
+    if (params.get('error_type')) options.errorType = params.get('error_type') as string;
+    if (params.get('q')) options.search = params.get('q') as string;
+    if (params.get('cursor')) options.cursor = params.get('cursor');
+
+    return options;
+}
+
+// Turn x-keyboard-provider-user-token-for-* headers into environment variables
+// x-keyboard-provider-user-token-for-google -> KEYBOARD_PROVIDER_USER_TOKEN_FOR_GOOGLE
+function extractHeaderEnvVars(req: http.IncomingMessage): HeaderEnvVars {
+    const headerEnvVars: HeaderEnvVars = {};
+    Object.keys(req.headers || {}).forEach(headerName => {
+        if (headerName.toLowerCase().startsWith('x-keyboard-provider-user-token-for-')) {
+            const envVarName = headerName
+                .toLowerCase()
+                .replace('x-', '') // Remove the x- prefix
+                .toUpperCase()
+                .replace(/-/g, '_'); // Replace hyphens with underscores
+
+            const headerValue = req.headers[headerName];
+            if (typeof headerValue === 'string') {
+                headerEnvVars[envVarName] = tryDecrypt(headerValue);
+            }
+        }
+    });
+    return headerEnvVars;
+}
+
+// Answers 400 and returns false when the callback URL is unusable
+function ensureValidCallbackUrl(res: http.ServerResponse, callbackUrl: string): boolean {
+    // Every delivery would fail to be signed and end up in the log as failed
+    if (!canSignWebhooks()) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            error: 'Invalid callback_url',
+            details: 'KB_ENCRYPTION_SECRET environment variable is required to sign webhook deliveries'
+        }));
+        return false;
+    }
+    try {
+        validateCallbackUrl(callbackUrl);
+        return true;
+    } catch (error: any) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid callback_url', details: error.message }));
+        return false;
+    }
+}
+
+// The job if the caller may see it; other principals' jobs look the same as missing ones
+function getOwnJob(auth: AuthContext, jobId: string): Job | undefined {
+    const job = getJobManager().getJob(jobId);
+    return job && canAccess(auth, job.principal) ? job : undefined;
+}
+
+// An admin may rerun someone else's job, the new job is then only listed to its owner
+function getOwnRerunChain(auth: AuthContext, jobId: string): JobRerunChain {
+    const { ancestors, reruns } = getJobManager().getRerunChain(jobId);
+    const isVisible = (link: { id: string }) => !!getOwnJob(auth, link.id);
+    return { ancestors: ancestors.filter(isVisible), reruns: reruns.filter(isVisible) };
+}
+
+function getOwnSchedule(auth: AuthContext, scheduleId: string | undefined): JobSchedule | undefined {
+    const schedule = scheduleId ? getJobManager().scheduler.get(scheduleId) : undefined;
+    return schedule && canAccess(auth, schedule.options?.principal) ? schedule : undefined;
+}
+
+// Decrypt the code and hybrid-encrypted api_calls bodies of a use_asymmetric_encryption payload in place
+// Answers 503 without a key pair or 400 when something can't be decrypted, and returns false
+function decryptAsymmetricPayload(payload: ExecutionPayload, res: http.ServerResponse): boolean {
+    if (!isKeyPairInitialized()) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            error: 'Asymmetric encryption not available. Key pair not initialized.'
+        }));
+        return false;
+    }
+
+    let field = 'code';
+    try {
+        if (payload.code) {
+            payload.code = decryptWithPrivateKey(payload.code);
+        }
+        // Bodies are only decrypted when they hold an envelope, a plain body is sent as is
+        for (const [name, apiCall] of Object.entries(payload.api_calls || {})) {
+            if (apiCall && parseHybridEnvelope(apiCall.body)) {
+                field = `api_calls.${name}.body`;
+                const decryptedBody = decryptHybrid(apiCall.body);
+                try {
+                    apiCall.body = JSON.parse(decryptedBody);
+                } catch (parseError: any) {
+                    apiCall.body = decryptedBody;
+                }
+            }
+        }
+    } catch (decryptError: any) {
+        console.error(`❌ Failed to decrypt ${field} with private key:`, decryptError.message);
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            error: `Failed to decrypt ${field}`,
+            details: decryptError.message
+        }));
+        return false;
+    }
+    return true;
+}
+
+// Envelope version and associated data for an encrypted exchange; answers 400 and returns null when they can't be agreed on
+function negotiateRequestEncryption(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    ciphertext?: string
+): EncryptionOptions | null {
+    try {
+        return negotiateEncryption(req.headers, ciphertext);
+    } catch (error: any) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            error: 'Unsupported encryption',
+            details: error.message
+        }));
+        return null;
+    }
+}
+
+function writeQuotaExceeded(res: http.ServerResponse, error: QuotaExceededError): void {
+    res.writeHead(429, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        success: false,
+        error: 'Quota exceeded',
+        principal: error.principal,
+        details: error.message
+    }));
+}
+
+function writeIdempotencyConflict(res: http.ServerResponse, error: Error): void {
+    res.writeHead(409, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        success: false,
+        error: 'Idempotency key conflict',
+        details: error.message
+    }));
+}
+
+// Schedule request body: { name, cron | runAt, payload, options, concurrencyPolicy, missedRunPolicy, enabled }
+function parseScheduleInput(body: any, req: http.IncomingMessage): ScheduleInput {
+    if (!body || typeof body !== 'object') {
+        throw new Error('Schedule body must be an object');
+    }
+
+    const input: ScheduleInput = {
+        name: body.name,
+        cron: body.cron,
+        runAt: body.runAt,
+        concurrencyPolicy: body.concurrencyPolicy,
+        missedRunPolicy: body.missedRunPolicy,
+        enabled: body.enabled === undefined ? undefined : body.enabled !== false
+    };
+
+    if (body.payload && typeof body.payload === 'object') {
+        const headerEnvVars = extractHeaderEnvVars(req);
+        const { headerEnvVars: _ignored, ...payload } = body.payload;
+        // Without credential headers an update keeps the credentials stored with the schedule
+        input.payload = Object.keys(headerEnvVars).length > 0 ? { ...payload, headerEnvVars } : payload;
+    }
+    if (body.options && typeof body.options === 'object') {
+        input.options = {
+            priority: body.options.priority || 'normal',
+            timeout: body.options.timeout || 600000,
+            maxRetries: body.options.maxRetries || 0,
+            // Checked like those of POST /jobs when the schedule is validated
+            ...(body.options.callback_url ? { callbackUrl: body.options.callback_url } : {}),
+            tags: body.options.tags,
+            metadata: body.options.metadata
+        };
+    }
+
+    return input;
+}
+
+// Schedule response without credential values
+function buildScheduleResponse(schedule: JobSchedule): ScheduleResponse {
+    const { headerEnvVars: _headerEnvVars, sealedHeaderEnvVars: _sealedHeaderEnvVars, ...payload } = schedule.payload;
+    return {
+        ...schedule,
+        payload,
+        credentials: getJobManager().scheduler.getCredentialNames(schedule)
+    };
+}
+
+// Tail a job's output, then emit its final state
+function streamJob(
+    job: Job,
+    res: http.ServerResponse,
+    format: StreamFormat,
+    encryptMessages: boolean,
+    encryption: EncryptionOptions = {}
+): void {
+    const manager = getJobManager();
+    const stream = openEventStream(res, format, { encryptMessages, encryption });
+    const { chunks, droppedChunks } = manager.getJobOutput(job.id);
+
+    stream.send('status', { ...buildJobResponse(job), droppedChunks });
+    chunks.forEach(chunk => stream.send('output', chunk));
+
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        stream.send('result', buildJobResponse(job));
+        stream.close();
+        return;
+    }
+
+    const onOutput = (jobId: string, chunk: OutputChunk): void => {
+        if (jobId === job.id) {
+            stream.send('output', chunk);
+        }
+    };
+    const onFinished = (finishedJob: Job): void => {
+        if (finishedJob.id === job.id) {
+            stream.send('result', buildJobResponse(finishedJob));
+            stream.close();
+            unsubscribe();
+        }
+    };
+    const unsubscribe = (): void => {
+        manager.off('output', onOutput);
+        manager.off('finished', onFinished);
+    };
+
+    manager.on('output', onOutput);
+    manager.on('finished', onFinished);
+    res.on('close', unsubscribe);
+}
+
+// Streaming variant of executeCodeWithSecureMode: output events while the code runs, then a result event
+async function executeCodeWithStreaming(
+    payload: ExecutionPayload,
+    res: http.ServerResponse,
+    headerEnvVars: HeaderEnvVars,
+    format: StreamFormat,
+    encryption: EncryptionOptions = {}
+): Promise<void> {
+    const executor = getSecureExecutor();
+    const executionId = randomBytes(16).toString('hex');
+    const stream = openEventStream(res, format, {
+        encryptMessages: !!payload.encrypt_messages,
+        encryption,
+        useAsymmetricEncryption: !!payload.use_asymmetric_encryption
+    });
+
+    // Stop the execution if the client disconnects
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            executor.terminateExecution(executionId).catch((error: any) => {
+                console.error('❌ Failed to terminate streaming execution:', error.message);
+            });
+        }
+    });
+
+    try {
+        const result = await executor.executeCode(payload, headerEnvVars, {
+            executionId,
+            onOutput: chunk => stream.send('output', chunk)
+        });
+        stream.send('result', result);
+    } catch (error: any) {
+        if (!error.cancelled) {
+            console.error('❌ Secure execution error:', error);
+        }
+        stream.send('result', {
+            success: false,
+            error: error.error || 'Execution failed',
+            details: error.details || error.message,
+            executionMode: error.executionMode || 'unknown',
+            ...(error.limit ? { limit: error.limit } : {})
+        });
+    }
+
+    stream.close();
+}
 
 // New secure execution function with feature flag support
 async function executeCodeWithSecureMode(
     payload: ExecutionPayload, 
     res: http.ServerResponse, 
-    headerEnvVars: HeaderEnvVars = {}
+    headerEnvVars: HeaderEnvVars = {},
+    onResponse: ((statusCode: number, body: string) => void) | null = null,
+    encryption: EncryptionOptions = {}
 ): Promise<void> {
     try {
         const executor = getSecureExecutor();
@@ -1026,7 +1976,7 @@ async function executeCodeWithSecureMode(
         if (payload.use_asymmetric_encryption) {
             try {
                 const responseString = JSON.stringify(result);
-                const encryptedResponse = encryptWithPublicKey(responseString);
+                const encryptedResponse = encryptHybrid(responseString);
                 finalResult = {
                     encrypted: true,
                     data: encryptedResponse
@@ -1038,7 +1988,7 @@ async function executeCodeWithSecureMode(
         } else if (payload.encrypt_messages) {
             try {
                 const responseString = JSON.stringify(result);
-                const encryptedResponse = encrypt(responseString);
+                const encryptedResponse = encrypt(responseString, encryption);
                 finalResult = {
                     encrypted: true,
                     data: encryptedResponse
@@ -1049,8 +1999,10 @@ async function executeCodeWithSecureMode(
             }
         }
 
+        const body = JSON.stringify(finalResult);
+        onResponse?.(200, body);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(finalResult));
+        res.end(body);
 
     } catch (error: any) {
         console.error('❌ Secure execution error:', error);
@@ -1059,14 +2011,15 @@ async function executeCodeWithSecureMode(
             success: false,
             error: error.error || 'Execution failed',
             details: error.details || error.message,
-            executionMode: error.executionMode || 'unknown'
+            executionMode: error.executionMode || 'unknown',
+            ...(error.limit ? { limit: error.limit } : {})
         };
 
         // Handle encryption for error response
         if (payload.use_asymmetric_encryption) {
             try {
                 const errorString = JSON.stringify(errorResult);
-                const encryptedError = encryptWithPublicKey(errorString);
+                const encryptedError = encryptHybrid(errorString);
                 errorResult = {
                     encrypted: true,
                     data: encryptedError
@@ -1078,7 +2031,7 @@ async function executeCodeWithSecureMode(
         } else if (payload.encrypt_messages) {
             try {
                 const errorString = JSON.stringify(errorResult);
-                const encryptedError = encrypt(errorString);
+                const encryptedError = encrypt(errorString, encryption);
                 errorResult = {
                     encrypted: true,
                     data: encryptedError
@@ -1089,6 +2042,7 @@ async function executeCodeWithSecureMode(
             }
         }
 
+        onResponse?.(500, JSON.stringify(errorResult));
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(errorResult));
     }
@@ -1097,6 +2051,7 @@ async function executeCodeWithSecureMode(
 // Enhanced code execution function with better async support (LEGACY - removed for now)
 
 // Enhanced process execution with timeout and better error handling
+// Runs on the shared executor, so commands get the same process slots, memory, CPU and output limits as code
 function executeProcessWithTimeout(
     cmd: string, 
     args: string[], 
@@ -1105,192 +2060,73 @@ function executeProcessWithTimeout(
     options: ExecutionOptions = {}
 ): void {
     const timeout = options.timeout || 30000;
-    
-    const child = spawn(cmd, args, { env: options?.env || {}});
-    let stdout = '';
-    let stderr = '';
-    let isCompleted = false;
-    
-    // Set up timeout
-    const timeoutId = setTimeout(() => {
-        if (!isCompleted) {
-            isCompleted = true;
-            child.kill('SIGTERM');
-            
-            if (cleanup) cleanup();
-            
-            let timeoutResult: any = { 
-                error: 'Execution timeout',
-                timeout: timeout,
-                stdout: safeObfuscate(stdout),
-                stderr: safeObfuscate(stderr),
-                message: `Process timed out after ${timeout}ms. Consider increasing timeout or optimizing async operations.`
-            };
-            
-            // Encrypt the timeout response if requested
-            if (options.use_asymmetric_encryption) {
-                try {
-                    const timeoutString = JSON.stringify(timeoutResult);
-                    const encryptedTimeout = encryptWithPublicKey(timeoutString);
-                    timeoutResult = {
-                        encrypted: true,
-                        data: encryptedTimeout
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt timeout response with public key:', encryptError.message);
-                    timeoutResult.encryptionError = 'Failed to encrypt timeout response: ' + encryptError.message;
-                }
-            } else if (options.encrypt_messages) {
-                try {
-                    const timeoutString = JSON.stringify(timeoutResult);
-                    const encryptedTimeout = encrypt(timeoutString);
-                    timeoutResult = {
-                        encrypted: true,
-                        data: encryptedTimeout
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt timeout response:', encryptError.message);
-                    // Fall back to unencrypted timeout response with error indication
-                    timeoutResult.encryptionError = 'Failed to encrypt timeout response: ' + encryptError.message;
-                }
-            }
-            
-            res.writeHead(408, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(timeoutResult));
-        }
-    }, timeout);
-    
-    child.stdout?.on('data', data => {
-        stdout += data.toString();
-    });
-
-    child.stderr?.on('data', data => {
-        stderr += data.toString();
-    });
 
-    child.on('close', async (code) => {
-        if (!isCompleted) {
-            isCompleted = true;
-            clearTimeout(timeoutId);
-            
-            if (cleanup) cleanup();
-            let aiAnalysis: any;
-            if(options.ai_eval) {
-                try {
-                
-                let outputsOfCodeExecution = `
-                output of code execution: 
+    const respond = (statusCode: number, result: any): void => {
+        let finalResult = result;
 
-                <stdout>${safeObfuscate(stdout)}</stdout>
-                
-                <stderr>${safeObfuscate(stderr)}</stderr>`
-                let result = await localLLM.analyzeResponse(JSON.stringify(outputsOfCodeExecution))
-                aiAnalysis = result
-                
-                } catch(e) {
-
-                }
-            }
-
-            let finalResult: any;
+        // Encrypt the response if requested
+        if (options.use_asymmetric_encryption) {
             try {
-               finalResult = { 
-                success: true,
-                data: {
-                    stdout: safeObfuscate(stdout), 
-                    stderr: safeObfuscate(stderr), 
-                    code,
-                    aiAnalysis,
-                    executionTime: Date.now() // Add execution timestamp
-                }
-            }
-
-            
-            // Encrypt the response if requested
-            if (options.use_asymmetric_encryption) {
-                try {
-                    const responseString = JSON.stringify(finalResult);
-                    const encryptedResponse = encryptWithPublicKey(responseString);
-                    finalResult = {
-                        encrypted: true,
-                        data: encryptedResponse
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt response with public key:', encryptError.message);
-                    finalResult.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
-                }
-            } else if (options.encrypt_messages) {
-                try {
-                    const responseString = JSON.stringify(finalResult);
-                    const encryptedResponse = encrypt(responseString);
-                    finalResult = {
-                        encrypted: true,
-                        data: encryptedResponse
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt response:', encryptError.message);
-                    // Fall back to unencrypted response with error indication
-                    finalResult.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
-                }
+                finalResult = {
+                    encrypted: true,
+                    data: encryptHybrid(JSON.stringify(result))
+                };
+            } catch (encryptError: any) {
+                console.error('❌ Failed to encrypt response with public key:', encryptError.message);
+                finalResult.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
             }
-            
-            } catch(e) {
-    
+        } else if (options.encrypt_messages) {
+            try {
+                finalResult = {
+                    encrypted: true,
+                    data: encrypt(JSON.stringify(result))
+                };
+            } catch (encryptError: any) {
+                console.error('❌ Failed to encrypt response:', encryptError.message);
+                // Fall back to unencrypted response with error indication
+                finalResult.encryptionError = 'Failed to encrypt response: ' + encryptError.message;
             }
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(finalResult));
         }
-    });
 
-    child.on('error', error => {
-        if (!isCompleted) {
-            isCompleted = true;
-            clearTimeout(timeoutId);
-            
-            if (cleanup) cleanup();
-            
-            let errorResult: any = { 
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(finalResult));
+    };
+
+    getSecureExecutor().executeProcess(cmd, args, {
+        timeout,
+        env: options.env || {},
+        ai_eval: options.ai_eval,
+        executionMode: 'command'
+    }).then(result => {
+        respond(200, result);
+    }, (error: any) => {
+        if (error.error === 'Execution timeout') {
+            respond(408, {
+                error: 'Execution timeout',
+                timeout: timeout,
+                reaped: error.reaped,
+                stdout: error.stdout,
+                stderr: error.stderr,
+                message: `Process timed out after ${timeout}ms. Consider increasing timeout or optimizing async operations.`
+            });
+        } else if (error.limit) {
+            // Same structured OUTPUT_LIMIT / CPU_LIMIT / MEMORY_LIMIT / CONCURRENCY_LIMIT errors as code executions
+            respond(500, {
                 success: false,
-                error: {
-                    message: error.message,
-                    type: error.constructor.name,
-                    code: (error as any).code,
-                    stdout: safeObfuscate(stdout),
-                    stderr: safeObfuscate(stderr)
-                }
-            };
-            
-            // Encrypt the error response if requested
-            if (options.use_asymmetric_encryption) {
-                try {
-                    const errorString = JSON.stringify(errorResult);
-                    const encryptedError = encryptWithPublicKey(errorString);
-                    errorResult = {
-                        encrypted: true,
-                        data: encryptedError
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt error response with public key:', encryptError.message);
-                    errorResult.encryptionError = 'Failed to encrypt error response: ' + encryptError.message;
-                }
-            } else if (options.encrypt_messages) {
-                try {
-                    const errorString = JSON.stringify(errorResult);
-                    const encryptedError = encrypt(errorString);
-                    errorResult = {
-                        encrypted: true,
-                        data: encryptedError
-                    };
-                } catch (encryptError: any) {
-                    console.error('❌ Failed to encrypt error response:', encryptError.message);
-                    // Fall back to unencrypted error response with error indication
-                    errorResult.encryptionError = 'Failed to encrypt error response: ' + encryptError.message;
-                }
-            }
-            
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(errorResult));
+                error: error.error,
+                details: error.limit.message,
+                executionMode: error.executionMode,
+                limit: error.limit,
+                data: error.data
+            });
+        } else {
+            respond(500, {
+                success: false,
+                error: error.error || { message: error.message }
+            });
         }
+    }).finally(() => {
+        if (cleanup) cleanup();
     });
 }
 
@@ -1305,8 +2141,15 @@ server.timeout = 600000; // 10 minutes in milliseconds
 server.headersTimeout = 610000; // Slightly longer than server timeout
 server.keepAliveTimeout = 605000; // Keep-alive timeout
 server.listen(PORT, async () => {
+    if (isAuthDisabled()) {
+        console.warn('⚠️ DISABLE_AUTH is set, every request is served without authentication');
+    }
     
-    
+    // Start the job manager right away so persisted schedules fire without waiting for a request
+    if (process.env.DISABLE_JOB_PERSISTENCE !== 'true') {
+        getJobManager();
+    }
+
 
     // 🎯 Boot up additional services (Ollama, WebSocket, etc.)
     try {
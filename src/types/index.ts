@@ -17,9 +17,29 @@ export interface ExecutionPayload {
   Secure_data_methods?: SecureDataMethods;
   api_calls?: ApiCalls;
   explanation_of_code?: string;
+  global_code_capabilities?: GlobalCodeCapability[];
+  dependsOn?: string[];
+  /** Upstream job results, exposed to the code as the read-only JOB_INPUTS global */
+  job_inputs?: Record<string, JobInput>;
+  /** Alternative to the Idempotency-Key header */
+  idempotency_key?: string;
+  /** Background jobs only: receives a signed POST when the job finishes */
+  callback_url?: string;
+  tags?: string[];
+  metadata?: Record<string, string>;
+  /** Provider tokens as stored on a job; they are only unsealed in memory when the job starts */
+  sealedHeaderEnvVars?: SealedSecrets;
   [key: string]: any;
 }
 
+export interface JobInput {
+  jobId: string;
+  result: any;
+  stdout: string;
+}
+
+export type GlobalCodeCapability = 'network' | 'child_process' | 'worker_threads' | 'fs_write';
+
 export interface SecureDataVariables {
   [variableName: string]: DataVariableConfig;
 }
@@ -38,6 +58,12 @@ export interface DataVariableConfig {
   timeout?: number;
   credential?: string;
   passed_variables?: PassedVariables;
+  retry?: RetryPolicy;
+  paginate?: PaginationConfig;
+  select?: string[];
+  redact?: string[];
+  for_each?: ForEachConfig;
+  when?: WhenCondition;
 }
 
 export interface DataMethodConfig {
@@ -54,6 +80,91 @@ export interface ApiCallConfig {
   body?: any;
   timeout?: number;
   passed_variables?: PassedVariables;
+  retry?: RetryPolicy;
+  paginate?: PaginationConfig;
+  select?: string[];
+  redact?: string[];
+  for_each?: ForEachConfig;
+  when?: WhenCondition;
+}
+
+export interface RetryPolicy {
+  max_attempts?: number;
+  initial_delay_ms?: number;
+  max_delay_ms?: number;
+  backoff_multiplier?: number;
+  jitter?: boolean;
+  retry_on_status?: number[];
+  respect_retry_after?: boolean;
+  /** Also retry POST and PATCH, which may repeat their side effect (default false) */
+  retry_non_idempotent?: boolean;
+}
+
+export interface RetryAttempt {
+  attempt: number;
+  startedAt: string;
+  durationMs: number;
+  status?: number;
+  error?: string;
+  delayMs?: number;
+  gaveUp?: string;
+}
+
+export type PaginationStrategy = 'link_header' | 'cursor' | 'page' | 'offset';
+
+export interface PaginationConfig {
+  strategy: PaginationStrategy;
+  items_path?: string;
+  max_pages?: number;
+  max_items?: number;
+  cursor_path?: string;
+  cursor_param?: string;
+  cursor_in?: 'query' | 'body';
+  has_more_path?: string;
+  page_param?: string;
+  start_page?: number;
+  offset_param?: string;
+  page_size_param?: string;
+  page_size?: number;
+}
+
+export interface PaginationInfo {
+  strategy: PaginationStrategy;
+  pages: number;
+  items: number;
+  truncated: boolean;
+  stopReason: string;
+}
+
+export interface ForEachConfig {
+  passed_from: string;
+  items_path?: string;
+  max_items?: number;
+  concurrency?: number;
+}
+
+export interface ForEachInfo {
+  total: number;
+  executed: number;
+  succeeded: number;
+  failed: number;
+  truncated: boolean;
+  failedIndexes: number[];
+}
+
+export interface WhenCondition {
+  passed_from: string;
+  path?: string;
+  equals?: string | number | boolean | null;
+  not_equals?: string | number | boolean | null;
+  in?: Array<string | number | boolean | null>;
+  exists?: boolean;
+}
+
+export interface ProjectionInfo {
+  selected?: string[];
+  dropped?: string[];
+  redacted?: string[];
 }
 
 export interface FetchOptions {
@@ -83,6 +194,181 @@ export interface Job {
   error: JobError | null;
   progress: number;
   progressMessage?: string;
+  termination?: JobTermination;
+  attempts?: JobAttempt[];
+  /** When a PENDING job waiting to be retried becomes runnable again */
+  nextRunAt?: string | null;
+  /** Jobs that must complete before this one starts */
+  dependsOn?: string[];
+  workflow?: JobWorkflowRef;
+  /** Schedule whose firing created this job */
+  scheduleId?: string;
+  /** Job this one is a rerun of */
+  parentJobId?: string;
+  /** Who submitted the job, see JobOptions.principal */
+  principal?: string;
+  idempotencyKey?: string;
+  /** Hash of the submitted payload, compared when the idempotency key is repeated */
+  payloadHash?: string;
+  webhook?: JobWebhook;
+  tags?: string[];
+  metadata?: Record<string, string>;
+  /** Files the last attempt wrote to its OUTPUT_DIR */
+  artifacts?: JobArtifact[];
+  /** Files left out because of a limit, with the reason */
+  artifactsSkipped?: JobArtifactSkip[];
+}
+
+/**
+ * What may change when a job is rerun; everything else is copied from the original job
+ */
+export interface JobRerunOverrides {
+  timeout?: number;
+  code?: string;
+  /** Replaces global_code (or Global_code) of a secure-mode job */
+  global_code?: string;
+  /** Merged over the original api_calls entry with this name */
+  api_call?: { name: string } & Partial<ApiCallConfig>;
+}
+
+export interface JobRerunLink {
+  id: string;
+  status: JobStatus;
+  createdAt: string;
+}
+
+export interface JobRerunChain {
+  /** Jobs this one was rerun from, the original first; stops at a job that has expired */
+  ancestors: JobRerunLink[];
+  /** Direct reruns of this job, oldest first */
+  reruns: JobRerunLink[];
+}
+
+export interface JobArtifact {
+  /** Path relative to OUTPUT_DIR, with / separators */
+  name: string;
+  size: number;
+  contentType: string;
+  createdAt: string;
+}
+
+export interface JobArtifactSkip {
+  name: string;
+  reason: string;
+}
+
+export interface WebhookDeliveryAttempt {
+  attempt: number;
+  attemptedAt: string;
+  durationMs: number;
+  success: boolean;
+  statusCode?: number;
+  error?: string;
+}
+
+/**
+ * Completion callback of a job and the log of its delivery attempts
+ */
+export interface JobWebhook {
+  url: string;
+  /** sending while a delivery is in flight, between attempts included */
+  status: 'pending' | 'sending' | 'delivered' | 'failed';
+  event?: string;
+  deliveries: WebhookDeliveryAttempt[];
+}
+
+export type ScheduleConcurrencyPolicy = 'allow' | 'forbid' | 'replace';
+
+export type ScheduleMissedRunPolicy = 'run_once' | 'skip';
+
+/**
+ * A job template fired at runAt (once) or on every match of a cron expression (UTC)
+ */
+export interface JobSchedule {
+  id: string;
+  name?: string;
+  cron?: string;
+  runAt?: string;
+  payload: ExecutionPayload;
+  options: JobOptions;
+  concurrencyPolicy: ScheduleConcurrencyPolicy;
+  missedRunPolicy: ScheduleMissedRunPolicy;
+  enabled: boolean;
+  createdAt: string;
+  updatedAt: string;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastJobId: string | null;
+  lastSkippedAt?: string | null;
+  runCount: number;
+}
+
+export interface ScheduleInput {
+  name?: string;
+  cron?: string;
+  runAt?: string;
+  payload?: ExecutionPayload;
+  options?: JobOptions;
+  concurrencyPolicy?: ScheduleConcurrencyPolicy;
+  missedRunPolicy?: ScheduleMissedRunPolicy;
+  enabled?: boolean;
+}
+
+/**
+ * A schedule as returned by the API: stored credentials are listed by name only
+ */
+export interface ScheduleResponse extends JobSchedule {
+  credentials: string[];
+}
+
+export type WorkflowFailurePolicy = 'fail_fast' | 'continue';
+
+export interface JobWorkflowRef {
+  id: string;
+  node: string;
+  failurePolicy: WorkflowFailurePolicy;
+}
+
+export interface WorkflowNodeSpec extends ExecutionPayload {
+  /** Names of other nodes of the same workflow */
+  dependsOn?: string[];
+}
+
+export interface WorkflowSpec {
+  failurePolicy?: WorkflowFailurePolicy;
+  nodes: Record<string, WorkflowNodeSpec>;
+}
+
+export type WorkflowStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED';
+
+export interface WorkflowState {
+  id: string;
+  status: WorkflowStatus;
+  failurePolicy: WorkflowFailurePolicy;
+  createdAt: string;
+  nodes: Record<string, {
+    jobId: string;
+    status: JobStatus;
+    dependsOn: string[];
+    startedAt: string | null;
+    completedAt: string | null;
+    error?: { message: string; type: string; code?: string };
+  }>;
+}
+
+export interface JobAttempt {
+  attempt: number;
+  startedAt: string;
+  finishedAt: string;
+  status: 'COMPLETED' | 'FAILED';
+  error?: JobError;
+  transient?: boolean;
+}
+
+export interface JobTermination {
+  signalled: number;
+  reaped: boolean;
+  terminatedAt: string;
 }
 
 export type JobStatus = 'PENDING' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
@@ -91,6 +377,17 @@ export interface JobOptions {
   priority?: 'low' | 'normal' | 'high';
   timeout?: number;
   maxRetries?: number;
+  dependsOn?: string[];
+  /** Repeating a key within the idempotency window returns the job created first */
+  idempotencyKey?: string;
+  /** Receives a signed POST when the job is COMPLETED, FAILED or CANCELLED */
+  callbackUrl?: string;
+  /** Labels for filtering, e.g. ["nightly", "repo-stats"] */
+  tags?: string[];
+  /** String key/values for filtering, e.g. { "conversation": "...", "user": "..." } */
+  metadata?: Record<string, string>;
+  /** Who submitted the job (user:<sub>, websocket:<key fingerprint> or anonymous), for quotas and fair scheduling */
+  principal?: string;
 }
 
 export interface JobResult {
@@ -102,6 +399,8 @@ export interface JobResult {
   securityFiltered?: boolean;
   aiAnalysis?: any;
   codeAnalysis?: CodeAnalysis;
+  /** Value returned by the global code, passed on to dependant jobs */
+  output?: any;
 }
 
 export interface JobError {
@@ -126,6 +425,15 @@ export interface CodeAnalysis {
   }>;
 }
 
+/**
+ * A piece of live process output, sanitized and split on line boundaries
+ */
+export interface OutputChunk {
+  stream: 'stdout' | 'stderr';
+  data: string;
+  timestamp: string;
+}
+
 export interface ExecutionResult {
   success: boolean;
   data?: {
@@ -140,11 +448,39 @@ export interface ExecutionResult {
     codeAnalysis?: CodeAnalysis;
     securityFiltered?: boolean;
     dataMethodsUsed?: string[];
+    dataVariablesExecution?: DataVariablesExecutionReport;
     fallback?: boolean;
+    truncated?: boolean;
   };
   error?: string;
   details?: string;
   executionMode?: string;
+  limit?: ExecutionLimitError;
+}
+
+export type ExecutionLimitCode = 'MEMORY_LIMIT' | 'CPU_LIMIT' | 'OUTPUT_LIMIT' | 'CONCURRENCY_LIMIT';
+
+export interface ExecutionLimitError {
+  code: ExecutionLimitCode;
+  limit: number;
+  message: string;
+}
+
+export interface DataVariableTiming {
+  wave: number;
+  startedAt: string;
+  durationMs: number;
+  status: 'success' | 'error' | 'skipped';
+  errorType?: string;
+  projection?: ProjectionInfo;
+  forEach?: ForEachInfo;
+}
+
+export interface DataVariablesExecutionReport {
+  waves: string[][];
+  concurrency: number;
+  totalDurationMs: number;
+  variables: Record<string, DataVariableTiming>;
 }
 
 export interface EncryptedResponse {
@@ -179,6 +515,26 @@ export interface JobResponse {
   updatedAt: string;
   startedAt?: string;
   completedAt?: string;
+  nextRunAt?: string | null;
+  dependsOn?: string[];
+  workflow?: { id: string; node: string };
+  scheduleId?: string;
+  parentJobId?: string;
+  /** Only in the job detail view */
+  rerunChain?: JobRerunChain;
+  webhook?: JobWebhook;
+  tags?: string[];
+  metadata?: Record<string, string>;
+  artifacts?: JobArtifact[];
+  artifactsSkipped?: JobArtifactSkip[];
+  attempts?: Array<{
+    attempt: number;
+    startedAt: string;
+    finishedAt: string;
+    status: 'COMPLETED' | 'FAILED';
+    transient?: boolean;
+    error?: { message: string; type: string; code?: string };
+  }>;
   result?: {
     stdout: string;
     stderr: string;
@@ -208,12 +564,16 @@ export interface JobListResponse {
     completedAt?: string;
     hasResults: boolean;
     hasError: boolean;
+    tags?: string[];
+    metadata?: Record<string, string>;
   }>;
   pagination: {
     total: number;
     limit: number;
     offset: number;
     hasMore: boolean;
+    /** Pass as cursor to get the next page */
+    nextCursor: string | null;
   };
 }
 
@@ -222,6 +582,13 @@ export interface JobStatsResponse {
   stats: any;
 }
 
+export interface SealedSecrets {
+  /** v2:gcm envelope under a key used for nothing else */
+  ciphertext: string;
+  /** After this the secrets no longer open, null for never */
+  expiresAt: string | null;
+}
+
 export interface ServerResponse {
   success: boolean;
   [key: string]: any;
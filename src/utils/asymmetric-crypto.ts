@@ -1,26 +1,120 @@
-import { generateKeyPairSync, publicEncrypt, privateDecrypt, createHash, constants } from 'crypto';
+import {
+  generateKeyPairSync,
+  publicEncrypt,
+  privateDecrypt,
+  createHash,
+  createCipheriv,
+  createDecipheriv,
+  randomBytes,
+  constants
+} from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { encrypt, decrypt } from './crypto';
+
+export const HYBRID_ALGORITHM = 'RSA-OAEP-256+A256GCM';
 
 interface KeyPair {
   publicKey: string;
   privateKey: string;
   createdAt: Date;
   fingerprint: string;
+  /** Set once the key has been replaced; it still decrypts until then */
+  expiresAt?: Date;
+}
+
+export interface PreviousKeyMetadata {
+  fingerprint: string;
+  publicKey: string;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface KeyRingOptions {
+  /** Key-ring file, encrypted with KB_ENCRYPTION_SECRET; null keeps the keys in memory (default data/keyring.json) */
+  filePath?: string | null;
+  /** Age at which the active key is replaced, 0 rotates on demand only (default 30 days) */
+  rotationIntervalMs?: number;
+  /** How long a replaced key keeps decrypting (default 7 days) */
+  gracePeriodMs?: number;
+}
+
+interface StoredKeyRing {
+  version: 1;
+  keys: Array<{ publicKey: string; privateKey: string; createdAt: string; expiresAt?: string }>;
 }
 
+const KEY_RING_AAD = 'keyboard-key-ring';
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY_MS = 2147483647;
+
 interface KeyMetadata {
   algorithm: string;
+  envelopeAlgorithm: string;
   createdAt: string;
   fingerprint: string;
   publicKey: string;
 }
 
-// In-memory key storage (regenerates on every boot)
+/**
+ * A payload of any size: a random AES-256-GCM key wrapped with RSA-OAEP (SHA-256) under the key
+ * with the given fingerprint. Binary fields are base64; the algorithm and fingerprint are
+ * authenticated as associated data, so they can't be swapped without failing decryption
+ */
+export interface HybridEnvelope {
+  algorithm: typeof HYBRID_ALGORITHM;
+  fingerprint: string;
+  encryptedKey: string;
+  iv: string;
+  authTag: string;
+  ciphertext: string;
+}
+
+// Active key pair, and the replaced ones still in their grace period (newest first)
 let keyPair: KeyPair | null = null;
+let previousKeys: KeyPair[] = [];
+let keyRingFile: string | null = null;
+let rotationIntervalMs = 0;
+let gracePeriodMs = 7 * 24 * 60 * 60 * 1000;
+let rotationTimer: NodeJS.Timeout | null = null;
 
 /**
- * Generate a new RSA-4096 key pair
+ * Load the persisted key-ring, or create it, and schedule rotation of the active key
  * This is called once on server startup
  */
+export function initializeKeyRing(options: KeyRingOptions = {}): KeyPair {
+  keyRingFile = options.filePath === undefined
+    ? path.join(__dirname, '../../data/keyring.json')
+    : options.filePath;
+  rotationIntervalMs = options.rotationIntervalMs ?? 30 * 24 * 60 * 60 * 1000;
+  gracePeriodMs = options.gracePeriodMs ?? 7 * 24 * 60 * 60 * 1000;
+
+  if (keyRingFile && !process.env.KB_ENCRYPTION_SECRET) {
+    console.error('❌ KB_ENCRYPTION_SECRET is not set, the key-ring is kept in memory and replaced on restart');
+    keyRingFile = null;
+  }
+
+  loadKeyRing();
+  if (!keyPair || isRotationDue()) {
+    generateKeyPair();
+  }
+  scheduleRotation();
+  return keyPair!;
+}
+
+/**
+ * Replace the active key now; the previous one keeps decrypting for the grace period
+ */
+export function rotateKeyPair(): KeyMetadata {
+  generateKeyPair();
+  scheduleRotation();
+  return getKeyMetadata();
+}
+
+/**
+ * Generate a new RSA-4096 key pair and make it the active key
+ * The key it replaces stays in the key-ring until its grace period ends
+ */
 export function generateKeyPair(): KeyPair {
 
   const { publicKey, privateKey } = generateKeyPairSync('rsa', {
@@ -35,25 +129,148 @@ export function generateKeyPair(): KeyPair {
     }
   });
 
-  // Generate fingerprint from public key
-  const fingerprint = createHash('sha256')
-    .update(publicKey)
-    .digest('hex')
-    .toUpperCase()
-    .match(/.{2}/g)
-    ?.join(':') || '';
+  if (keyPair) {
+    previousKeys.unshift({ ...keyPair, expiresAt: new Date(Date.now() + gracePeriodMs) });
+  }
+  pruneExpiredKeys();
 
   keyPair = {
     publicKey,
     privateKey,
     createdAt: new Date(),
-    fingerprint
+    fingerprint: getFingerprint(publicKey)
   };
 
-
+  saveKeyRing();
   return keyPair;
 }
 
+/**
+ * Replaced keys that still decrypt, with the time they stop doing so
+ */
+export function getPreviousKeys(): PreviousKeyMetadata[] {
+  pruneExpiredKeys();
+  return previousKeys.map(key => ({
+    fingerprint: key.fingerprint,
+    publicKey: key.publicKey,
+    createdAt: key.createdAt.toISOString(),
+    expiresAt: key.expiresAt!.toISOString()
+  }));
+}
+
+/**
+ * When the active key will be replaced by scheduled rotation, null if it only rotates on demand
+ */
+export function getKeyRotatesAt(): Date | null {
+  if (!keyPair || rotationIntervalMs <= 0) {
+    return null;
+  }
+  return new Date(keyPair.createdAt.getTime() + rotationIntervalMs);
+}
+
+function getFingerprint(publicKey: string): string {
+  return createHash('sha256')
+    .update(publicKey)
+    .digest('hex')
+    .toUpperCase()
+    .match(/.{2}/g)
+    ?.join(':') || '';
+}
+
+function isRotationDue(): boolean {
+  const rotatesAt = getKeyRotatesAt();
+  return !!rotatesAt && rotatesAt.getTime() <= Date.now();
+}
+
+function scheduleRotation(): void {
+  if (rotationTimer) {
+    clearTimeout(rotationTimer);
+    rotationTimer = null;
+  }
+  const rotatesAt = getKeyRotatesAt();
+  if (!rotatesAt) {
+    return;
+  }
+
+  const delay = Math.min(Math.max(rotatesAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS);
+  rotationTimer = setTimeout(() => {
+    rotationTimer = null;
+    try {
+      if (isRotationDue()) {
+        generateKeyPair();
+      }
+    } catch (error: any) {
+      console.error('❌ Failed to rotate encryption key pair:', error.message);
+    }
+    scheduleRotation();
+  }, delay);
+  rotationTimer.unref();
+}
+
+function pruneExpiredKeys(): void {
+  const now = Date.now();
+  previousKeys = previousKeys.filter(key => key.expiresAt && key.expiresAt.getTime() > now);
+}
+
+/**
+ * Keys that may decrypt, active first
+ */
+function getDecryptionKeys(): KeyPair[] {
+  pruneExpiredKeys();
+  return keyPair ? [keyPair, ...previousKeys] : [...previousKeys];
+}
+
+function loadKeyRing(): void {
+  if (!keyRingFile || !fs.existsSync(keyRingFile)) {
+    return;
+  }
+
+  try {
+    const stored: StoredKeyRing = JSON.parse(decrypt(fs.readFileSync(keyRingFile, 'utf8'), { aad: KEY_RING_AAD }));
+    const keys: KeyPair[] = stored.keys.map(key => ({
+      publicKey: key.publicKey,
+      privateKey: key.privateKey,
+      createdAt: new Date(key.createdAt),
+      fingerprint: getFingerprint(key.publicKey),
+      ...(key.expiresAt ? { expiresAt: new Date(key.expiresAt) } : {})
+    }));
+
+    keyPair = keys.find(key => !key.expiresAt) || null;
+    previousKeys = keys.filter(key => key.expiresAt);
+    pruneExpiredKeys();
+    console.log(`📦 Loaded encryption key-ring from ${keyRingFile} (${previousKeys.length} previous key(s))`);
+  } catch (error: any) {
+    // Never overwrite keys that could still be recovered with the right secret
+    console.error(`❌ Failed to load key-ring ${keyRingFile}, keeping keys in memory only:`, error.message);
+    keyRingFile = null;
+  }
+}
+
+function saveKeyRing(): void {
+  if (!keyRingFile) {
+    return;
+  }
+
+  const stored: StoredKeyRing = {
+    version: 1,
+    keys: (keyPair ? [keyPair, ...previousKeys] : previousKeys).map(key => ({
+      publicKey: key.publicKey,
+      privateKey: key.privateKey,
+      createdAt: key.createdAt.toISOString(),
+      ...(key.expiresAt ? { expiresAt: key.expiresAt.toISOString() } : {})
+    }))
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(keyRingFile), { recursive: true });
+    const tempFile = `${keyRingFile}.tmp`;
+    fs.writeFileSync(tempFile, encrypt(JSON.stringify(stored), { aad: KEY_RING_AAD }), { mode: 0o600 });
+    fs.renameSync(tempFile, keyRingFile);
+  } catch (error: any) {
+    console.error('❌ Failed to save key-ring:', error.message);
+  }
+}
+
 /**
  * Get the current public key in PEM format
  */
@@ -74,6 +291,7 @@ export function getKeyMetadata(): KeyMetadata {
 
   return {
     algorithm: 'RSA-4096',
+    envelopeAlgorithm: HYBRID_ALGORITHM,
     createdAt: keyPair.createdAt.toISOString(),
     fingerprint: keyPair.fingerprint,
     publicKey: keyPair.publicKey
@@ -83,6 +301,7 @@ export function getKeyMetadata(): KeyMetadata {
 /**
  * Encrypt data using the public key
  * This is typically used by external services to encrypt data to send to us
+ * Raw RSA-OAEP only fits a few hundred bytes, use encryptHybrid for payloads and responses
  * @param data - Plain text data to encrypt
  * @returns Base64 encoded encrypted data
  */
@@ -109,33 +328,154 @@ export function encryptWithPublicKey(data: string): string {
 }
 
 /**
- * Decrypt data using the private key
- * This is used to decrypt data sent to us that was encrypted with our public key
- * @param encryptedData - Base64 encoded encrypted data
- * @returns Decrypted plain text
+ * Encrypt data of any size with a one-time AES-256-GCM key wrapped by the public key
+ * @param data - Plain text data to encrypt
+ * @returns Envelope carrying the wrapped key and the fingerprint of the key that wrapped it
  */
-export function decryptWithPrivateKey(encryptedData: string): string {
+export function encryptHybrid(data: string): HybridEnvelope {
   if (!keyPair) {
     throw new Error('Key pair not initialized. Call generateKeyPair() first.');
   }
 
   try {
-    const buffer = Buffer.from(encryptedData, 'base64');
-    const decrypted = privateDecrypt(
+    const contentKey = randomBytes(32);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', contentKey, iv);
+    cipher.setAAD(getEnvelopeAAD(keyPair.fingerprint));
+    const ciphertext = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+
+    return {
+      algorithm: HYBRID_ALGORITHM,
+      fingerprint: keyPair.fingerprint,
+      encryptedKey: publicEncrypt(
+        {
+          key: keyPair.publicKey,
+          padding: constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256',
+        },
+        contentKey
+      ).toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  } catch (error: any) {
+    console.error('❌ Encryption error:', error.message);
+    throw new Error(`Failed to encrypt data: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt a hybrid envelope, given as an object or its JSON string
+ * @throws Error if it was encrypted for another key or has been tampered with
+ */
+export function decryptHybrid(envelope: HybridEnvelope | string): string {
+  if (!keyPair) {
+    throw new Error('Key pair not initialized. Call generateKeyPair() first.');
+  }
+
+  const parsed = parseHybridEnvelope(envelope);
+  if (!parsed) {
+    throw new Error(`Failed to decrypt data: not a ${HYBRID_ALGORITHM} envelope`);
+  }
+  const key = getDecryptionKeys().find(candidate => candidate.fingerprint === parsed.fingerprint);
+  if (!key) {
+    throw new Error(`Failed to decrypt data: key ${parsed.fingerprint} is unknown or has expired, current key is ${keyPair.fingerprint}`);
+  }
+
+  try {
+    const contentKey = privateDecrypt(
       {
-        key: keyPair.privateKey,
+        key: key.privateKey,
         padding: constants.RSA_PKCS1_OAEP_PADDING,
         oaepHash: 'sha256',
       },
-      buffer
+      Buffer.from(parsed.encryptedKey, 'base64')
     );
-    return decrypted.toString('utf8');
+    const iv = Buffer.from(parsed.iv, 'base64');
+    const authTag = Buffer.from(parsed.authTag, 'base64');
+    if (contentKey.length !== 32 || iv.length !== 12 || authTag.length !== 16) {
+      throw new Error('Malformed envelope');
+    }
+
+    const decipher = createDecipheriv('aes-256-gcm', contentKey, iv);
+    decipher.setAAD(getEnvelopeAAD(parsed.fingerprint));
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([
+      decipher.update(Buffer.from(parsed.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
   } catch (error: any) {
     console.error('❌ Decryption error:', error.message);
     throw new Error(`Failed to decrypt data: ${error.message}`);
   }
 }
 
+/**
+ * The envelope held by a value, accepting both the object and its JSON string
+ * @returns null when the value is not a hybrid envelope
+ */
+export function parseHybridEnvelope(value: unknown): HybridEnvelope | null {
+  let candidate: any = value;
+  if (typeof value === 'string') {
+    if (!value.trim().startsWith('{')) {
+      return null;
+    }
+    try {
+      candidate = JSON.parse(value);
+    } catch (error: any) {
+      return null;
+    }
+  }
+
+  if (!candidate || typeof candidate !== 'object' || candidate.algorithm !== HYBRID_ALGORITHM) {
+    return null;
+  }
+  const fields = ['fingerprint', 'encryptedKey', 'iv', 'authTag', 'ciphertext'];
+  return fields.every(field => typeof candidate[field] === 'string') ? candidate : null;
+}
+
+function getEnvelopeAAD(fingerprint: string): Buffer {
+  return Buffer.from(`${HYBRID_ALGORITHM}:${fingerprint}`, 'utf8');
+}
+
+/**
+ * Decrypt data using the private key
+ * This is used to decrypt data sent to us that was encrypted with our public key
+ * Hybrid envelopes (object or JSON string) are opened with decryptHybrid, anything else is raw RSA-OAEP
+ * @param encryptedData - Hybrid envelope, or base64 encoded RSA-OAEP encrypted data
+ * @returns Decrypted plain text
+ */
+export function decryptWithPrivateKey(encryptedData: string | HybridEnvelope): string {
+  if (!keyPair) {
+    throw new Error('Key pair not initialized. Call generateKeyPair() first.');
+  }
+
+  if (typeof encryptedData !== 'string' || parseHybridEnvelope(encryptedData)) {
+    return decryptHybrid(encryptedData);
+  }
+
+  // Raw RSA carries no fingerprint, so try the active key, then the previous ones
+  const buffer = Buffer.from(encryptedData, 'base64');
+  let lastError: any;
+  for (const key of getDecryptionKeys()) {
+    try {
+      return privateDecrypt(
+        {
+          key: key.privateKey,
+          padding: constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256',
+        },
+        buffer
+      ).toString('utf8');
+    } catch (error: any) {
+      lastError = error;
+    }
+  }
+  console.error('❌ Decryption error:', lastError.message);
+  throw new Error(`Failed to decrypt data: ${lastError.message}`);
+}
+
 /**
  * Check if key pair has been initialized
  */
@@ -167,21 +507,24 @@ export function tryDecrypt(value: string): string {
     return value;
   }
 
-  try {
-    // Attempt to decrypt the value
-    const buffer = Buffer.from(value, 'base64');
-    const decrypted = privateDecrypt(
-      {
-        key: keyPair.privateKey,
-        padding: constants.RSA_PKCS1_OAEP_PADDING,
-        oaepHash: 'sha256',
-      },
-      buffer
-    );
-    return decrypted.toString('utf8');
-  } catch (error) {
-    // Silently return original value if any error occurs
-    // This includes: invalid base64, wrong padding, decryption failure, etc.
-    return value;
+  // Attempt to decrypt the value with the active key, then the previous ones
+  const buffer = Buffer.from(value, 'base64');
+  for (const key of getDecryptionKeys()) {
+    try {
+      const decrypted = privateDecrypt(
+        {
+          key: key.privateKey,
+          padding: constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256',
+        },
+        buffer
+      );
+      return decrypted.toString('utf8');
+    } catch (error) {
+      // Try the next key
+    }
   }
+  // Silently return original value if no key decrypts it
+  // This includes: invalid base64, wrong padding, decryption failure, etc.
+  return value;
 }
@@ -1,8 +1,44 @@
-import { jwtVerify, createRemoteJWKSet } from 'jose';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+import { jwtVerify, createRemoteJWKSet, JWTPayload } from 'jose';
 
 const ISSUER_URL = "https://login.keyboard.dev"
 const JWKS = createRemoteJWKSet(new URL(`${ISSUER_URL}/oauth2/jwks`));
 
+// Written by the WebSocket server (src/web-socket.ts)
+const WS_KEY_FILE = path.join(os.homedir(), '.keyboard-mcp', '.keyboard-mcp-ws-key');
+export const WS_KEY_HEADER = 'x-keyboard-ws-key';
+export const API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Permissions a caller can hold; admin implies all of the others
+ */
+export type AuthScope = 'execute' | 'jobs:read' | 'jobs:write' | 'admin';
+
+export const AUTH_SCOPES: AuthScope[] = ['execute', 'jobs:read', 'jobs:write', 'admin'];
+
+// Granted to bearer tokens that carry no scope claim
+const DEFAULT_TOKEN_SCOPES: AuthScope[] = ['execute', 'jobs:read', 'jobs:write'];
+
+export interface AuthContext {
+  /** user:<sub>, apikey:<name> or websocket:<key fingerprint> */
+  principal: string;
+  scopes: AuthScope[];
+  method: 'jwt' | 'api-key' | 'websocket-key' | 'disabled';
+}
+
+/**
+ * An entry of the API key file; only the SHA-256 of the key is stored
+ */
+interface ApiKeyEntry {
+  name: string;
+  sha256: string;
+  scopes: AuthScope[];
+}
+
 interface VerificationResult {
   isValid: boolean;
   error?: string;
@@ -92,3 +128,283 @@ export async function verifyBearerTokenDetailed(token: string): Promise<Verifica
     };
   }
 }
+
+/**
+ * Raised when a request carries credentials that do not verify
+ */
+export class AuthenticationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Raised when a verified caller lacks the scope a route needs
+ */
+export class AuthorizationError extends Error {
+  scope: AuthScope;
+
+  constructor(scope: AuthScope) {
+    super(`Missing required scope: ${scope}`);
+    this.name = 'AuthorizationError';
+    this.scope = scope;
+  }
+}
+
+/**
+ * Verify a bearer token and return its subject
+ * @returns the sub claim, or null if the token is invalid or has no subject
+ */
+export async function getBearerTokenSubject(token: string): Promise<string | null> {
+  if (!token || token.trim() === '') {
+    return null;
+  }
+
+  const payload = await getBearerTokenClaims(token);
+  return payload && typeof payload.sub === 'string' && payload.sub ? payload.sub : null;
+}
+
+/**
+ * Verify a bearer token and return its claims
+ * @returns null if the token is invalid
+ */
+async function getBearerTokenClaims(token: string): Promise<JWTPayload | null> {
+  try {
+    const { payload } = await jwtVerify(token, JWKS, {
+      issuer: ISSUER_URL,
+    });
+    return payload;
+  } catch (error: any) {
+    console.error('❌ Token verification failed:', error.code || error.message);
+    return null;
+  }
+}
+
+/**
+ * Known scopes of a space separated string or a list, anything else is dropped
+ */
+export function parseScopes(value: unknown): AuthScope[] {
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/\s+/) : [];
+  return AUTH_SCOPES.filter(scope => values.includes(scope));
+}
+
+/**
+ * Scopes of a verified token: the OAuth scope claim, else scp or scopes,
+ * else AUTH_DEFAULT_SCOPES (execute, jobs:read and jobs:write when unset)
+ */
+function getTokenScopes(payload: JWTPayload): AuthScope[] {
+  const claim = payload.scope ?? payload.scp ?? payload.scopes;
+  if (claim !== undefined) {
+    return parseScopes(claim);
+  }
+  return process.env.AUTH_DEFAULT_SCOPES !== undefined
+    ? parseScopes(process.env.AUTH_DEFAULT_SCOPES)
+    : DEFAULT_TOKEN_SCOPES;
+}
+
+let apiKeyCache: { file: string; mtimeMs: number; keys: ApiKeyEntry[] } | null = null;
+
+function getApiKeysFile(): string {
+  return path.resolve(process.env.API_KEYS_FILE || path.join(__dirname, '../../data/api-keys.json'));
+}
+
+/**
+ * Entries of the API key file, re-read whenever it changes; none when it is missing or invalid
+ */
+function loadApiKeys(): ApiKeyEntry[] {
+  const file = getApiKeysFile();
+  let mtimeMs: number;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error: any) {
+    return [];
+  }
+  if (apiKeyCache && apiKeyCache.file === file && apiKeyCache.mtimeMs === mtimeMs) {
+    return apiKeyCache.keys;
+  }
+
+  let keys: ApiKeyEntry[] = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    keys = (Array.isArray(parsed?.keys) ? parsed.keys : [])
+      .filter((entry: any) => entry && typeof entry.name === 'string' && /^[0-9a-f]{64}$/i.test(entry.sha256))
+      .map((entry: any) => ({ name: entry.name, sha256: entry.sha256.toLowerCase(), scopes: parseScopes(entry.scopes) }));
+  } catch (error: any) {
+    console.error('❌ Failed to load API keys:', error.message);
+  }
+  apiKeyCache = { file, mtimeMs, keys };
+  return keys;
+}
+
+/**
+ * SHA-256 hex digest of an API key, the form stored in the API key file
+ */
+export function hashApiKey(apiKey: string): string {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Look an API key up in the API key file
+ * @returns the matching entry, or null
+ */
+function verifyApiKey(apiKey: string): ApiKeyEntry | null {
+  if (!apiKey) {
+    return null;
+  }
+  const digest = Buffer.from(hashApiKey(apiKey), 'hex');
+  let match: ApiKeyEntry | null = null;
+  // Compare against every entry so the time taken does not reveal which one matched
+  for (const entry of loadApiKeys()) {
+    if (timingSafeEqual(digest, Buffer.from(entry.sha256, 'hex'))) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Compare a key with the WebSocket connection key in ~/.keyboard-mcp
+ */
+export function verifyWebSocketKey(providedKey: string): boolean {
+  try {
+    const { key } = JSON.parse(fs.readFileSync(WS_KEY_FILE, 'utf8'));
+    if (typeof key !== 'string' || !key || !providedKey) {
+      return false;
+    }
+    // Hash both sides so the comparison is constant time whatever the lengths
+    return timingSafeEqual(
+      createHash('sha256').update(providedKey).digest(),
+      createHash('sha256').update(key).digest()
+    );
+  } catch (error: any) {
+    return false;
+  }
+}
+
+/**
+ * Who is making a request: user:<sub> for a verified bearer token,
+ * websocket:<key fingerprint> for the WebSocket key in the X-Keyboard-WS-Key header
+ * @returns null when the request carries neither
+ * @throws AuthenticationError when a token or key is present but does not verify
+ */
+export async function resolvePrincipal(req: http.IncomingMessage): Promise<string | null> {
+  const token = extractBearerToken(req.headers['authorization']);
+  if (token) {
+    const subject = await getBearerTokenSubject(token);
+    if (!subject) {
+      throw new AuthenticationError('Invalid or expired bearer token');
+    }
+    return `user:${subject}`;
+  }
+
+  const wsKey = req.headers[WS_KEY_HEADER];
+  if (typeof wsKey === 'string') {
+    if (!verifyWebSocketKey(wsKey)) {
+      throw new AuthenticationError('Invalid WebSocket key');
+    }
+    return `websocket:${createHash('sha256').update(wsKey).digest('hex').slice(0, 12)}`;
+  }
+
+  return null;
+}
+
+export function isAuthDisabled(): boolean {
+  return process.env.DISABLE_AUTH === 'true';
+}
+
+/**
+ * Authenticate a request by bearer token, API key (X-API-Key) or WebSocket key, in that order
+ * With DISABLE_AUTH=true every request gets all scopes, as the principal of any credentials it carries or anonymous
+ * @throws AuthenticationError when the request has no credentials or they do not verify
+ */
+export async function authenticateRequest(req: http.IncomingMessage): Promise<AuthContext> {
+  if (isAuthDisabled()) {
+    return {
+      principal: (await resolvePrincipal(req)) || 'anonymous',
+      scopes: [...AUTH_SCOPES],
+      method: 'disabled'
+    };
+  }
+
+  const token = extractBearerToken(req.headers['authorization']);
+  if (token) {
+    const payload = await getBearerTokenClaims(token);
+    if (!payload || typeof payload.sub !== 'string' || !payload.sub) {
+      throw new AuthenticationError('Invalid or expired bearer token');
+    }
+    return { principal: `user:${payload.sub}`, scopes: getTokenScopes(payload), method: 'jwt' };
+  }
+
+  const apiKey = req.headers[API_KEY_HEADER];
+  if (typeof apiKey === 'string') {
+    const entry = verifyApiKey(apiKey);
+    if (!entry) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    return { principal: `apikey:${entry.name}`, scopes: entry.scopes, method: 'api-key' };
+  }
+
+  const principal = await resolvePrincipal(req);
+  if (principal) {
+    // The WebSocket key can only be read on the machine the server runs on
+    return { principal, scopes: [...AUTH_SCOPES], method: 'websocket-key' };
+  }
+
+  throw new AuthenticationError('Authentication required. Provide a Bearer token or an X-API-Key header.');
+}
+
+export function hasScope(auth: AuthContext, scope: AuthScope): boolean {
+  return auth.scopes.includes('admin') || auth.scopes.includes(scope);
+}
+
+/**
+ * Whether a caller may see a job or schedule: admins see everything, others only what they own
+ * @param owner - principal recorded on the job or schedule, anonymous when unset
+ */
+export function canAccess(auth: AuthContext, owner: string | undefined): boolean {
+  return hasScope(auth, 'admin') || (owner || 'anonymous') === auth.principal;
+}
+
+/**
+ * Answer 401 for an AuthenticationError, 403 for an AuthorizationError
+ */
+export function writeAuthError(res: http.ServerResponse, error: Error): void {
+  if (error instanceof AuthorizationError) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Forbidden', message: error.message, requiredScope: error.scope }));
+    return;
+  }
+  res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+  res.end(JSON.stringify({
+    error: 'Unauthorized',
+    message: error instanceof AuthenticationError ? error.message : 'Failed to verify credentials'
+  }));
+}
+
+/**
+ * Authenticate a request and check it holds a scope
+ * @param scope - null for routes any authenticated caller may use
+ * @throws AuthenticationError or AuthorizationError
+ */
+export async function authorizeRequest(req: http.IncomingMessage, scope: AuthScope | null): Promise<AuthContext> {
+  const auth = await authenticateRequest(req);
+  if (scope && !hasScope(auth, scope)) {
+    throw new AuthorizationError(scope);
+  }
+  return auth;
+}
+
+/**
+ * Express middleware for the same checks; sets req.auth for the route handlers
+ */
+export function requireScope(scope: AuthScope | null) {
+  return (req: any, res: http.ServerResponse, next: (error?: any) => void): void => {
+    authorizeRequest(req, scope)
+      .then((auth) => {
+        req.auth = auth;
+        next();
+      })
+      .catch((error: any) => writeAuthError(res, error));
+  };
+}
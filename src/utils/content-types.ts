@@ -0,0 +1,23 @@
+import path from 'path';
+
+const CONTENT_TYPES: Record<string, string> = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown'
+};
+
+/**
+ * Content type for a file served back to clients, by extension
+ */
+export function getContentType(fileName: string): string {
+    return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
@@ -1,13 +1,42 @@
-import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { IncomingHttpHeaders } from 'http';
+import { randomBytes, createCipheriv, createDecipheriv, createHmac, hkdfSync, timingSafeEqual } from 'crypto';
 import { obfuscateSensitiveData } from '../obfuscate';
+import { SealedSecrets } from '../types';
 
-const ALGORITHM = 'aes-256-cbc';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_PREFIX = 'v2:gcm:';
+const LEGACY_DISABLED_MESSAGE = 'Legacy iv:ct encryption is disabled, set KB_ALLOW_LEGACY_ENCRYPTION=true to accept it';
 
-function getEncryptionKey(): Buffer {
-    const key = process.env.KB_ENCRYPTION_SECRET;
-    if (!key) {
+export const ENCRYPTION_VERSION_HEADER = 'x-keyboard-encryption';
+export const ENCRYPTION_AAD_HEADER = 'x-keyboard-encryption-aad';
+
+/**
+ * v2 is the authenticated v2:gcm:<iv>:<tag>:<ct> envelope (base64url parts), v1 the legacy AES-256-CBC iv:ct (hex)
+ */
+export type EnvelopeVersion = 'v1' | 'v2';
+
+export interface EncryptionOptions {
+    /** Defaults to v2 */
+    version?: EnvelopeVersion;
+    /** Associated data bound to a v2 ciphertext, e.g. a job id or route; decrypting needs the same value */
+    aad?: string;
+}
+
+function getEncryptionSecret(): string {
+    const secret = process.env.KB_ENCRYPTION_SECRET;
+    if (!secret) {
         throw new Error('KB_ENCRYPTION_SECRET environment variable is required for encryption');
     }
+    return secret;
+}
+
+function getEnvelopeKey(): Buffer {
+    return Buffer.from(hkdfSync('sha256', getEncryptionSecret(), '', 'keyboard-encryption-v2', 32));
+}
+
+function getLegacyEncryptionKey(): Buffer {
+    const key = getEncryptionSecret();
     // If key is hex string, convert to buffer, otherwise use as is and pad/truncate to 32 bytes
     if (key.length === 64 && /^[0-9a-fA-F]+$/.test(key)) {
         return Buffer.from(key, 'hex');
@@ -26,24 +55,92 @@ function getEncryptionKey(): Buffer {
     }
 }
 
-export function encrypt(text: string): string {
+export function isLegacyEncryptionAllowed(): boolean {
+    return process.env.KB_ALLOW_LEGACY_ENCRYPTION === 'true';
+}
+
+export function getEnvelopeVersion(encryptedText: string): EnvelopeVersion {
+    return encryptedText.startsWith(ENVELOPE_PREFIX) ? 'v2' : 'v1';
+}
+
+/**
+ * Envelope options for a request: the version of the ciphertext the client sent, else the one named
+ * in the X-Keyboard-Encryption header, else v2; associated data comes from X-Keyboard-Encryption-AAD
+ * @throws Error if the version is unknown, or v1 while legacy encryption is disabled
+ */
+export function negotiateEncryption(headers: IncomingHttpHeaders, ciphertext?: unknown): EncryptionOptions {
+    const requested = headers[ENCRYPTION_VERSION_HEADER];
+    let version: EnvelopeVersion = 'v2';
+
+    if (typeof ciphertext === 'string' && ciphertext) {
+        version = getEnvelopeVersion(ciphertext);
+    } else if (requested !== undefined) {
+        if (requested !== 'v1' && requested !== 'v2') {
+            throw new Error(`Unsupported encryption version ${requested}, expected v1 or v2`);
+        }
+        version = requested;
+    }
+    if (version === 'v1' && !isLegacyEncryptionAllowed()) {
+        throw new Error(LEGACY_DISABLED_MESSAGE);
+    }
+
+    const aad = headers[ENCRYPTION_AAD_HEADER];
+    return { version, ...(typeof aad === 'string' && aad ? { aad } : {}) };
+}
+
+export function encrypt(text: string, options: EncryptionOptions = {}): string {
+    if (options.version === 'v1' && !isLegacyEncryptionAllowed()) {
+        throw new Error(LEGACY_DISABLED_MESSAGE);
+    }
+
     try {
-        const encryptionKey = getEncryptionKey();
-        const iv = randomBytes(16);
-        const cipher = createCipheriv(ALGORITHM, encryptionKey, iv);
-        let encrypted = cipher.update(text, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        const ivString = iv.toString('hex');
-        return ivString + ':' + encrypted;
+        if (options.version === 'v1') {
+            const iv = randomBytes(16);
+            const cipher = createCipheriv(LEGACY_ALGORITHM, getLegacyEncryptionKey(), iv);
+            let encrypted = cipher.update(text, 'utf8', 'hex');
+            encrypted += cipher.final('hex');
+            return iv.toString('hex') + ':' + encrypted;
+        }
+
+        const iv = randomBytes(12);
+        const cipher = createCipheriv(ENVELOPE_ALGORITHM, getEnvelopeKey(), iv);
+        if (options.aad) {
+            cipher.setAAD(Buffer.from(options.aad, 'utf8'));
+        }
+        const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+        return ENVELOPE_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join(':');
     } catch (error) {
         console.error('Encryption error:', error);
         throw new Error('Failed to encrypt data');
     }
 }
 
-export function decrypt(encryptedText: string): string {
+/**
+ * Decrypt either envelope version; a v2 ciphertext that was altered or carries other associated data is rejected
+ */
+export function decrypt(encryptedText: string, options: EncryptionOptions = {}): string {
+    const version = getEnvelopeVersion(encryptedText || '');
+    if (version === 'v1' && !isLegacyEncryptionAllowed()) {
+        throw new Error(LEGACY_DISABLED_MESSAGE);
+    }
+
     try {
-        const encryptionKey = getEncryptionKey();
+        if (version === 'v2') {
+            const [ivPart, tagPart, encrypted] = encryptedText.slice(ENVELOPE_PREFIX.length).split(':');
+            const iv = Buffer.from(ivPart || '', 'base64url');
+            const tag = Buffer.from(tagPart || '', 'base64url');
+            if (iv.length !== 12 || tag.length !== 16 || encrypted === undefined) {
+                throw new Error('Invalid encrypted data format');
+            }
+
+            const decipher = createDecipheriv(ENVELOPE_ALGORITHM, getEnvelopeKey(), iv);
+            decipher.setAuthTag(tag);
+            if (options.aad) {
+                decipher.setAAD(Buffer.from(options.aad, 'utf8'));
+            }
+            return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+        }
+
         const [ivHex, encrypted] = encryptedText.split(':');
         
         if (!ivHex || !encrypted) {
@@ -51,7 +148,7 @@ export function decrypt(encryptedText: string): string {
         }
         
         const iv = Buffer.from(ivHex, 'hex');
-        const decipher = createDecipheriv(ALGORITHM, encryptionKey, iv);
+        const decipher = createDecipheriv(LEGACY_ALGORITHM, getLegacyEncryptionKey(), iv);
         
         let decrypted = decipher.update(encrypted, 'hex', 'utf8');
         decrypted += decipher.final('utf8');
@@ -63,6 +160,103 @@ export function decrypt(encryptedText: string): string {
     }
 }
 
+// Webhooks are signed with a key derived from the secret, never with the encryption key itself
+function getWebhookSigningKey(): Buffer {
+    const secret = process.env.KB_ENCRYPTION_SECRET;
+    if (!secret) {
+        throw new Error('KB_ENCRYPTION_SECRET environment variable is required to sign webhooks');
+    }
+    return Buffer.from(hkdfSync('sha256', secret, '', 'keyboard-webhook-signature', 32));
+}
+
+/**
+ * Signature header for a webhook body: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+export function signWebhookPayload(body: string, timestamp: number = Math.floor(Date.now() / 1000)): string {
+    const signature = createHmac('sha256', getWebhookSigningKey()).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header produced by signWebhookPayload
+ * @param toleranceSeconds - reject signatures older than this to stop replays
+ */
+export function verifyWebhookSignature(body: string, header: string, toleranceSeconds: number = 300): boolean {
+    const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=', 2)));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Stands in for KB_ENCRYPTION_SECRET, so sealed secrets only open in the process that sealed them
+let ephemeralSealingKey: Buffer | null = null;
+
+function getSealingKey(): Buffer {
+    const secret = process.env.KB_ENCRYPTION_SECRET;
+    if (secret) {
+        return Buffer.from(hkdfSync('sha256', secret, '', 'keyboard-sealed-secrets', 32));
+    }
+    if (!ephemeralSealingKey) {
+        console.error('❌ KB_ENCRYPTION_SECRET is not set, sealed provider tokens will not survive a restart');
+        ephemeralSealingKey = randomBytes(32);
+    }
+    return ephemeralSealingKey;
+}
+
+function getSealAAD(owner: string, expiresAt: string | null): Buffer {
+    return Buffer.from(`${owner}|${expiresAt || 'never'}`, 'utf8');
+}
+
+/**
+ * Seal secrets to an owner, such as a job, so they can rest in memory, stores and files
+ * The owner and expiry are bound as associated data, so neither can be changed without breaking the seal
+ */
+export function sealSecrets(secrets: Record<string, string>, owner: string, expiresAt: Date | null = null): SealedSecrets {
+    const expiry = expiresAt ? expiresAt.toISOString() : null;
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ENVELOPE_ALGORITHM, getSealingKey(), iv);
+    cipher.setAAD(getSealAAD(owner, expiry));
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    return {
+        ciphertext: ENVELOPE_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join(':'),
+        expiresAt: expiry
+    };
+}
+
+/**
+ * @throws Error if the secrets expired, belong to another owner or were sealed with another key
+ */
+export function openSealedSecrets(sealed: SealedSecrets, owner: string): Record<string, string> {
+    if (sealed.expiresAt && new Date(sealed.expiresAt).getTime() <= Date.now()) {
+        throw new Error(`Sealed secrets expired at ${sealed.expiresAt}`);
+    }
+
+    try {
+        const [ivPart, tagPart, encrypted] = (sealed.ciphertext || '').slice(ENVELOPE_PREFIX.length).split(':');
+        const iv = Buffer.from(ivPart || '', 'base64url');
+        const tag = Buffer.from(tagPart || '', 'base64url');
+        if (iv.length !== 12 || tag.length !== 16 || encrypted === undefined) {
+            throw new Error('Invalid sealed data format');
+        }
+
+        const decipher = createDecipheriv(ENVELOPE_ALGORITHM, getSealingKey(), iv);
+        decipher.setAuthTag(tag);
+        decipher.setAAD(getSealAAD(owner, sealed.expiresAt));
+        return JSON.parse(Buffer.concat([
+            decipher.update(Buffer.from(encrypted, 'base64url')),
+            decipher.final()
+        ]).toString('utf8'));
+    } catch (error: any) {
+        throw new Error(`Failed to open sealed secrets: ${error.message}`);
+    }
+}
+
 // Safe wrapper for obfuscation that never throws
 export function safeObfuscate(data: any, fallbackMessage: string = '[OBFUSCATION_FAILED]'): string {
     try {
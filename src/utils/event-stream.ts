@@ -0,0 +1,120 @@
+import http from 'http';
+import { encrypt, EncryptionOptions } from './crypto';
+import { encryptHybrid } from './asymmetric-crypto';
+
+export type StreamFormat = 'sse' | 'ndjson';
+
+export interface EventStreamOptions {
+    /** Encrypt every event payload with KB_ENCRYPTION_SECRET, like encrypt_messages responses */
+    encryptMessages?: boolean;
+    /** Envelope version and associated data negotiated for the request */
+    encryption?: EncryptionOptions;
+    /** Encrypt every event payload into a hybrid envelope for the server key pair, like use_asymmetric_encryption responses */
+    useAsymmetricEncryption?: boolean;
+    heartbeatMs?: number;
+}
+
+export interface EventStream {
+    send(event: string, data: any): void;
+    close(): void;
+    readonly closed: boolean;
+}
+
+/**
+ * Pick a streaming format from the Accept header
+ * text/event-stream selects Server-Sent Events, application/x-ndjson selects newline-delimited JSON
+ * @returns null when the client did not ask for a stream
+ */
+export function getStreamFormat(req: http.IncomingMessage, fallback: StreamFormat | null = null): StreamFormat | null {
+    const accept = (req.headers.accept || '').toLowerCase();
+    if (accept.includes('text/event-stream')) {
+        return 'sse';
+    }
+    if (accept.includes('application/x-ndjson')) {
+        return 'ndjson';
+    }
+    return fallback;
+}
+
+/**
+ * Start a chunked event response
+ * SSE events are written as "event: <name>" / "data: <json>"; NDJSON lines as {"event": <name>, "data": <json>}
+ * A heartbeat keeps proxies from closing idle long-running streams
+ */
+export function openEventStream(res: http.ServerResponse, format: StreamFormat, options: EventStreamOptions = {}): EventStream {
+    let closed = false;
+
+    res.writeHead(200, {
+        'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    const write = (text: string) => {
+        if (!closed) {
+            res.write(text);
+        }
+    };
+
+    const heartbeat = setInterval(() => {
+        write(format === 'sse' ? ': heartbeat\n\n' : JSON.stringify({ event: 'heartbeat' }) + '\n');
+    }, options.heartbeatMs || 15000);
+
+    const close = () => {
+        if (!closed) {
+            closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+
+    // Client went away
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    return {
+        send(event: string, data: any): void {
+            if (closed) {
+                return;
+            }
+
+            let payload = data;
+            let closeAfterWrite = false;
+            try {
+                if (options.useAsymmetricEncryption) {
+                    payload = {
+                        encrypted: true,
+                        data: encryptHybrid(JSON.stringify(data))
+                    };
+                } else if (options.encryptMessages) {
+                    payload = {
+                        encrypted: true,
+                        data: encrypt(JSON.stringify(data), options.encryption)
+                    };
+                }
+            } catch (error: any) {
+                // Senders run inside event listeners, so end the stream instead of throwing
+                console.error('❌ Failed to encrypt stream event:', error.message);
+                event = 'error';
+                payload = { error: 'Failed to encrypt stream event' };
+                closeAfterWrite = true;
+            }
+
+            if (format === 'sse') {
+                write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+            } else {
+                write(JSON.stringify({ event, data: payload }) + '\n');
+            }
+            if (closeAfterWrite) {
+                close();
+            }
+        },
+        close,
+        get closed(): boolean {
+            return closed;
+        }
+    };
+}
@@ -0,0 +1,190 @@
+type PathSegment =
+  | { type: 'key'; name: string }
+  | { type: 'index'; index: number }
+  | { type: 'wildcard' };
+
+export interface SelectResult {
+  value: any;
+  dropped: string[];
+}
+
+export interface RedactResult {
+  value: any;
+  redacted: string[];
+}
+
+export const REDACTED_VALUE = '[REDACTED]';
+
+const FIELD_PATH_PATTERN = /^(\$\.?)?(\*|[a-zA-Z_][\w-]*|\[(\d+|\*)\])(\.(\*|[a-zA-Z_][\w-]*)|\[(\d+|\*)\])*$/;
+
+/**
+ * Check that a field path uses the supported syntax:
+ * dot keys ("user.email"), array indexes ("items[0]"), wildcards ("items[*].id", "user.*")
+ * and an optional JSONPath style "$." prefix
+ */
+export function isValidFieldPath(path: string): boolean {
+  return typeof path === 'string' && path.length <= 200 && FIELD_PATH_PATTERN.test(path);
+}
+
+/**
+ * Split a field path into key / index / wildcard segments
+ */
+export function parseFieldPath(path: string): PathSegment[] {
+  if (!isValidFieldPath(path)) {
+    throw new Error(`Invalid field path: ${path}`);
+  }
+
+  const segments: PathSegment[] = [];
+  const normalized = path.replace(/^\$\.?/, '');
+  const tokenPattern = /\[(\d+|\*)\]|([^.[\]]+)/g;
+  let match: RegExpExecArray | null;
+
+  while ((match = tokenPattern.exec(normalized)) !== null) {
+    if (match[1] !== undefined) {
+      segments.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'index', index: parseInt(match[1], 10) });
+    } else if (match[2] === '*') {
+      segments.push({ type: 'wildcard' });
+    } else {
+      segments.push({ type: 'key', name: match[2] });
+    }
+  }
+
+  return segments;
+}
+
+function joinPath(prefix: string, key: string | number): string {
+  if (typeof key === 'number') {
+    return `${prefix}[*]`;
+  }
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+function segmentMatchesKey(segment: PathSegment, key: string): boolean {
+  return segment.type === 'wildcard' || (segment.type === 'key' && segment.name === key);
+}
+
+function segmentMatchesIndex(segment: PathSegment, index: number): boolean {
+  return segment.type === 'wildcard' || (segment.type === 'index' && segment.index === index);
+}
+
+/**
+ * Keep only the allowlisted paths of a value
+ * Key segments applied to an array are mapped over its elements, so ["title"] works on a list response
+ * @returns The projected value and the (index-normalized) paths that were dropped
+ */
+export function selectFields(value: any, paths: string[]): SelectResult {
+  const parsedPaths = paths.map(parseFieldPath);
+  const dropped = new Set<string>();
+  const omitted = Symbol('omitted');
+
+  const project = (current: any, remaining: PathSegment[][], prefix: string): any => {
+    // A fully matched path keeps the whole subtree
+    if (remaining.some(segments => segments.length === 0)) {
+      return current;
+    }
+
+    if (Array.isArray(current)) {
+      const result: any[] = [];
+      current.forEach((item, index) => {
+        const next = remaining
+          .map(segments => {
+            const [head, ...rest] = segments;
+            if (head.type === 'key') {
+              // Implicit mapping over array elements
+              return segments;
+            }
+            return segmentMatchesIndex(head, index) ? rest : null;
+          })
+          .filter((segments): segments is PathSegment[] => segments !== null);
+
+        if (next.length === 0) {
+          dropped.add(joinPath(prefix, index));
+          return;
+        }
+        const projected = project(item, next, joinPath(prefix, index));
+        if (projected !== omitted) {
+          result.push(projected);
+        }
+      });
+      return result;
+    }
+
+    if (current !== null && typeof current === 'object') {
+      const result: Record<string, any> = {};
+      for (const [key, child] of Object.entries(current)) {
+        const next = remaining
+          .filter(segments => segmentMatchesKey(segments[0], key))
+          .map(segments => segments.slice(1));
+
+        if (next.length === 0) {
+          dropped.add(joinPath(prefix, key));
+          continue;
+        }
+        const projected = project(child, next, joinPath(prefix, key));
+        if (projected !== omitted) {
+          result[key] = projected;
+        }
+      }
+      return result;
+    }
+
+    // Primitive reached before the path ended - nothing under it matches, so its parent omits it
+    if (prefix) {
+      dropped.add(prefix);
+    }
+    return omitted;
+  };
+
+  const projected = project(value, parsedPaths, '');
+  return { value: projected === omitted ? undefined : projected, dropped: Array.from(dropped) };
+}
+
+/**
+ * Replace the values at the given paths with a redaction marker
+ * The input is not mutated
+ * @returns The redacted value and the (index-normalized) paths that were redacted
+ */
+export function redactFields(value: any, paths: string[]): RedactResult {
+  const parsedPaths = paths.map(parseFieldPath);
+  const redacted = new Set<string>();
+  const copy = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  const redact = (current: any, segments: PathSegment[], prefix: string): void => {
+    if (current === null || typeof current !== 'object') {
+      return;
+    }
+
+    const [head, ...rest] = segments;
+
+    if (Array.isArray(current)) {
+      if (head.type === 'key') {
+        // Implicit mapping over array elements
+        current.forEach((item, index) => redact(item, segments, joinPath(prefix, index)));
+        return;
+      }
+      current.forEach((item, index) => {
+        if (!segmentMatchesIndex(head, index)) return;
+        if (rest.length === 0) {
+          current[index] = REDACTED_VALUE;
+          redacted.add(joinPath(prefix, index));
+        } else {
+          redact(item, rest, joinPath(prefix, index));
+        }
+      });
+      return;
+    }
+
+    for (const key of Object.keys(current)) {
+      if (!segmentMatchesKey(head, key)) continue;
+      if (rest.length === 0) {
+        current[key] = REDACTED_VALUE;
+        redacted.add(joinPath(prefix, key));
+      } else {
+        redact(current[key], rest, joinPath(prefix, key));
+      }
+    }
+  };
+
+  parsedPaths.forEach(segments => redact(copy, segments, ''));
+  return { value: copy, redacted: Array.from(redacted) };
+}
@@ -0,0 +1,151 @@
+import http from 'http';
+import { createHash } from 'crypto';
+
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+
+const MAX_KEY_LENGTH = 255;
+const KEY_PATTERN = /^[\x21-\x7e]+$/;
+
+/**
+ * Raised when an idempotency key is reused with a different payload
+ */
+export class IdempotencyConflictError extends Error {
+    key: string;
+
+    constructor(key: string) {
+        super(`Idempotency key ${key} was already used with a different payload`);
+        this.name = 'IdempotencyConflictError';
+        this.key = key;
+    }
+}
+
+/**
+ * Idempotency key from the Idempotency-Key header, or else the idempotency_key body field
+ * @returns null when the request has none
+ * @throws Error if the key is empty, too long or contains whitespace or control characters
+ */
+export function getIdempotencyKey(req: http.IncomingMessage, body: any = {}): string | null {
+    const headerValue = req.headers[IDEMPOTENCY_KEY_HEADER];
+    const key = typeof headerValue === 'string' ? headerValue : body?.idempotency_key;
+
+    if (key === undefined || key === null) {
+        return null;
+    }
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+        throw new Error(`Idempotency key must be 1-${MAX_KEY_LENGTH} printable characters without spaces`);
+    }
+    return key;
+}
+
+function stableStringify(value: any): string {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * SHA-256 of a request payload, independent of key order and of the idempotency_key field itself
+ * Credentials in headerEnvVars are part of the hash, so a key cannot be replayed by another caller
+ */
+export function hashPayload(payload: Record<string, any>): string {
+    const { idempotency_key: _key, ...rest } = payload || {};
+    return createHash('sha256').update(stableStringify(rest)).digest('hex');
+}
+
+export interface CachedResponse {
+    statusCode: number;
+    body: string;
+}
+
+export type IdempotencyLookup =
+    | { state: 'new' }
+    | { state: 'in_progress' }
+    | { state: 'completed'; response: CachedResponse };
+
+interface IdempotencyEntry {
+    payloadHash: string;
+    response: CachedResponse | null;
+    expiresAt: number;
+}
+
+/**
+ * In-memory record of synchronous requests by idempotency key
+ * A key is reserved while its request runs and holds the response once it completed;
+ * failed runs release the key so they can be retried
+ */
+export class IdempotencyCache {
+    private entries: Map<string, IdempotencyEntry> = new Map();
+    private windowMs: number;
+    private maxEntries: number;
+    private maxResponseBytes: number;
+
+    constructor(options: { windowMs?: number; maxEntries?: number; maxResponseBytes?: number } = {}) {
+        this.windowMs = options.windowMs || 24 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 200;
+        this.maxResponseBytes = options.maxResponseBytes || 1024 * 1024;
+    }
+
+    /**
+     * Look up a key and reserve it when it is new
+     * @throws IdempotencyConflictError if the key is known with a different payload hash
+     */
+    begin(key: string, payloadHash: string): IdempotencyLookup {
+        this.removeExpired();
+
+        const entry = this.entries.get(key);
+        if (entry) {
+            if (entry.payloadHash !== payloadHash) {
+                throw new IdempotencyConflictError(key);
+            }
+            return entry.response ? { state: 'completed', response: entry.response } : { state: 'in_progress' };
+        }
+
+        // Drop the oldest entries (Map keeps insertion order) instead of growing without bound
+        while (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value as string);
+        }
+        this.entries.set(key, { payloadHash, response: null, expiresAt: Date.now() + this.windowMs });
+        return { state: 'new' };
+    }
+
+    complete(key: string, response: CachedResponse): void {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        // The run still happened, so a large response is replaced by an error rather than running it again
+        entry.response = Buffer.byteLength(response.body) <= this.maxResponseBytes ? response : {
+            statusCode: 409,
+            body: JSON.stringify({
+                success: false,
+                error: 'Idempotency key already used',
+                details: 'The request completed but its response was too large to keep for replay'
+            })
+        };
+    }
+
+    release(key: string): void {
+        const entry = this.entries.get(key);
+        if (entry && !entry.response) {
+            this.entries.delete(key);
+        }
+    }
+
+    private removeExpired(): void {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
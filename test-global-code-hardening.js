@@ -0,0 +1,127 @@
+/**
+ * Regression test for hardened global code
+ *
+ * Starts a local HTTP stand-in and runs global code that tries every known way of reaching it:
+ * 1. require() of the network modules and of Node's _-prefixed internals (_http_client, _tls_wrap, ...)
+ * 2. process.getBuiltinModule(), which skips require interception (Node 20.16+)
+ * 3. process.binding() and the net.Socket behind a piped process.stdout
+ * 4. fetch
+ * Every attempt has to be refused and the stand-in must see no request. A control run with the
+ * network capability checks that the stand-in is reachable at all.
+ *
+ * Run the server first, with hardening on (the default):
+ *   npm start
+ *   node test-global-code-hardening.js [server url]
+ * Set KB_API_KEY to an API key with the execute scope unless the server runs with DISABLE_AUTH=true
+ */
+
+const http = require('http')
+
+const SERVER_URL = process.argv[2] || process.env.KB_SERVER_URL || 'http://localhost:3000'
+const AUTH_HEADERS = process.env.KB_API_KEY ? { 'X-API-Key': process.env.KB_API_KEY } : {}
+
+// Each attempt is an expression that resolves once the stand-in answered, or throws
+// The global code template does not keep backslashes, so names and expressions avoid them and single quotes
+const ATTEMPTS = {
+  'require("http")': 'get(require("http"))',
+  'require("node:http")': 'get(require("node:http"))',
+  'require("_http_client")': 'viaClientRequest(require("_http_client").ClientRequest)',
+  'require("_http_agent")': 'require("_http_agent") && Promise.reject(new Error("loaded"))',
+  'require("_tls_wrap")': 'require("_tls_wrap") && Promise.reject(new Error("loaded"))',
+  'require("_http_common")': 'require("_http_common") && Promise.reject(new Error("loaded"))',
+  'require("_stream_wrap")': 'require("_stream_wrap") && Promise.reject(new Error("loaded"))',
+  'require("net")': 'viaSocket(require("net").Socket)',
+  'require("dns/promises")': 'require("dns/promises").lookup("localhost")',
+  'process.getBuiltinModule("http")': 'get(process.getBuiltinModule("http"))',
+  'process.getBuiltinModule("_http_client")': 'viaClientRequest(process.getBuiltinModule("_http_client").ClientRequest)',
+  'process.binding("tcp_wrap")': 'process.binding("tcp_wrap") && Promise.reject(new Error("loaded"))',
+  'process.stdout.constructor': 'viaSocket(process.stdout.constructor)',
+  'fetch': 'fetch(TARGET)'
+}
+
+function buildGlobalCode(port) {
+  return `
+const TARGET = 'http://127.0.0.1:${port}/'
+const withTimeout = (promise) => Promise.race([promise, new Promise((resolve, reject) => setTimeout(() => reject(new Error('timed out')), 3000))])
+const get = (module) => new Promise((resolve, reject) => module.get(TARGET, resolve).on('error', reject))
+const viaClientRequest = (ClientRequest) => new Promise((resolve, reject) => {
+  const request = new ClientRequest(TARGET, resolve)
+  request.on('error', reject)
+  request.end()
+})
+const viaSocket = (Socket) => new Promise((resolve, reject) => {
+  const socket = new Socket()
+  socket.on('error', reject)
+  socket.connect(${port}, '127.0.0.1', () => {
+    socket.write('GET / HTTP/1.0' + String.fromCharCode(13, 10, 13, 10))
+    socket.on('data', resolve)
+  })
+})
+const results = {}
+for (const [name, attempt] of Object.entries({
+${Object.entries(ATTEMPTS).map(([name, expression]) => `  '${name}': () => ${expression}`).join(',\n')}
+})) {
+  try {
+    await withTimeout(Promise.resolve().then(attempt))
+    results[name] = 'reached'
+  } catch (error) {
+    results[name] = 'refused: ' + error.message
+  }
+}
+return results
+`
+}
+
+async function execute(globalCode, capabilities) {
+  const response = await fetch(`${SERVER_URL}/execute`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+    body: JSON.stringify({ api_calls: {}, Global_code: globalCode, global_code_capabilities: capabilities })
+  })
+  return response.json()
+}
+
+async function testGlobalCodeHardening() {
+  console.log('🧪 Testing hardened global code\n')
+
+  let hits = 0
+  const standIn = http.createServer((req, res) => {
+    hits++
+    res.end('reached')
+  })
+  await new Promise((resolve) => standIn.listen(0, '127.0.0.1', resolve))
+  const port = standIn.address().port
+  console.log('🔗 Stand-in listening on port', port)
+
+  const results = []
+  const check = (name, passed, details) => {
+    results.push(passed)
+    console.log(`${passed ? '✅' : '❌'} ${name}${details ? ` (${details})` : ''}`)
+  }
+
+  const control = await execute(`return await new Promise((resolve, reject) => require('http').get('http://127.0.0.1:${port}/', (res) => resolve(res.statusCode)).on('error', reject))`, ['network'])
+  check('Stand-in reachable with the network capability', !!control.data && control.data.result === 200, control.error)
+
+  hits = 0
+  const hardened = await execute(buildGlobalCode(port))
+  const attempts = hardened.data && hardened.data.result
+  if (!attempts) {
+    check('Hardened run returned its results', false, JSON.stringify(hardened).slice(0, 300))
+  } else {
+    for (const name of Object.keys(ATTEMPTS)) {
+      check(`${name} refused`, String(attempts[name]).startsWith('refused'), attempts[name])
+    }
+  }
+  check('Stand-in received no request from hardened code', hits === 0, `${hits} received`)
+
+  standIn.close()
+
+  const passed = results.every(Boolean)
+  console.log(passed ? '\n🎉 All hardening checks passed' : '\n❌ Some hardening checks failed')
+  process.exit(passed ? 0 : 1)
+}
+
+testGlobalCodeHardening().catch((error) => {
+  console.error('❌ Test failed:', error.message)
+  process.exit(1)
+})
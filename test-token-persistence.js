@@ -0,0 +1,114 @@
+/**
+ * Test script for provider token storage
+ *
+ * Submits a job and a schedule with a random x-keyboard-provider-user-token-for-* header, waits for
+ * the job to finish and checks that:
+ * 1. The job code received the token in its environment
+ * 2. Neither the token nor its base64 or hex encodings appear in the persisted job and schedule files
+ * 3. The stored job payload carries the sealed blob instead, expiring with the job
+ *
+ * Run the server first with persistence enabled (the default), then point the script at its data directory:
+ *   npm start
+ *   node test-token-persistence.js [server url] [data dir, default dist/data]
+ * Set KB_API_KEY to an API key with the jobs:read and jobs:write scopes unless the server runs with DISABLE_AUTH=true
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const SERVER_URL = process.argv[2] || process.env.KB_SERVER_URL || 'http://localhost:3000'
+const DATA_DIR = path.resolve(process.argv[3] || process.env.KB_DATA_DIR || 'dist/data')
+const PERSISTENCE_FILES = ['jobs.json', 'jobs.ndjson', 'schedules.json']
+const AUTH_HEADERS = process.env.KB_API_KEY ? { 'X-API-Key': process.env.KB_API_KEY } : {}
+
+const TOKEN = `tok_${crypto.randomBytes(24).toString('hex')}`
+const TOKEN_HEADERS = { 'x-keyboard-provider-user-token-for-persistence-test': TOKEN }
+
+async function requestJson(method, path, body, headers = {}) {
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS, ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  return response.json()
+}
+
+// Every way the token could plausibly have been written out
+function tokenEncodings() {
+  return [TOKEN, Buffer.from(TOKEN).toString('base64'), Buffer.from(TOKEN).toString('base64url'), Buffer.from(TOKEN).toString('hex')]
+}
+
+async function testTokenPersistence() {
+  console.log('🧪 Testing provider token storage\n')
+
+  const submitted = await requestJson('POST', '/jobs', {
+    code: 'console.log(process.env.KEYBOARD_PROVIDER_USER_TOKEN_FOR_PERSISTENCE_TEST ? "token length " + process.env.KEYBOARD_PROVIDER_USER_TOKEN_FOR_PERSISTENCE_TEST.length : "token missing")'
+  }, TOKEN_HEADERS)
+  if (!submitted.success) {
+    console.error('❌ Job submission failed:', submitted)
+    process.exit(1)
+  }
+  console.log('📤 Submitted job', submitted.jobId)
+
+  // A schedule far in the future keeps its tokens on disk without firing
+  const scheduled = await requestJson('POST', '/schedules', {
+    name: 'token persistence test',
+    runAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(),
+    payload: { code: 'console.log("never runs")' }
+  }, TOKEN_HEADERS)
+  if (!scheduled.success) {
+    console.error('❌ Schedule creation failed:', scheduled)
+    process.exit(1)
+  }
+  console.log('📅 Created schedule', scheduled.schedule.id)
+
+  let job = null
+  const deadline = Date.now() + 30000
+  while (Date.now() < deadline) {
+    job = (await requestJson('GET', `/jobs/${submitted.jobId}`)).job
+    if (job && ['COMPLETED', 'FAILED', 'CANCELLED'].includes(job.status)) {
+      break
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250))
+  }
+
+  const results = []
+  const check = (name, passed) => {
+    results.push(passed)
+    console.log(`${passed ? '✅' : '❌'} ${name}`)
+  }
+
+  check('Job finished', !!job && job.status === 'COMPLETED')
+  check('Job code received the token', !!job && !!job.result && String(job.result.stdout).includes(`token length ${TOKEN.length}`))
+  check('Schedule lists the credential by name only', JSON.stringify(scheduled.schedule.credentials) === '["KEYBOARD_PROVIDER_USER_TOKEN_FOR_PERSISTENCE_TEST"]')
+
+  const files = PERSISTENCE_FILES.map((name) => path.join(DATA_DIR, name)).filter((file) => fs.existsSync(file))
+  check(`Persistence files found in ${DATA_DIR}`, files.length > 0)
+
+  for (const file of files) {
+    const contents = fs.readFileSync(file, 'utf8')
+    const leaked = tokenEncodings().filter((encoding) => contents.includes(encoding))
+    check(`${path.basename(file)} holds no token material`, leaked.length === 0)
+  }
+
+  const jobsFile = path.join(DATA_DIR, 'jobs.json')
+  if (fs.existsSync(jobsFile)) {
+    const stored = JSON.parse(fs.readFileSync(jobsFile, 'utf8'))[submitted.jobId]
+    const sealed = stored && stored.payload.sealedHeaderEnvVars
+    check('Stored payload has no headerEnvVars', !!stored && stored.payload.headerEnvVars === undefined)
+    check('Stored payload carries a sealed blob that expires', !!sealed && sealed.ciphertext.startsWith('v2:gcm:') && !!sealed.expiresAt && new Date(sealed.expiresAt) > new Date())
+  }
+
+  await requestJson('DELETE', `/schedules/${scheduled.schedule.id}`)
+  await requestJson('DELETE', `/jobs/${submitted.jobId}`)
+
+  const passed = results.every(Boolean)
+  console.log(passed ? '\n🎉 All token storage checks passed' : '\n❌ Some token storage checks failed')
+  process.exit(passed ? 0 : 1)
+}
+
+testTokenPersistence().catch((error) => {
+  console.error('❌ Test failed:', error.message)
+  process.exit(1)
+})
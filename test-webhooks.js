@@ -0,0 +1,110 @@
+/**
+ * Test script for job completion webhooks
+ *
+ * Starts a local HTTP stand-in for a client's callback endpoint, submits a job with
+ * callback_url pointing at it and checks that:
+ * 1. A failed delivery (503) is retried
+ * 2. The delivered body is the job in its /jobs/:id shape
+ * 3. The X-Keyboard-Signature header verifies with KB_ENCRYPTION_SECRET
+ * 4. The delivery log is recorded on the job
+ *
+ * Run the server first, with the same KB_ENCRYPTION_SECRET and private callback hosts allowed for the stand-in:
+ *   KB_ENCRYPTION_SECRET=... WEBHOOK_ALLOW_PRIVATE_HOSTS=true npm start
+ *   KB_ENCRYPTION_SECRET=... node test-webhooks.js [server url]
+ * Set KB_API_KEY to an API key with the jobs:read and jobs:write scopes unless the server runs with DISABLE_AUTH=true
+ */
+
+const http = require('http')
+const crypto = require('crypto')
+
+const SERVER_URL = process.argv[2] || process.env.KB_SERVER_URL || 'http://localhost:3000'
+const SECRET = process.env.KB_ENCRYPTION_SECRET
+const AUTH_HEADERS = process.env.KB_API_KEY ? { 'X-API-Key': process.env.KB_API_KEY } : {}
+
+// Same derivation as signWebhookPayload in src/utils/crypto.ts
+function verifySignature(body, header) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=', 2)))
+  const key = Buffer.from(crypto.hkdfSync('sha256', SECRET, '', 'keyboard-webhook-signature', 32))
+  const expected = crypto.createHmac('sha256', key).update(`${parts.t}.${body}`).digest('hex')
+  return !!parts.v1 && parts.v1.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(expected, 'hex'))
+}
+
+async function requestJson(method, path, body) {
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  return response.json()
+}
+
+async function testWebhooks() {
+  console.log('🧪 Testing job completion webhooks\n')
+
+  if (!SECRET) {
+    console.error('❌ KB_ENCRYPTION_SECRET must be set (to the same value as the server)')
+    process.exit(1)
+  }
+
+  const deliveries = []
+  const standIn = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body })
+      // Fail the first delivery to exercise the retry
+      const statusCode = deliveries.length === 1 ? 503 : 200
+      console.log(`📨 Stand-in received ${req.headers['x-keyboard-event']}, answering ${statusCode}`)
+      res.writeHead(statusCode)
+      res.end()
+    })
+  })
+  await new Promise((resolve) => standIn.listen(0, '127.0.0.1', resolve))
+  const callbackUrl = `http://127.0.0.1:${standIn.address().port}/hook`
+  console.log('🔗 Stand-in listening on', callbackUrl)
+
+  const submitted = await requestJson('POST', '/jobs', {
+    code: 'console.log("webhook test")',
+    callback_url: callbackUrl
+  })
+  if (!submitted.success) {
+    console.error('❌ Job submission failed:', submitted)
+    process.exit(1)
+  }
+  console.log('📤 Submitted job', submitted.jobId)
+
+  // The retry follows after the dispatcher's backoff (2s by default)
+  const deadline = Date.now() + 30000
+  while (deliveries.length < 2 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 250))
+  }
+  standIn.close()
+
+  const results = []
+  const check = (name, passed) => {
+    results.push(passed)
+    console.log(`${passed ? '✅' : '❌'} ${name}`)
+  }
+
+  check('Delivery retried after a 503', deliveries.length === 2)
+  const delivered = deliveries[deliveries.length - 1]
+  if (delivered) {
+    const payload = JSON.parse(delivered.body)
+    check('Body carries the finished job', payload.event === 'job.completed' && payload.job.id === submitted.jobId && payload.job.status === 'COMPLETED')
+    check('Signature verifies', verifySignature(delivered.body, delivered.headers['x-keyboard-signature']))
+    check('Tampered body is rejected', !verifySignature(delivered.body.replace('COMPLETED', 'FAILED'), delivered.headers['x-keyboard-signature']))
+  }
+
+  const { job } = await requestJson('GET', `/jobs/${submitted.jobId}`)
+  check('Delivery log recorded on the job', !!job.webhook && job.webhook.status === 'delivered' && job.webhook.deliveries.length === 2)
+
+  const passed = results.every(Boolean)
+  console.log(passed ? '\n🎉 All webhook checks passed' : '\n❌ Some webhook checks failed')
+  process.exit(passed ? 0 : 1)
+}
+
+testWebhooks().catch((error) => {
+  console.error('❌ Test failed:', error.message)
+  process.exit(1)
+})